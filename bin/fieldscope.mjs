@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Fieldscope from the command line
+// Writes the Sankey of a dataset as a static SVG, its link table and link statistics as CSV and its
+// numbered reference list, using the same modules as the page (src/core.js and friends), so figures
+// can be made in a pipeline. Needs Node 20.19 or later and the d3-sankey package, i.e. `npm install`
+// in the repository; Excel files are read with the SheetJS copy in vendor/. Run with --help for the options.
+
+import { readFile, writeFile, mkdir, access } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { buildGraph, buildLinkTable, LINK_TABLE_HEADER, toCsv, isIdColumn, columnLabel, defaultColumns } from '../src/core.js';
+import { importSheets } from '../src/importers.js';
+import { buildCanonicalizer } from '../src/normalize.js';
+import { CITATION_STYLES, buildReferences, formatCitation } from '../src/references.js';
+import { CONFIG_FILE, parseProjectConfig, categoryNodeOrder } from '../src/projectConfig.js';
+import { sankeySvg } from '../src/sankeySvg.js';
+import { scoreLinks, enrichmentTable, ENRICHMENT_HEADER } from '../src/enrichment.js';
+
+const USAGE = `Usage: node bin/fieldscope.mjs <dataset> [column ...] [options]
+
+Writes <prefix>-sankey.svg, <prefix>-links.csv, <prefix>-link-stats.csv and <prefix>-references.txt
+for the chain of columns given (default: the project config's default columns, else a guess).
+
+Options:
+  -o, --out <dir>          output folder (default: current folder)
+  -p, --prefix <name>      output file name prefix (default: fieldscope)
+      --sheet <name>       workbook sheet to read (default: the first)
+      --config <file>      project config (default: ${CONFIG_FILE} next to the dataset, if any)
+  -s, --split <col=chars>  split a column's cells on these characters; repeatable
+      --top <n>            values per column before the rest fold into "Other" (default: all)
+      --no-fold            keep labels that differ only in case, spacing or punctuation apart
+      --ref-nums           write reference numbers along the links
+      --style <style>      citation style: ${Object.keys(CITATION_STYLES).join(', ')} (default: short)
+      --width <px>         SVG width (default: 1200)
+      --height <px>        SVG height (default: 700)
+  -h, --help               show this help
+`;
+
+main().catch(err => {
+  console.error(`fieldscope: ${err.message}`);
+  process.exitCode = 1;
+});
+
+async function main() {
+  const { values: opts, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', short: 'o', default: '.' },
+      prefix: { type: 'string', short: 'p', default: 'fieldscope' },
+      sheet: { type: 'string' },
+      config: { type: 'string' },
+      split: { type: 'string', short: 's', multiple: true, default: [] },
+      top: { type: 'string' },
+      'no-fold': { type: 'boolean', default: false },
+      'ref-nums': { type: 'boolean', default: false },
+      style: { type: 'string', default: 'short' },
+      width: { type: 'string', default: '1200' },
+      height: { type: 'string', default: '700' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (opts.help || !positionals.length) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const [datasetPath, ...requested] = positionals;
+  if (!CITATION_STYLES[opts.style]) throw new Error(`Unknown citation style "${opts.style}"`);
+  const width = positiveInt(opts.width, '--width');
+  const height = positiveInt(opts.height, '--height');
+  const topN = opts.top === undefined ? 0 : positiveInt(opts.top, '--top');
+
+  const d3sankey = await loadPackage('d3-sankey', 'to lay out the Sankey');
+  if (/\.xlsx?$/i.test(datasetPath)) {
+    // The xlsx importer looks SheetJS up as a global, as on the page and in the worker
+    globalThis.XLSX = await import('../vendor/xlsx.mjs');
+  }
+
+  const bytes = await readFile(datasetPath);
+  const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const sheets = importSheets(basename(datasetPath), buffer);
+  const sheet = opts.sheet === undefined ? sheets[0] : sheets.find(s => s.name === opts.sheet);
+  if (!sheet) throw new Error(`No sheet "${opts.sheet}"; the file has ${sheets.map(s => `"${s.name}"`).join(', ')}`);
+  const { rows } = sheet;
+
+  const config = await readProjectConfig(opts.config ?? join(dirname(datasetPath), CONFIG_FILE), opts.config !== undefined);
+  const allColumns = Object.keys(rows[0] || {});
+  const unknown = requested.filter(c => !allColumns.includes(c));
+  if (unknown.length) {
+    throw new Error(`Unknown column${unknown.length === 1 ? '' : 's'} ${unknown.map(c => `"${c}"`).join(', ')}; the dataset has:\n  ${allColumns.join('\n  ')}`);
+  }
+  const selectable = allColumns.filter(c => !isIdColumn(c, config.hiddenColumns, allColumns));
+  const columns = requested.length ? requested : defaultColumns(selectable, config.defaultColumns);
+  if (columns.length < 2) throw new Error('Give at least two columns');
+
+  const split = { ...config.split };
+  for (const rule of opts.split) {
+    const at = rule.lastIndexOf('=');
+    if (at < 1) throw new Error(`--split expects column=characters, got "${rule}"`);
+    split[rule.slice(0, at)] = rule.slice(at + 1);
+  }
+  const fold = opts['no-fold'] ? false : config.fold !== false;
+  const canon = buildCanonicalizer(rows, columns, { split, aliases: config.aliases || {}, fold });
+
+  const aggregate = buildGraph(rows, columns, { split, canon, topN });
+  const svg = sankeySvg(rows, aggregate, {
+    sankey: d3sankey,
+    width,
+    height,
+    columnLabels: columns.map(c => columnLabel(c, config.columnLabels)),
+    nodeOrder: categoryNodeOrder(config, columns),
+    palette: config.palette || {},
+    showRefNums: opts['ref-nums'],
+  });
+  const links = toCsv(buildLinkTable(rows, { columns, split, canon }), LINK_TABLE_HEADER);
+  // Scored without the --top folding, like the link table
+  const full = topN ? buildGraph(rows, columns, { split, canon }) : aggregate;
+  const stats = scoreLinks(full);
+  const linkStats = toCsv(enrichmentTable(full, stats, columns), ENRICHMENT_HEADER);
+  const references = buildReferences(rows, config.citationFields)
+    .map(ref => `${ref.id}. ${formatCitation(ref, opts.style)}`)
+    .join('\n') + '\n';
+
+  await mkdir(opts.out, { recursive: true });
+  const outputs = [
+    [`${opts.prefix}-sankey.svg`, svg],
+    [`${opts.prefix}-links.csv`, links],
+    [`${opts.prefix}-link-stats.csv`, linkStats],
+    [`${opts.prefix}-references.txt`, references],
+  ];
+  for (const [name, text] of outputs) {
+    const path = join(opts.out, name);
+    await writeFile(path, text, 'utf8');
+    console.log(path);
+  }
+  const scores = [...stats.scores.values()];
+  console.error(`${rows.length} papers, ${columns.map(c => columnLabel(c, config.columnLabels)).join(' → ')}: ${aggregate.graph.nodes.length} nodes, ${aggregate.graph.links.length} links, `
+    + `${scores.filter(s => s.gap).length} significant gaps and ${scores.filter(s => s.enriched).length} over-represented combinations (q < ${stats.alpha})`);
+}
+
+// The config's settings, {} without a file; a missing file only matters when it was asked for
+async function readProjectConfig(path, required) {
+  try {
+    await access(path);
+  } catch {
+    if (required) throw new Error(`Cannot read the config ${path}`);
+    return {};
+  }
+  const { config, warnings } = parseProjectConfig(await readFile(path, 'utf8'));
+  for (const warning of warnings) console.error(`${path}: ${warning}`);
+  return config;
+}
+
+async function loadPackage(name, purpose) {
+  try {
+    return await import(name);
+  } catch {
+    throw new Error(`The ${name} package is needed ${purpose}: run \`npm install\` in the repository`);
+  }
+}
+
+function positiveInt(text, flag) {
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`${flag} expects a positive whole number, got "${text}"`);
+  return n;
+}
@@ -0,0 +1,115 @@
+// Chord diagram of co-occurring values
+// Exports: renderChord(containerEl, rows, config)
+// config: { columns, split, include, canon, formatLabel(column), categoryColors }
+//   categoryColors: colours per column (or per value for a single column); default Tableau10
+// Each arc is a value of the chosen columns; a ribbon joins two values that occur in the same paper,
+// its width the number of such papers. Hover an arc to isolate its ribbons; click an arc or ribbon
+// to list its papers.
+// Returns { markSearch(hits, current) }
+
+import { buildCooccurrence } from './cooccurrence.js';
+import { d3g, refDetail, tooltipAt, hideTooltip, markSearchHits, plural, escapeHtml, placeholder } from './viewShared.js';
+
+const MAX_VALUES = 24; // more arcs get too thin to read
+const DETAIL_HEIGHT = 48;
+const LABEL_MAX = 24;
+
+export function renderChord(containerEl, rows, config = {}) {
+  const { columns = [], split = {}, include = null, canon = null, formatLabel = String, categoryColors = null } = config;
+  if (!columns.length) {
+    containerEl.innerHTML = placeholder("Select at least one column to render.");
+    return;
+  }
+
+  const { items, pairs } = buildCooccurrence(rows, columns, { split, include, canon, limit: MAX_VALUES });
+  if (!pairs.length) {
+    containerEl.innerHTML = placeholder("No values occur together. Split a multi-valued column or add a second column.");
+    return;
+  }
+
+  // Symmetric paper counts; values that never co-occur get no arc
+  const n = items.length;
+  const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+  const pairOf = new Map();
+  for (const p of pairs) {
+    matrix[p.source][p.target] = matrix[p.target][p.source] = p.refIds.length;
+    pairOf.set(`${p.source},${p.target}`, p);
+  }
+
+  const width = containerEl.clientWidth || 800;
+  const height = (containerEl.clientHeight || 480) - DETAIL_HEIGHT;
+  const outer = Math.max(60, Math.min(width, height) / 2 - 110);
+  const inner = outer - 14;
+
+  const chords = d3g.chord().padAngle(0.04).sortSubgroups(d3g.descending)(matrix);
+  const byLayer = columns.length > 1;
+  const palette = categoryColors || d3g.schemeTableau10;
+  const colorOf = (i) => palette[(byLayer ? items[i].layer : i) % palette.length];
+  const nameOf = (i) => (byLayer ? `${items[i].value} (${formatLabel(items[i].column)})` : items[i].value);
+  const ribbonRefs = (c) => pairOf.get(`${Math.min(c.source.index, c.target.index)},${Math.max(c.source.index, c.target.index)}`)?.refIds || [];
+
+  containerEl.innerHTML = "";
+  const wrap = d3g.select(containerEl).append("div").attr("class", "view-wrap");
+  const svg = wrap.append("svg")
+    .attr("class", "view-svg")
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("role", "img")
+    .attr("aria-label", `Chord diagram of ${columns.map(formatLabel).join(", ")}: ${plural(chords.groups.length, "value")}, ${plural(chords.length, "pair")}`);
+  const g = svg.append("g").attr("transform", `translate(${width / 2},${height / 2})`);
+  const detail = refDetail(wrap, `${plural(chords.length, "pair")} of values share papers. Hover an arc to isolate it; click an arc or ribbon to list its papers.`);
+
+  const ribbons = g.append("g")
+    .attr("class", "chord-ribbons")
+    .selectAll("path")
+    .data(chords)
+    .join("path")
+    .attr("class", "chord-ribbon view-item")
+    .attr("d", d3g.ribbon().radius(inner))
+    .attr("fill", c => colorOf(c.source.value >= c.target.value ? c.source.index : c.target.index))
+    .on("mouseenter", (event, c) => tooltipAt(event, `<div>${escapeHtml(nameOf(c.source.index))} &amp; ${escapeHtml(nameOf(c.target.index))}</div><div>${plural(c.source.value, "paper")}</div>`, containerEl))
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, c) => detail.show(`${nameOf(c.source.index)} & ${nameOf(c.target.index)}`, ribbonRefs(c)));
+
+  const groups = g.append("g")
+    .selectAll("g")
+    .data(chords.groups)
+    .join("g")
+    .attr("class", "chord-group view-item");
+  groups.append("path")
+    .attr("d", d3g.arc().innerRadius(inner).outerRadius(outer))
+    .attr("fill", d => colorOf(d.index))
+    .attr("stroke", "#071b21");
+  groups.append("text")
+    .attr("class", "view-label")
+    .each(d => { d.angle = (d.startAngle + d.endAngle) / 2; })
+    .attr("dy", "0.35em")
+    .attr("transform", d => `rotate(${d.angle * 180 / Math.PI - 90}) translate(${outer + 6})${d.angle > Math.PI ? " rotate(180)" : ""}`)
+    .attr("text-anchor", d => (d.angle > Math.PI ? "end" : null))
+    .text(d => truncate(nameOf(d.index)));
+  groups
+    .on("mouseenter", (event, d) => {
+      ribbons.classed("faded", c => c.source.index !== d.index && c.target.index !== d.index);
+      const partners = chords.filter(c => c.source.index === d.index || c.target.index === d.index).length;
+      tooltipAt(event, `<div>${escapeHtml(nameOf(d.index))}</div><div>${plural(items[d.index].refIds.length, "paper")}, shared with ${plural(partners, "other value")}</div>`, containerEl);
+    })
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", () => {
+      ribbons.classed("faded", false);
+      hideTooltip();
+    })
+    .on("click", (event, d) => detail.show(nameOf(d.index), items[d.index].refIds));
+
+  return {
+    markSearch(hits, current) {
+      markSearchHits(svg, ribbons, ribbonRefs, hits, current);
+      markSearchHits(svg, groups, d => items[d.index].refIds, hits, current);
+    },
+  };
+}
+
+function truncate(s) {
+  return s.length > LABEL_MAX ? `${s.slice(0, LABEL_MAX - 1)}…` : s;
+}
@@ -0,0 +1,196 @@
+// Dataset comparison
+// Exports: diffAggregates(before, after), guessKeyColumn(beforeRows, afterRows, idColumns, mapping), matchPapers(beforeRows, afterRows, config),
+//          summarizeDiff(diff, papers), renderComparePanel(containerEl, diff, papers, handlers)
+// before/after: { graph, byLinkKey } from buildGraph over the earlier and the current dataset, built
+// with the same columns and options. Reference numbers in the result are those of the current rows;
+// links that only exist in the earlier dataset carry no references.
+// config: { key, columns, split, canon } — key is the column identifying a paper in both (e.g. DOI or
+//   article number); columns are compared to tell which matched papers were recategorised
+// handlers: { formatLabel(column), describeRow(id), columnOf(layer) }
+
+import { splitValues, parseNodeId, OTHER_VALUE } from './core.js';
+import { referenceFields } from './references.js';
+
+const MAX_LISTED = 50;
+
+// Union Sankey of both aggregations: a link is 'added', 'removed', 'changed' (in paper count) or 'same'
+// and is drawn at its current width, or its earlier one once removed. Returns
+// { aggregate: { graph, byLinkKey }, changes: Map key -> { status, before, after }, newValues, removedValues, filledGaps }
+//   newValues / removedValues: [{ layer, value }] categories only one dataset has
+//   filledGaps: [{ key, source, target, count }] links between values that both existed before but were
+//     never combined — the empty cells of the gap matrix that the new papers filled
+export function diffAggregates(before, after) {
+  const beforeNodes = new Map(before.graph.nodes.map(n => [n.id, n]));
+  const afterNodes = new Map(after.graph.nodes.map(n => [n.id, n]));
+
+  const nodes = after.graph.nodes.map(n => ({ ...n, diff: beforeNodes.has(n.id) ? 'same' : 'added' }));
+  for (const n of before.graph.nodes) {
+    if (!afterNodes.has(n.id)) nodes.push({ ...n, diff: 'removed' });
+  }
+
+  const byLinkKey = new Map();
+  const changes = new Map();
+  const links = [];
+  const filledGaps = [];
+  for (const key of new Set([...after.byLinkKey.keys(), ...before.byLinkKey.keys()])) {
+    const was = before.byLinkKey.get(key)?.count || 0;
+    const now = after.byLinkKey.get(key)?.count || 0;
+    const status = !was ? 'added' : !now ? 'removed' : was !== now ? 'changed' : 'same';
+    const [source, target] = key.split('|||');
+    byLinkKey.set(key, now ? after.byLinkKey.get(key) : { count: was, refIds: [] });
+    changes.set(key, { status, before: was, after: now });
+    links.push({ source, target, value: now || was });
+    if (status === 'added' && beforeNodes.has(source) && beforeNodes.has(target)) {
+      filledGaps.push({ key, source, target, count: now });
+    }
+  }
+
+  const values = (list) => list.map(n => parseNodeId(n.id)).filter(n => n.value !== OTHER_VALUE);
+  return {
+    aggregate: { graph: { nodes, links }, byLinkKey },
+    changes,
+    newValues: values(nodes.filter(n => n.diff === 'added')),
+    removedValues: values(nodes.filter(n => n.diff === 'removed')),
+    filledGaps: filledGaps.sort((a, b) => b.count - a.count),
+  };
+}
+
+// A column both datasets share that identifies papers: the DOI or PMID column, one of idColumns (e.g.
+// the article number) or the title, else the shared column whose values are most distinct and most
+// often found in both. mapping: the project config's citation fields
+export function guessKeyColumn(beforeRows, afterRows, idColumns = [], mapping = {}) {
+  const shared = Object.keys(afterRows[0] || {}).filter(c => c in (beforeRows[0] || {}));
+  const { doi, pmid, title } = referenceFields(afterRows, mapping);
+  for (const c of [doi, pmid, ...idColumns, title]) {
+    if (c && shared.includes(c)) return c;
+  }
+  let best = null;
+  let bestScore = 0;
+  for (const c of shared) {
+    const keys = afterRows.map(r => keyOf(r[c])).filter(Boolean);
+    if (!keys.length) continue;
+    const earlier = new Set(beforeRows.map(r => keyOf(r[c])).filter(Boolean));
+    const score = (new Set(keys).size / afterRows.length) * (keys.filter(k => earlier.has(k)).length / keys.length);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+// Papers matched on the key column. Returns { added: [ids], removed: [earlier ids], changed: [ids], unkeyed }
+// with 1-based row numbers; changed papers have other values in the compared columns than before,
+// unkeyed counts current rows with an empty key
+export function matchPapers(beforeRows, afterRows, config = {}) {
+  const { key, columns = [], split = {}, canon = null } = config;
+  const out = { added: [], removed: [], changed: [], unkeyed: 0 };
+  if (!key) return out;
+  const signature = (row) => columns.map(col => {
+    const vs = splitValues(row[col], split[col]);
+    return [...new Set(canon ? vs.map(v => canon(col, v)) : vs)].sort().join('\u0001');
+  }).join('\u0002');
+
+  const earlier = new Map();
+  beforeRows.forEach((row, idx) => {
+    const k = keyOf(row[key]);
+    if (k && !earlier.has(k)) earlier.set(k, idx);
+  });
+  const seen = new Set();
+  afterRows.forEach((row, idx) => {
+    const k = keyOf(row[key]);
+    if (!k) {
+      out.unkeyed++;
+      return;
+    }
+    seen.add(k);
+    if (!earlier.has(k)) out.added.push(idx + 1);
+    else if (signature(beforeRows[earlier.get(k)]) !== signature(row)) out.changed.push(idx + 1);
+  });
+  for (const [k, idx] of earlier) {
+    if (!seen.has(k)) out.removed.push(idx + 1);
+  }
+  return out;
+}
+
+// One-line summary for the panel header
+export function summarizeDiff(diff, papers) {
+  const parts = [];
+  if (papers.added.length) parts.push(`${papers.added.length} new paper${papers.added.length === 1 ? '' : 's'}`);
+  if (papers.removed.length) parts.push(`${papers.removed.length} removed`);
+  if (diff.newValues.length) parts.push(`${diff.newValues.length} new categor${diff.newValues.length === 1 ? 'y' : 'ies'}`);
+  if (diff.filledGaps.length) parts.push(`${diff.filledGaps.length} gap${diff.filledGaps.length === 1 ? '' : 's'} filled`);
+  return parts.join(' · ') || 'No changes';
+}
+
+export function renderComparePanel(containerEl, diff, papers, handlers = {}) {
+  const { formatLabel = String, describeRow = (id) => `Row ${id}`, columnOf = (layer) => `Column ${layer + 1}` } = handlers;
+  containerEl.innerHTML = '';
+  const nodeName = (id) => {
+    const { layer, value } = parseNodeId(id);
+    return `${value} (${formatLabel(columnOf(layer))})`;
+  };
+
+  const counts = { added: 0, removed: 0, changed: 0 };
+  for (const { status } of diff.changes.values()) {
+    if (status in counts) counts[status]++;
+  }
+  const linksBox = section(containerEl, 'Links');
+  linksBox.appendChild(item(`${counts.added} added · ${counts.removed} removed · ${counts.changed} changed in paper count`));
+
+  const newBox = section(containerEl, `New categories (${diff.newValues.length})`);
+  if (!diff.newValues.length) newBox.appendChild(item('Every category was there before.', 'hint'));
+  list(newBox, diff.newValues, v => `${v.value} (${formatLabel(columnOf(v.layer))})`);
+  if (diff.removedValues.length) {
+    const box = section(containerEl, `Categories no longer present (${diff.removedValues.length})`);
+    list(box, diff.removedValues, v => `${v.value} (${formatLabel(columnOf(v.layer))})`);
+  }
+
+  const gapsBox = section(containerEl, `Newly filled gaps (${diff.filledGaps.length})`);
+  gapsBox.appendChild(item('Combinations of existing categories that no paper covered before.', 'hint'));
+  list(gapsBox, diff.filledGaps, g => `${nodeName(g.source)} → ${nodeName(g.target)}: ${g.count} paper${g.count === 1 ? '' : 's'}`);
+
+  const papersBox = section(containerEl, 'Papers');
+  if (papers.unkeyed) papersBox.appendChild(item(`${papers.unkeyed} current row${papers.unkeyed === 1 ? ' has' : 's have'} no key and could not be matched.`, 'hint'));
+  for (const [title, ids] of [['New', papers.added], ['Recategorised', papers.changed]]) {
+    if (!ids.length) continue;
+    papersBox.appendChild(item(`${title} (${ids.length})`, 'alias-heading'));
+    list(papersBox, ids, describeRow);
+  }
+  if (papers.removed.length) papersBox.appendChild(item(`${papers.removed.length} earlier paper${papers.removed.length === 1 ? ' is' : 's are'} no longer in the dataset.`));
+}
+
+function keyOf(v) {
+  return String(v ?? '').trim().toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, '');
+}
+
+function section(containerEl, title) {
+  const box = document.createElement('div');
+  box.className = 'filter-col diag-section';
+  const h = document.createElement('div');
+  h.className = 'alias-heading';
+  h.textContent = title;
+  box.appendChild(h);
+  containerEl.appendChild(box);
+  return box;
+}
+
+function item(text, className = '') {
+  const div = document.createElement('div');
+  if (className) div.className = className;
+  div.textContent = text;
+  return div;
+}
+
+function list(box, entries, describe) {
+  if (!entries.length) return;
+  const ul = document.createElement('ul');
+  ul.className = 'diag-rows';
+  entries.slice(0, MAX_LISTED).forEach(e => {
+    const li = document.createElement('li');
+    li.textContent = describe(e);
+    ul.appendChild(li);
+  });
+  box.appendChild(ul);
+  if (entries.length > MAX_LISTED) box.appendChild(item(`+${entries.length - MAX_LISTED} more`, 'hint'));
+}
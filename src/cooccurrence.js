@@ -0,0 +1,52 @@
+// Value co-occurrence within papers
+// Exports: buildCooccurrence(rows, columns, options)
+// options: { split, include, canon, limit }
+// Returns { items, pairs }:
+//   items: [{ id, layer, column, value, refIds }], the `limit` values with the most papers across the
+//     columns; ids are "L<layer>:<value>" as in buildGraph, so equal values in two columns stay apart
+//   pairs: [{ source, target, refIds }] item indices (source < target) of values found in the same paper
+// With one split column this answers "which values go together", with several it also pairs across columns.
+
+import { splitValues } from './core.js';
+
+export function buildCooccurrence(rows, columns, options = {}) {
+  const { split = {}, include = null, canon = null, limit = 40 } = options;
+  const getVals = (row, col) => {
+    const vs = splitValues(row[col], split[col]);
+    return canon ? [...new Set(vs.map(v => canon(col, v)))] : vs;
+  };
+
+  const byId = new Map();
+  const papers = []; // [refId, item ids]
+  rows.forEach((row, idx) => {
+    if (include && !include.has(idx)) return;
+    const ids = [];
+    columns.forEach((column, layer) => {
+      for (const value of getVals(row, column)) {
+        const id = `L${layer}:${value}`;
+        if (!byId.has(id)) byId.set(id, { id, layer, column, value, refIds: [] });
+        byId.get(id).refIds.push(idx + 1);
+        ids.push(id);
+      }
+    });
+    if (ids.length) papers.push([idx + 1, ids]);
+  });
+
+  const items = [...byId.values()]
+    .sort((a, b) => b.refIds.length - a.refIds.length || a.value.localeCompare(b.value))
+    .slice(0, limit);
+  const index = new Map(items.map((item, i) => [item.id, i]));
+
+  const byPair = new Map();
+  for (const [ref, ids] of papers) {
+    const kept = ids.map(id => index.get(id)).filter(i => i !== undefined).sort((a, b) => a - b);
+    for (let a = 0; a < kept.length; a++) {
+      for (let b = a + 1; b < kept.length; b++) {
+        const key = `${kept[a]},${kept[b]}`;
+        if (!byPair.has(key)) byPair.set(key, { source: kept[a], target: kept[b], refIds: [] });
+        byPair.get(key).refIds.push(ref);
+      }
+    }
+  }
+  return { items, pairs: [...byPair.values()] };
+}
@@ -0,0 +1,229 @@
+// Data-processing core
+// Exports: OTHER_VALUE, buildGraph(rows, columns, options), parseNodeId(id), splitValues(v, delimiters),
+//          buildLinkTable(rows, config), linkTable(aggregate, columns), LINK_TABLE_HEADER, toCsv(rows, header),
+//          isIdColumn(name, hidden, columns), columnLabel(name, labels), defaultColumns(columns, preferred, minimum)
+// Pure functions with no DOM or D3 dependency: the page, the worker and the Node command (bin/fieldscope.mjs)
+// share them. Rows are the plain objects importers.js produces, one per paper; reference numbers are
+// the 1-based row positions.
+
+// Node value standing for the values folded by topN; shown as "Other (n)"
+export const OTHER_VALUE = '__other__';
+const PROGRESS_ROWS = 2000; // buildGraph reports progress every this many rows
+
+export const LINK_TABLE_HEADER = ['Source column', 'Source', 'Target column', 'Target', 'Count', 'Reference IDs'];
+
+// One node per distinct value of each column (layer) and one link per value pair of adjacent columns.
+// Returns { graph: { nodes, links }, byLinkKey: Map "srcId|||tgtId" -> { count, refIds }, refCountMax }
+// options: { split, include, canon, topN, expanded, onProgress(done, total) }
+//   split: { column: delimiters }; include: Set of 0-based row indices; canon: (column, value) -> label
+//   topN / expanded: fold all but the N most frequent values of each layer into an "Other" node, except
+//     in the expanded layers. Folded nodes carry other: [values, most frequent first]
+export function buildGraph(rows, columns, options = {}) {
+  const { split = {}, include = null, canon = null, topN = 0, expanded = [], onProgress = null } = options;
+  // One node map per column (layer); ids carry the layer so equal values in
+  // different columns stay distinct nodes
+  const layers = columns.map(() => new Map());
+
+  const byLinkKey = new Map(); // key: srcId|||tgtId -> { count, refIds }
+
+  const getVals = (row, col) => {
+    const vs = splitValues(row[col], split[col]);
+    return canon ? [...new Set(vs.map(v => canon(col, v)))] : vs;
+  };
+  const nodeId = (layer, value) => `L${layer}:${value}`;
+
+  const total = include ? include.size : rows.length;
+  const rowValues = []; // [idx, values per layer] of the included rows
+  rows.forEach((row, idx) => {
+    if (include && !include.has(idx)) return;
+    rowValues.push([idx, columns.map(col => getVals(row, col))]);
+    if (onProgress && rowValues.length % PROGRESS_ROWS === 0) onProgress(rowValues.length, total);
+  });
+
+  // Values beyond the top N of a layer (by paper count) share one Other node;
+  // folding a single value would gain nothing
+  const folded = columns.map((col, layer) => {
+    if (!(topN > 0) || expanded.includes(layer)) return null;
+    const counts = new Map();
+    for (const [, values] of rowValues) {
+      for (const v of values[layer]) counts.set(v, (counts.get(v) || 0) + 1);
+    }
+    if (counts.size <= topN + 1) return null;
+    const ranked = [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+    return new Set(ranked.slice(topN).map(([v]) => v));
+  });
+  const otherNode = (layer) => ({
+    id: nodeId(layer, OTHER_VALUE),
+    name: `Other (${folded[layer].size})`,
+    layer,
+    other: [...folded[layer]],
+  });
+
+  for (const [idx, raw] of rowValues) {
+    const values = raw.map((vs, layer) => (folded[layer]
+      ? [...new Set(vs.map(v => (folded[layer].has(v) ? OTHER_VALUE : v)))]
+      : vs));
+    values.forEach((vs, layer) => {
+      for (const v of vs) {
+        if (layers[layer].has(v)) continue;
+        layers[layer].set(v, v === OTHER_VALUE && folded[layer] ? otherNode(layer) : { id: nodeId(layer, v), name: v, layer });
+      }
+    });
+
+    // Link each pair of adjacent layers, one link per source×target value
+    // pair; empty cells contribute no links
+    for (let i = 0; i < values.length - 1; i++) {
+      for (const s of values[i]) {
+        for (const t of values[i + 1]) {
+          const key = `${nodeId(i, s)}|||${nodeId(i + 1, t)}`;
+          const entry = byLinkKey.get(key) || { count: 0, refIds: [] };
+          entry.count += 1;
+          entry.refIds.push(idx + 1); // reference numbering starts at 1
+          byLinkKey.set(key, entry);
+        }
+      }
+    }
+  }
+  if (onProgress) onProgress(total, total);
+
+  const links = [];
+  const linked = new Set();
+  for (const [key, { count }] of byLinkKey.entries()) {
+    const [sId, tId] = key.split('|||');
+    linked.add(sId);
+    linked.add(tId);
+    // Use node ids to match nodeId accessor in sankey
+    links.push({
+      source: sId,
+      target: tId,
+      value: count,
+    });
+  }
+
+  // Drop values that never take part in a link (e.g. neighbours always empty)
+  const nodes = layers.flatMap(m => [...m.values()]).filter(n => linked.has(n.id));
+
+  const graph = { nodes: nodes.map(d => ({ ...d })), links };
+  const refCountMax = links.reduce((max, d) => Math.max(max, d.value), 1);
+  return { graph, byLinkKey, refCountMax };
+}
+
+// "L2:Mouse" -> { layer: 2, value: "Mouse" }
+export function parseNodeId(id) {
+  const m = /^L(\d+):([\s\S]*)$/.exec(String(id));
+  return m ? { layer: Number(m[1]), value: m[2] } : null;
+}
+
+// Split a cell into distinct trimmed values on any of the delimiter characters
+export function splitValues(v, delimiters) {
+  const s = safeStr(v);
+  if (!s) return [];
+  if (!delimiters || !delimiters.trim()) return [s];
+  const escaped = [...delimiters].filter(c => c.trim()).map(c => c.replace(/[\\^$.*+?()[\]{}|\-]/g, '\\$&')).join('');
+  const parts = s.split(new RegExp(`[${escaped}]`)).map(p => p.trim()).filter(Boolean);
+  return [...new Set(parts)];
+}
+
+// One row per link (LINK_TABLE_HEADER keys): the same aggregation the chart is drawn from
+// config: { columns, split, include, canon }
+export function buildLinkTable(rows, config = {}) {
+  const { columns = [], split = {}, include = null, canon = null } = config;
+  return linkTable(buildGraph(rows, columns, { split, include, canon }), columns);
+}
+
+// The same rows for an aggregate from buildGraph, e.g. the one on screen with Top N folding and a link
+// filter applied; folded values are named like their "Other (n)" node
+export function linkTable(aggregate, columns) {
+  const names = new Map(aggregate.graph.nodes.map(n => [n.id, n.name]));
+  const nameOf = (id) => names.get(id) ?? parseNodeId(id).value;
+  const table = [];
+  for (const [key, { count, refIds }] of aggregate.byLinkKey.entries()) {
+    const [sId, tId] = key.split('|||');
+    table.push({
+      'Source column': columns[parseNodeId(sId).layer],
+      Source: nameOf(sId),
+      'Target column': columns[parseNodeId(tId).layer],
+      Target: nameOf(tId),
+      Count: count,
+      'Reference IDs': refIds.join(', '),
+    });
+  }
+  return table;
+}
+
+// RFC 4180 CSV of row objects, columns in header order
+export function toCsv(rows, header) {
+  const cell = (v) => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows.map(r => header.map(h => r[h]))].map(line => line.map(cell).join(',')).join('\n') + '\n';
+}
+
+// Numbering and id columns (article number, row id, ...) that make no sense as a chain column.
+// hidden: a project config's list of such columns, used instead of the guess when it names one of the
+// dataset's columns (an empty list hides none)
+export function isIdColumn(name, hidden = null, columns = []) {
+  if (hidden && (!hidden.length || hidden.some(c => columns.includes(c)))) return hidden.includes(name);
+  const n = String(name || '').toLowerCase().trim();
+  // Generic words only match a whole header ("3. ID"), so "Cell number" or "Validation" stay
+  const bare = n.replace(/^\s*\d+\s*[\.\-\):]\s*/, '');
+  const words = ['id', 'number', 'index', 'row', 'no', '#'];
+  const bads = [
+    'article number','articlenumber','article no','article #','article id',
+    'reference number','ref number','refno','ref id','reference id',
+    'row id','rowid','paper id'
+  ];
+  return words.includes(bare) || bads.some(b => n === b || n.includes(b));
+}
+
+// Display name of a column: the label given for it, else the header without its leading number
+// ("3.domain" -> "Domain")
+export function columnLabel(name, labels = {}) {
+  if (labels?.[name]) return labels[name];
+  let s = String(name || '');
+  // Remove leading numbering like "1.", "2)", "3-", "4:"
+  s = s.replace(/^\s*\d+\s*[\.\-\):]\s*/,'');
+  s = s.replace(/_/g,' ').trim();
+  if (!s) return '';
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// Initial chain: the preferred columns (e.g. a project config's defaultColumns) that exist, if at least
+// minimum of them do (the view's minColumns), else the guessed pair below
+export function defaultColumns(columns, preferred = [], minimum = 2) {
+  const configured = (preferred || []).filter(c => columns.includes(c));
+  if (configured.length && configured.length >= minimum) return configured;
+  const [src, tgt] = guessColumnPair(columns);
+  return [src || columns[0], tgt || columns[1]].filter(Boolean);
+}
+
+// Prefer a source containing both 'stage' and 'gastrulation', and a target mentioning 1D/2D/3D or
+// dimensionality; [null, null] without columns
+function guessColumnPair(columns) {
+  if (!columns || !columns.length) return [null, null];
+  const lowers = columns.map(c => (c || '').toString().toLowerCase());
+  const findIndex = (pred) => lowers.findIndex(pred);
+  const hasAny = (...subs) => (k) => subs.some(sub => k.includes(sub));
+
+  let srcIdx = findIndex(k => k.includes('stage') && k.includes('gastrulation'));
+  if (srcIdx === -1) srcIdx = findIndex(k => k.includes('stage in gastrulation'));
+
+  let tgtIdx = findIndex(hasAny('1d','2d','3d','dimensional','dimension'));
+
+  if (srcIdx === -1 && tgtIdx === -1) return [columns[0] || null, columns[1] || null];
+  if (srcIdx === -1) srcIdx = lowers.findIndex((_, i) => i !== tgtIdx);
+  if (tgtIdx === -1) tgtIdx = lowers.findIndex((_, i) => i !== srcIdx);
+  if (srcIdx === -1 || tgtIdx === -1) return [columns[0] || null, columns[1] || null];
+  if (srcIdx === tgtIdx) {
+    const alt = lowers.findIndex((_, i) => i !== srcIdx);
+    if (alt !== -1) tgtIdx = alt;
+  }
+  return [columns[srcIdx], columns[tgtIdx]];
+}
+
+function safeStr(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v).trim();
+  return s;
+}
@@ -0,0 +1,82 @@
+// Datasets saved in the browser
+// Exports: saveDataset(name, buffer), listDatasets(), loadDataset(id), deleteDataset(id)
+// Uploaded files are stored in IndexedDB as the bytes that were read, so they can be parsed again
+// after a reload or offline. Only the MAX_DATASETS most recently opened are kept; saving a file with
+// the name of a saved one replaces it.
+// An entry is { id, name, size, openedAt }; every function returns a promise, rejected when IndexedDB
+// is unavailable (e.g. some private browsing modes).
+
+const DB_NAME = 'fieldscope';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+const MAX_DATASETS = 8;
+
+let dbPromise = null;
+
+// Resolves to the new entry
+export async function saveDataset(name, buffer) {
+  const existing = (await listDatasets()).find(d => d.name === name);
+  const record = { name, size: buffer.byteLength, openedAt: Date.now(), buffer };
+  if (existing) record.id = existing.id;
+  const id = await request(STORE, 'readwrite', store => store.put(record));
+  await prune();
+  return { id, name, size: record.size, openedAt: record.openedAt };
+}
+
+// Most recently opened first, without the file contents
+export async function listDatasets() {
+  const records = await request(STORE, 'readonly', store => store.getAll());
+  return records
+    .map(({ id, name, size, openedAt }) => ({ id, name, size, openedAt }))
+    .sort((a, b) => b.openedAt - a.openedAt);
+}
+
+// { id, name, buffer }, or null when the entry is gone; marks it as just opened
+export async function loadDataset(id) {
+  const record = await request(STORE, 'readonly', store => store.get(id));
+  if (!record) return null;
+  record.openedAt = Date.now();
+  await request(STORE, 'readwrite', store => store.put(record));
+  return { id: record.id, name: record.name, buffer: record.buffer };
+}
+
+export function deleteDataset(id) {
+  return request(STORE, 'readwrite', store => store.delete(id));
+}
+
+async function prune() {
+  const stale = (await listDatasets()).slice(MAX_DATASETS);
+  for (const { id } of stale) await deleteDataset(id);
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let a later call try again
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result once the transaction completes
+async function request(storeName, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage request aborted'));
+  });
+}
@@ -0,0 +1,166 @@
+// Data quality report
+// Exports: scanChain(rows, config), diagnoseDataset(rows, config), summarizeReport(report),
+//          renderDiagnosticsPanel(containerEl, report, handlers)
+// config: { chain, split, canon, include, visible, hiddenColumns, shownColumns, errors, scan }
+//   include: rows kept by the filters, visible: rows left after the timeline too (null = all rows)
+//   scan: a scanChain result for the same rows, chain, split and canon, reused instead of rescanning
+//   hiddenColumns: columns the dropdowns leave out; shownColumns: those the user brought back
+// handlers: { onShowColumn(column, show), describeRow(id) -> text, formatLabel(column) }
+// Row ids are 1-based reference numbers, like everywhere else.
+
+import { splitValues } from './core.js';
+import { countValues, suggestMerges } from './normalize.js';
+
+const MAX_LISTED_ROWS = 50;
+const MAX_SIMILAR = 5;
+const REASONS = {
+  filtered: 'hidden by filters',
+  timeline: 'outside the timeline years',
+  unlinked: 'no two adjacent columns filled',
+};
+
+// The part of the report that only depends on the rows, chain, split and canon (the slow part: value
+// counts and similar labels). Returns { gaps, columns }
+//   gaps: per row { missing: empty chain columns, linked }; a row is linked when at least one adjacent
+//   column pair has values on both sides (or, with a single column, when that column has a value)
+//   columns: per chain column { column, empty, similar }
+export function scanChain(rows, config = {}) {
+  const { chain = [], split = {}, canon = null } = config;
+  const hasValue = (row, col) => splitValues(row[col], split[col]).length > 0;
+  const gaps = rows.map(row => {
+    const filled = chain.map(col => hasValue(row, col));
+    return {
+      missing: chain.filter((col, i) => !filled[i]),
+      linked: chain.length === 1 ? filled[0] : filled.some((f, i) => f && filled[i + 1]),
+    };
+  });
+  const columns = chain.map(column => {
+    const empty = gaps.filter(g => g.missing.includes(column)).length;
+    const values = countValues(rows, column, { split, canon: canon || ((c, v) => v) });
+    const similar = suggestMerges(values, { limit: MAX_SIMILAR });
+    return { column, empty, similar };
+  });
+  return { gaps, columns };
+}
+
+export function diagnoseDataset(rows, config = {}) {
+  const {
+    include = null, visible = include, hiddenColumns = [], shownColumns = [], errors = [],
+  } = config;
+  const scan = config.scan || scanChain(rows, config);
+
+  const excluded = [];
+  const partial = [];
+  scan.gaps.forEach(({ missing, linked }, idx) => {
+    const id = idx + 1;
+    const reasons = [];
+    if (include && !include.has(idx)) reasons.push('filtered');
+    else if (visible && !visible.has(idx)) reasons.push('timeline');
+    if (!linked) reasons.push('unlinked');
+    if (reasons.length) excluded.push({ id, reasons, missing });
+    else if (missing.length) partial.push({ id, missing });
+  });
+
+  return {
+    rows: rows.length,
+    excluded,
+    partial,
+    columns: scan.columns,
+    hidden: hiddenColumns.map(column => ({ column, shown: shownColumns.includes(column) })),
+    errors,
+  };
+}
+
+// One-line summary for the panel header
+export function summarizeReport(report) {
+  const parts = [];
+  if (report.excluded.length) parts.push(`${report.excluded.length} of ${report.rows} rows not in the chart`);
+  const similar = report.columns.reduce((n, c) => n + c.similar.length, 0);
+  if (similar) parts.push(`${similar} similar label group${similar === 1 ? '' : 's'}`);
+  const hidden = report.hidden.filter(h => !h.shown).length;
+  if (hidden) parts.push(`${hidden} hidden column${hidden === 1 ? '' : 's'}`);
+  if (report.errors.length) parts.push(`${report.errors.length} error${report.errors.length === 1 ? '' : 's'}`);
+  return parts.join(' · ') || 'No issues found';
+}
+
+export function renderDiagnosticsPanel(containerEl, report, handlers = {}) {
+  const { onShowColumn = () => {}, describeRow = (id) => `Row ${id}`, formatLabel = String } = handlers;
+  containerEl.innerHTML = '';
+
+  if (report.errors.length) {
+    const box = section(containerEl, 'Load errors');
+    for (const e of report.errors) box.appendChild(item(`${e.source}: ${e.message}`, 'diag-error'));
+  }
+
+  const excludedBox = section(containerEl, `Rows not in the chart (${report.excluded.length})`);
+  if (!report.excluded.length) excludedBox.appendChild(item('Every row contributes at least one link.', 'hint'));
+  const emptyNote = (missing) => (missing.length ? `empty: ${missing.map(formatLabel).join(', ')}` : '');
+  listRows(excludedBox, report.excluded, r => {
+    const reasons = r.reasons.map(code => (code === 'unlinked' && r.missing.length ? emptyNote(r.missing) : REASONS[code]));
+    return `${describeRow(r.id)} — ${reasons.join('; ')}`;
+  });
+
+  if (report.partial.length) {
+    const box = section(containerEl, `Rows with gaps (${report.partial.length})`);
+    box.appendChild(item('Charted, but with no node in some columns, so their flow stops early or starts late.', 'hint'));
+    listRows(box, report.partial, r => `${describeRow(r.id)} — ${emptyNote(r.missing)}`);
+  }
+
+  const valuesBox = section(containerEl, 'Values in the chart columns');
+  for (const c of report.columns) {
+    const line = [`${formatLabel(c.column)}: ${c.empty} empty`];
+    if (c.similar.length) {
+      line.push(`similar labels ${c.similar.map(s => [s.canonical, ...s.members].join(' ~ ')).join('; ')}`);
+    }
+    valuesBox.appendChild(item(line.join(' · ')));
+  }
+  if (report.columns.some(c => c.similar.length)) {
+    valuesBox.appendChild(item('Merge similar labels in the Labels panel.', 'hint'));
+  }
+
+  if (report.hidden.length) {
+    const box = section(containerEl, 'Columns hidden from the dropdowns');
+    box.appendChild(item('These look like row numbers or ids. Tick a column to offer it anyway.', 'hint'));
+    for (const h of report.hidden) {
+      const label = document.createElement('label');
+      label.className = 'filter-option';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = h.shown;
+      cb.addEventListener('change', () => onShowColumn(h.column, cb.checked));
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(` ${formatLabel(h.column)}`));
+      box.appendChild(label);
+    }
+  }
+}
+
+function section(containerEl, title) {
+  const box = document.createElement('div');
+  box.className = 'filter-col diag-section';
+  const h = document.createElement('div');
+  h.className = 'alias-heading';
+  h.textContent = title;
+  box.appendChild(h);
+  containerEl.appendChild(box);
+  return box;
+}
+
+function item(text, className = '') {
+  const div = document.createElement('div');
+  if (className) div.className = className;
+  div.textContent = text;
+  return div;
+}
+
+function listRows(box, rows, describe) {
+  const list = document.createElement('ul');
+  list.className = 'diag-rows';
+  rows.slice(0, MAX_LISTED_ROWS).forEach(r => {
+    const li = document.createElement('li');
+    li.textContent = describe(r);
+    list.appendChild(li);
+  });
+  box.appendChild(list);
+  if (rows.length > MAX_LISTED_ROWS) box.appendChild(item(`+${rows.length - MAX_LISTED_ROWS} more`, 'hint'));
+}
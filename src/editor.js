@@ -0,0 +1,197 @@
+// Spreadsheet editor
+// Exports: applyEdit(rows, edit), invertEdit(edit), createHistory(limit), renderEditor(containerEl, rows, config)
+// An edit is { type: 'cell', index, column, before, after } | { type: 'insert', index, row } |
+// { type: 'delete', index, row }, index being the 0-based row position. applyEdit returns a new rows
+// array (an edited row is copied too), so the rows handed to the chart before stay as they were.
+// config: { columns, page, pageSize, onEdit(edit), onPage(page), suggest(column) -> values,
+//           formatLabel(column), isHidden(index) }
+//   suggest: values offered in a cell's dropdown (existing values of its column)
+//   isHidden: rows the filters leave out of the chart are dimmed, not hidden
+// Cell edits are committed when the input loses focus or on Enter, one edit per changed cell.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_SUGGESTIONS = 200;
+
+export function applyEdit(rows, edit) {
+  const out = rows.slice();
+  if (edit.type === 'cell') {
+    out[edit.index] = { ...out[edit.index], [edit.column]: edit.after };
+  } else if (edit.type === 'insert') {
+    out.splice(edit.index, 0, { ...edit.row });
+  } else if (edit.type === 'delete') {
+    out.splice(edit.index, 1);
+  }
+  return out;
+}
+
+export function invertEdit(edit) {
+  if (edit.type === 'cell') return { ...edit, before: edit.after, after: edit.before };
+  return { ...edit, type: edit.type === 'insert' ? 'delete' : 'insert' };
+}
+
+// Undo/redo stacks of edits. undo() returns the edit that reverts the last one (null when there is
+// none), redo() the edit to apply again; the caller applies them with applyEdit
+export function createHistory(limit = 500) {
+  let done = [];
+  let undone = [];
+  return {
+    push(edit) {
+      done.push(edit);
+      if (done.length > limit) done.shift();
+      undone = [];
+    },
+    undo() {
+      const edit = done.pop();
+      if (!edit) return null;
+      undone.push(edit);
+      return invertEdit(edit);
+    },
+    redo() {
+      const edit = undone.pop();
+      if (!edit) return null;
+      done.push(edit);
+      return edit;
+    },
+    canUndo: () => done.length > 0,
+    canRedo: () => undone.length > 0,
+    clear() {
+      done = [];
+      undone = [];
+    },
+  };
+}
+
+export function renderEditor(containerEl, rows, config = {}) {
+  const {
+    columns = [], page = 0, pageSize = DEFAULT_PAGE_SIZE, onEdit = () => {}, onPage = () => {},
+    suggest = () => [], formatLabel = String, isHidden = () => false,
+  } = config;
+  containerEl.innerHTML = '';
+  if (!columns.length) {
+    containerEl.innerHTML = '<div class="hint">Load a dataset to edit it.</div>';
+    return;
+  }
+
+  const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  const start = current * pageSize;
+  const end = Math.min(rows.length, start + pageSize);
+
+  // One suggestion list per column, shared by its cells
+  const listId = (i) => `editor-suggest-${i}`;
+  columns.forEach((column, i) => {
+    const list = document.createElement('datalist');
+    list.id = listId(i);
+    for (const value of suggest(column).slice(0, MAX_SUGGESTIONS)) {
+      const o = document.createElement('option');
+      o.value = value;
+      list.appendChild(o);
+    }
+    containerEl.appendChild(list);
+  });
+
+  const scroller = document.createElement('div');
+  scroller.className = 'editor-scroll';
+  const table = document.createElement('table');
+  table.className = 'editor-grid';
+  const caption = document.createElement('caption');
+  caption.className = 'visually-hidden';
+  caption.textContent = `Dataset rows ${start + 1} to ${end} of ${rows.length}`;
+  table.appendChild(caption);
+
+  const head = table.createTHead().insertRow();
+  const corner = document.createElement('th');
+  corner.scope = 'col';
+  corner.textContent = '#';
+  head.appendChild(corner);
+  for (const column of columns) {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = formatLabel(column);
+    th.title = column;
+    head.appendChild(th);
+  }
+  head.appendChild(document.createElement('th'));
+
+  // Rows as edited since this render, so a deleted row is restored by undo with its cell edits
+  const live = rows.slice(start, end);
+  const body = table.createTBody();
+  for (let index = start; index < end; index++) {
+    const row = rows[index];
+    const tr = body.insertRow();
+    tr.classList.toggle('filtered-out', isHidden(index));
+    const num = document.createElement('th');
+    num.scope = 'row';
+    num.textContent = String(index + 1);
+    tr.appendChild(num);
+    columns.forEach((column, i) => {
+      const td = tr.insertCell();
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'editor-cell';
+      // defaultValue holds the committed text, so a cell with pending typing can be told apart
+      let committed = row[column] ?? '';
+      input.defaultValue = cellText(committed);
+      input.setAttribute('list', listId(i));
+      input.setAttribute('aria-label', `${formatLabel(column)}, row ${index + 1}`);
+      input.dataset.row = String(index);
+      input.dataset.col = String(i);
+      input.addEventListener('change', () => {
+        if (input.value === input.defaultValue) return;
+        const before = committed;
+        committed = typedValue(input.value, before);
+        input.defaultValue = input.value;
+        live[index - start] = { ...live[index - start], [column]: committed };
+        onEdit({ type: 'cell', index, column, before, after: committed });
+      });
+      input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') input.blur();
+        if (event.key === 'Escape') input.value = input.defaultValue;
+      });
+      td.appendChild(input);
+    });
+    const actions = tr.insertCell();
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'btn slot-btn';
+    del.textContent = '×';
+    del.title = `Delete row ${index + 1}`;
+    del.setAttribute('aria-label', `Delete row ${index + 1}`);
+    del.addEventListener('click', () => onEdit({ type: 'delete', index, row: live[index - start] }));
+    actions.appendChild(del);
+  }
+  scroller.appendChild(table);
+  containerEl.appendChild(scroller);
+
+  if (pages > 1) {
+    const pager = document.createElement('div');
+    pager.className = 'editor-pager';
+    const button = (text, label, target) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'btn slot-btn';
+      b.textContent = text;
+      b.setAttribute('aria-label', label);
+      b.disabled = target < 0 || target >= pages;
+      b.addEventListener('click', () => onPage(target));
+      return b;
+    };
+    pager.appendChild(button('‹', 'Previous rows', current - 1));
+    const status = document.createElement('span');
+    status.className = 'status';
+    status.textContent = `Rows ${start + 1}–${end} of ${rows.length}`;
+    pager.appendChild(status);
+    pager.appendChild(button('›', 'Next rows', current + 1));
+    containerEl.appendChild(pager);
+  }
+}
+
+// Numbers stay numbers in the saved workbook when the cell held one
+function typedValue(text, before) {
+  const n = Number(text);
+  return typeof before === 'number' && text.trim() !== '' && Number.isFinite(n) ? n : text;
+}
+
+function cellText(v) {
+  return v === null || v === undefined ? '' : String(v);
+}
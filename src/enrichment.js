@@ -0,0 +1,178 @@
+// Link enrichment statistics
+// Exports: LINK_FILTERS, scoreLinks(aggregate, options), describeScore(score), formatPValue(p),
+//          filterLinks(aggregate, stats, mode), ENRICHMENT_HEADER, enrichmentTable(aggregate, stats, columns)
+// Scores every source×target combination of each adjacent column pair against independence. The link
+// counts of a pair form its contingency table; a combination is expected in R·C/N papers, R and C being
+// its source's and target's totals and N the pair's total. Fisher's exact test (two-sided) gives its
+// p-value, and the p-values of all combinations in the chain are adjusted together for multiple testing.
+// A combination seen significantly less often than expected is a gap, significantly more often, enriched.
+// Combinations without papers are scored too, under the link key the chart would give them.
+// Like the link counts, a paper with several values in a split column counts once per value, so the test
+// treats those as independent observations.
+// aggregate: { graph, byLinkKey } from buildGraph
+// Pure functions, shared by the page and the Node command.
+
+import { parseNodeId } from './core.js';
+
+// Link filter modes for filterLinks: [mode, label]
+export const LINK_FILTERS = [
+  ['all', 'All links'],
+  ['significant', 'Significant'],
+  ['enriched', 'Over-represented'],
+  ['gaps', 'Under-represented'],
+];
+
+export const ENRICHMENT_HEADER = [
+  'Source column', 'Source', 'Target column', 'Target',
+  'Observed', 'Expected', 'Observed/expected', 'p', 'Adjusted p', 'Result',
+];
+
+// Returns { scores: Map key -> score, alpha, correction, tested }
+//   score: { layer, source, target, observed, expected, ratio, p, q, direction: 'over' | 'under' | 'none',
+//            significant, gap, enriched }; q is the adjusted p-value, significant means q < alpha
+// options: { alpha = 0.05, correction: 'bh' (Benjamini–Hochberg, default) | 'bonferroni' | 'none' }
+export function scoreLinks(aggregate, options = {}) {
+  const { alpha = 0.05, correction = 'bh' } = options;
+  const rowTotals = new Map();
+  const colTotals = new Map();
+  const pairTotals = new Map(); // source layer -> N
+  const add = (map, key, n) => map.set(key, (map.get(key) || 0) + n);
+  for (const [key, { count }] of aggregate.byLinkKey) {
+    const [sId, tId] = key.split('|||');
+    add(rowTotals, sId, count);
+    add(colTotals, tId, count);
+    add(pairTotals, parseNodeId(sId).layer, count);
+  }
+
+  const N = Math.max(0, ...pairTotals.values());
+  const logFact = logFactorials(N);
+  const scores = new Map();
+  for (const [layer, total] of pairTotals) {
+    const sources = [...rowTotals].filter(([id]) => parseNodeId(id).layer === layer);
+    const targets = [...colTotals].filter(([id]) => parseNodeId(id).layer === layer + 1);
+    for (const [sId, R] of sources) {
+      for (const [tId, C] of targets) {
+        const key = `${sId}|||${tId}`;
+        const observed = aggregate.byLinkKey.get(key)?.count || 0;
+        const expected = (R * C) / total;
+        scores.set(key, {
+          layer,
+          source: sId,
+          target: tId,
+          observed,
+          expected,
+          ratio: expected ? observed / expected : 1,
+          p: fisherExact(observed, R, C, total, logFact),
+          direction: observed > expected ? 'over' : observed < expected ? 'under' : 'none',
+        });
+      }
+    }
+  }
+
+  const list = [...scores.values()];
+  const adjusted = adjust(list.map(s => s.p), correction);
+  list.forEach((s, i) => {
+    s.q = adjusted[i];
+    s.significant = s.q < alpha && s.direction !== 'none';
+    s.gap = s.significant && s.direction === 'under';
+    s.enriched = s.significant && s.direction === 'over';
+  });
+  return { scores, alpha, correction, tested: list.length };
+}
+
+// Tooltip lines for a score; '' without one
+export function describeScore(score) {
+  if (!score) return '';
+  const verdict = score.gap ? ': significant gap' : score.enriched ? ': significantly over-represented' : '';
+  return `Expected: ${formatNumber(score.expected)} (observed/expected ${formatNumber(score.ratio, 2)})\n`
+    + `Adjusted p = ${formatPValue(score.q)}${verdict}`;
+}
+
+// Three decimals, or scientific notation below 0.001
+export function formatPValue(p) {
+  return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+}
+
+// The aggregate with only the links passing a LINK_FILTERS mode; nodes left without links are dropped.
+// stats: the scoreLinks result for this aggregate
+export function filterLinks(aggregate, stats, mode = 'all') {
+  if (mode === 'all') return aggregate;
+  const pass = (key) => {
+    const s = stats.scores.get(key);
+    if (!s) return false;
+    return mode === 'gaps' ? s.gap : mode === 'enriched' ? s.enriched : s.significant;
+  };
+  const byLinkKey = new Map([...aggregate.byLinkKey].filter(([key]) => pass(key)));
+  const links = aggregate.graph.links.filter(l => pass(`${l.source}|||${l.target}`));
+  const linked = new Set(links.flatMap(l => [l.source, l.target]));
+  const nodes = aggregate.graph.nodes.filter(n => linked.has(n.id));
+  return { ...aggregate, graph: { nodes, links }, byLinkKey };
+}
+
+// One row per scored combination (ENRICHMENT_HEADER keys), pair by pair, most significant first
+export function enrichmentTable(aggregate, stats, columns) {
+  const names = new Map(aggregate.graph.nodes.map(n => [n.id, n.name]));
+  const nameOf = (id) => names.get(id) ?? parseNodeId(id).value;
+  return [...stats.scores.values()]
+    .sort((a, b) => a.layer - b.layer || a.q - b.q || a.p - b.p || b.observed - a.observed)
+    .map(s => ({
+      'Source column': columns[s.layer],
+      Source: nameOf(s.source),
+      'Target column': columns[s.layer + 1],
+      Target: nameOf(s.target),
+      Observed: s.observed,
+      Expected: round(s.expected, 3),
+      'Observed/expected': round(s.ratio, 3),
+      p: Number(s.p.toPrecision(4)),
+      'Adjusted p': Number(s.q.toPrecision(4)),
+      Result: s.gap ? 'gap' : s.enriched ? 'enriched' : '',
+    }));
+}
+
+// Two-sided Fisher's exact test of a 2×2 table given by a cell (k), its row and column totals and the
+// grand total: the summed probability of all tables with those margins no more likely than this one
+function fisherExact(k, R, C, N, logFact) {
+  const lo = Math.max(0, R + C - N);
+  const hi = Math.min(R, C);
+  const base = logFact[R] + logFact[N - R] + logFact[C] + logFact[N - C] - logFact[N];
+  const logP = (x) => base - logFact[x] - logFact[R - x] - logFact[C - x] - logFact[N - R - C + x];
+  const limit = logP(k) + 1e-7; // tolerance for ties in floating point
+  let p = 0;
+  for (let x = lo; x <= hi; x++) {
+    const lp = logP(x);
+    if (lp <= limit) p += Math.exp(lp);
+  }
+  return Math.min(1, p);
+}
+
+function logFactorials(n) {
+  const out = new Float64Array(n + 1);
+  for (let i = 2; i <= n; i++) out[i] = out[i - 1] + Math.log(i);
+  return out;
+}
+
+// Adjusted p-values in the input order
+function adjust(ps, correction) {
+  const m = ps.length;
+  if (correction === 'none') return ps.slice();
+  if (correction === 'bonferroni') return ps.map(p => Math.min(1, p * m));
+  // Benjamini–Hochberg step-up: q(i) = min over j ≥ i of p(j)·m/j, by ascending p
+  const order = ps.map((p, i) => i).sort((a, b) => ps[a] - ps[b]);
+  const out = new Array(m);
+  let min = 1;
+  for (let rank = m; rank >= 1; rank--) {
+    const i = order[rank - 1];
+    min = Math.min(min, (ps[i] * m) / rank);
+    out[i] = min;
+  }
+  return out;
+}
+
+function formatNumber(v, digits = 1) {
+  return Number.isFinite(v) ? v.toFixed(digits) : '–';
+}
+
+function round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
@@ -0,0 +1,144 @@
+// Export helpers
+// Exports: exportSvg(svgEl, filename), exportPng(svgEl, filename, scale),
+//          exportLinkTable(aggregate, columns, format, filename), exportTable(table, header, format, filename, sheetName),
+//          exportReferences(citations, filename),
+//          exportWorkbook(sheets, filename), exportJson(data, filename)
+// The SVG/PNG exports copy the live chart, so manually dragged node positions are kept.
+
+import { linkTable, LINK_TABLE_HEADER } from './core.js';
+
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+// Presentation properties copied from the page's stylesheet onto each exported element
+const STYLE_PROPS = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'font-family', 'font-size', 'font-weight', 'dominant-baseline', 'text-anchor',
+];
+
+export function exportSvg(svgEl, filename = 'fieldscope.svg') {
+  const text = serializeSvg(svgEl);
+  download(new Blob([text], { type: 'image/svg+xml;charset=utf-8' }), filename);
+}
+
+export function exportPng(svgEl, filename = 'fieldscope.png', scale = 3) {
+  const { width, height } = svgSize(svgEl);
+  const url = URL.createObjectURL(new Blob([serializeSvg(svgEl)], { type: 'image/svg+xml;charset=utf-8' }));
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => {
+        if (!blob) return reject(new Error('PNG encoding failed'));
+        download(blob, filename);
+        resolve();
+      }, 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterise the SVG'));
+    };
+    img.src = url;
+  });
+}
+
+// The link table of a buildGraph aggregate (see core.js), e.g. the links on screen, as CSV or XLSX
+export function exportLinkTable(aggregate, columns, format = 'csv', filename = 'fieldscope-links') {
+  exportTable(linkTable(aggregate, columns), LINK_TABLE_HEADER, format, filename, 'Links');
+}
+
+// Row objects as CSV or a one-sheet XLSX, columns in header order; filename without extension
+export function exportTable(table, header, format = 'csv', filename = 'fieldscope-table', sheetName = 'Sheet1') {
+  const ws = XLSX.utils.json_to_sheet(table, { header });
+  if (format === 'xlsx') {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    XLSX.writeFile(wb, `${filename}.xlsx`);
+    return;
+  }
+  download(new Blob([XLSX.utils.sheet_to_csv(ws)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+}
+
+// The dataset as an Excel workbook, e.g. after editing. sheets: [{ name, rows, columns }], written in
+// order; columns keeps the original header order, including columns that are empty in every row
+export function exportWorkbook(sheets, filename = 'fieldscope-data.xlsx') {
+  const wb = XLSX.utils.book_new();
+  for (const { name, rows, columns } of sheets) {
+    const ws = XLSX.utils.json_to_sheet(rows, { header: columns });
+    // Excel limits sheet names to 31 characters
+    XLSX.utils.book_append_sheet(wb, ws, String(name || 'Sheet1').slice(0, 31));
+  }
+  XLSX.writeFile(wb, filename);
+}
+
+// Formatted citations (see references.js) as numbered plain text, one per line
+export function exportReferences(citations, filename = 'fieldscope-references.txt') {
+  const lines = citations.map((c, i) => `${i + 1}. ${c}`);
+  download(new Blob([lines.join('\n') + '\n'], { type: 'text/plain;charset=utf-8' }), filename);
+}
+
+// Any JSON-serialisable value as an indented .json file, e.g. the project config
+export function exportJson(data, filename = 'fieldscope.json') {
+  download(new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' }), filename);
+}
+
+// Clone the SVG with computed styles inlined so it renders the same outside the page
+function serializeSvg(svgEl) {
+  const { width, height } = svgSize(svgEl);
+  const clone = svgEl.cloneNode(true);
+  // XMLSerializer adds the SVG namespace itself; only xlink needs declaring
+  clone.setAttributeNS('http://www.w3.org/2000/xmlns/', 'xmlns:xlink', XLINK_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const src = [svgEl, ...svgEl.querySelectorAll('*')];
+  const dst = [clone, ...clone.querySelectorAll('*')];
+  src.forEach((el, i) => {
+    const cs = getComputedStyle(el);
+    const style = STYLE_PROPS
+      .map(p => [p, cs.getPropertyValue(p)])
+      .filter(([, v]) => v && v !== 'normal' && v !== 'auto')
+      .map(([p, v]) => `${p}:${v}`)
+      .join(';');
+    if (style) dst[i].setAttribute('style', style);
+    // textPath needs xlink:href for older renderers
+    if (dst[i].tagName === 'textPath' && dst[i].getAttribute('href')) {
+      dst[i].setAttributeNS(XLINK_NS, 'xlink:href', dst[i].getAttribute('href'));
+    }
+  });
+
+  // Solid page background so light labels stay readable
+  const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  bg.setAttribute('width', '100%');
+  bg.setAttribute('height', '100%');
+  bg.setAttribute('fill', getComputedStyle(document.body).backgroundColor || '#0f4c5c');
+  clone.insertBefore(bg, clone.firstChild);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+function svgSize(svgEl) {
+  const vb = svgEl.viewBox && svgEl.viewBox.baseVal;
+  if (vb && vb.width && vb.height) return { width: vb.width, height: vb.height };
+  return {
+    width: Number(svgEl.getAttribute('width')) || svgEl.clientWidth || 800,
+    height: Number(svgEl.getAttribute('height')) || svgEl.clientHeight || 480,
+  };
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,227 @@
+// Row filtering module
+// Exports: describeFilterColumns(rows, columns, options), applyFilters(rows, filters, options), renderFilterPanel(containerEl, descriptors, filters, onChange, formatLabel)
+// filters: { [column]: { type: 'values', excluded: [...] } | { type: 'range', min, max, other } }
+//   other: keep rows whose cell is empty or not a number (a range filter without it drops them)
+// options: { split, canon } — the same value splitting and label canonicalisation as the chart
+// Filters never renumber rows: applyFilters returns the Set of kept 0-based row indices.
+
+import { splitValues } from './core.js';
+
+const EMPTY_VALUE = '(empty)';
+const MAX_CHECKLIST_VALUES = 40;
+const NUMERIC_SHARE = 0.8; // share of filled cells that must be numbers for a range slider
+
+// Classify each column as a numeric range or a value checklist; free-text columns are skipped
+export function describeFilterColumns(rows, columns, options = {}) {
+  const out = [];
+  for (const column of columns) {
+    const raw = rows.map(r => r[column]).filter(v => String(v ?? '').trim() !== '');
+    if (!raw.length) continue;
+
+    // A few "n.d." or "in press" cells do not make a Year column a checklist; they are counted
+    // with the empty rows as "other"
+    const nums = raw.map(toNumber).filter(n => n !== null);
+    if (nums.length >= NUMERIC_SHARE * raw.length) {
+      // A loop, as spreading a long column into Math.min/max overflows the stack
+      let min = Infinity;
+      let max = -Infinity;
+      let integers = true;
+      for (const n of nums) {
+        if (n < min) min = n;
+        if (n > max) max = n;
+        if (!Number.isInteger(n)) integers = false;
+      }
+      if (min === max) continue;
+      const step = integers ? 1 : (max - min) / 100;
+      out.push({ column, type: 'range', min, max, step, other: rows.length - nums.length });
+      continue;
+    }
+
+    const counts = new Map();
+    let emptyRows = 0;
+    rows.forEach(r => {
+      const vs = cellValues(r, column, options);
+      if (!vs.length) emptyRows++;
+      vs.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    });
+    // Every value unique on a sizeable dataset means titles, notes or ids
+    const allUnique = counts.size === raw.length && raw.length > 10;
+    if (counts.size > MAX_CHECKLIST_VALUES || counts.size < 2 || allUnique) continue;
+
+    const values = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([value, count]) => ({ value, count }));
+    if (emptyRows) values.push({ value: EMPTY_VALUE, count: emptyRows });
+    out.push({ column, type: 'values', values });
+  }
+  return out;
+}
+
+export function applyFilters(rows, filters = {}, options = {}) {
+  const active = Object.entries(filters).filter(([, f]) => isActive(f));
+  const kept = new Set();
+  rows.forEach((row, idx) => {
+    const pass = active.every(([column, f]) => {
+      if (f.type === 'range') {
+        const n = toNumber(row[column]);
+        return n === null ? f.other === true : n >= f.min && n <= f.max;
+      }
+      const vs = cellValues(row, column, options);
+      if (!vs.length) return !f.excluded.includes(EMPTY_VALUE);
+      // Multi-valued cells pass when any of their values is still selected
+      return vs.some(v => !f.excluded.includes(v));
+    });
+    if (pass) kept.add(idx);
+  });
+  return kept;
+}
+
+export function renderFilterPanel(containerEl, descriptors, filters, onChange, formatLabel = String) {
+  containerEl.innerHTML = '';
+  if (!descriptors.length) {
+    const p = document.createElement('p');
+    p.className = 'hint';
+    p.textContent = 'No filterable columns in this dataset.';
+    containerEl.appendChild(p);
+    return;
+  }
+
+  for (const d of descriptors) {
+    const box = document.createElement('details');
+    box.className = 'filter-col';
+    const summary = document.createElement('summary');
+    summary.textContent = formatLabel(d.column);
+    box.appendChild(summary);
+    if (isActive(filters[d.column])) {
+      box.open = true;
+      summary.classList.add('active');
+    }
+
+    if (d.type === 'range') box.appendChild(rangeControl(d, filters, onChange, formatLabel));
+    else box.appendChild(checklistControl(d, filters, onChange));
+    containerEl.appendChild(box);
+  }
+}
+
+function checklistControl(d, filters, onChange) {
+  const wrap = document.createElement('div');
+  wrap.className = 'filter-checklist';
+  const current = () => filters[d.column]?.excluded || [];
+  const boxes = [];
+
+  const setExcluded = (excluded) => {
+    if (excluded.length) filters[d.column] = { type: 'values', excluded };
+    else delete filters[d.column];
+    boxes.forEach(({ cb, value }) => { cb.checked = !excluded.includes(value); });
+    onChange();
+  };
+
+  const bulk = document.createElement('div');
+  bulk.className = 'filter-bulk';
+  bulk.appendChild(linkButton('All', () => setExcluded([])));
+  bulk.appendChild(linkButton('None', () => setExcluded(d.values.map(v => v.value))));
+  wrap.appendChild(bulk);
+
+  for (const { value, count } of d.values) {
+    const label = document.createElement('label');
+    label.className = 'filter-option';
+    const cb = document.createElement('input');
+    cb.type = 'checkbox';
+    cb.checked = !current().includes(value);
+    cb.addEventListener('change', () => {
+      const excluded = current().filter(v => v !== value);
+      if (!cb.checked) excluded.push(value);
+      setExcluded(excluded);
+    });
+    boxes.push({ cb, value });
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(` ${value} (${count})`));
+    wrap.appendChild(label);
+  }
+  return wrap;
+}
+
+function rangeControl(d, filters, onChange, formatLabel) {
+  const wrap = document.createElement('div');
+  wrap.className = 'filter-range';
+  const f = filters[d.column];
+  const out = document.createElement('span');
+  out.className = 'filter-range-value';
+
+  const makeSlider = (value, name) => {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(d.min);
+    input.max = String(d.max);
+    input.step = String(d.step);
+    input.value = String(value);
+    input.setAttribute('aria-label', `${formatLabel(d.column)} ${name}`);
+    return input;
+  };
+  const lo = makeSlider(f ? f.min : d.min, 'minimum');
+  const hi = makeSlider(f ? f.max : d.max, 'maximum');
+
+  // Rows without a number are kept until unticked
+  const other = document.createElement('input');
+  other.type = 'checkbox';
+  other.checked = f ? f.other === true : true;
+
+  const showValues = () => { out.textContent = `${fmt(lo.value)} – ${fmt(hi.value)}`; };
+  const commit = () => {
+    let min = Number(lo.value);
+    let max = Number(hi.value);
+    if (min > max) [min, max] = [max, min];
+    const keepOther = other.checked || !d.other;
+    if (min <= d.min && max >= d.max && keepOther) delete filters[d.column];
+    else filters[d.column] = { type: 'range', min, max, other: keepOther };
+    onChange();
+  };
+  for (const input of [lo, hi]) {
+    input.addEventListener('input', showValues);
+    input.addEventListener('change', commit);
+  }
+  other.addEventListener('change', commit);
+  showValues();
+
+  wrap.appendChild(lo);
+  wrap.appendChild(hi);
+  wrap.appendChild(out);
+  if (d.other) {
+    const label = document.createElement('label');
+    label.className = 'filter-option';
+    label.appendChild(other);
+    label.appendChild(document.createTextNode(` Other/empty (${d.other})`));
+    wrap.appendChild(label);
+  }
+  return wrap;
+}
+
+function cellValues(row, column, { split = {}, canon = null }) {
+  const vs = splitValues(row[column], split[column]);
+  return canon ? [...new Set(vs.map(v => canon(column, v)))] : vs;
+}
+
+function linkButton(text, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'link-btn';
+  b.textContent = text;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function isActive(f) {
+  if (!f) return false;
+  return f.type === 'range' || (f.excluded && f.excluded.length > 0);
+}
+
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const s = String(v ?? '').trim();
+  return /^-?\d+(?:\.\d+)?$/.test(s) ? Number(s) : null;
+}
+
+function fmt(v) {
+  const n = Number(v);
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
@@ -0,0 +1,429 @@
+// Dataset importers
+// Exports: importData(name, buffer), importSheets(name, buffer), registerImporter(importer), acceptedExtensions()
+// Every importer turns a file into the same shape: an array of plain row objects
+// with one key per column, every row carrying every key ('' when missing), the
+// shape XLSX.utils.sheet_to_json(ws, { defval: '' }) produces.
+//
+// importer: { id, extensions: ['.csv'], detect(head, bytes) -> boolean, parse(buffer) -> rows,
+//             parseSheets?(buffer) -> [{ name, rows }] }   (multi-sheet formats only)
+
+const importers = [];
+
+export function registerImporter(importer) {
+  importers.push(importer);
+}
+
+export function acceptedExtensions() {
+  return importers.flatMap(i => i.extensions).join(',');
+}
+
+// Rows of the first sheet; see importSheets for workbooks with several tabs
+export function importData(name, buffer) {
+  return importSheets(name, buffer)[0].rows;
+}
+
+// All sheets of a file as [{ name, rows }]; single-table formats yield one
+// sheet named after the file
+export function importSheets(name, buffer) {
+  const importer = pickImporter(name, buffer);
+  const sheets = importer.parseSheets
+    ? importer.parseSheets(buffer).filter(s => s.rows.length)
+    : [{ name: baseName(name), rows: importer.parse(buffer) }];
+  if (!sheets.length || !sheets[0].rows.length) throw new Error(`No rows found in ${name || 'file'}`);
+  return sheets;
+}
+
+// Pick an importer by file extension first, then by sniffing the content
+function pickImporter(name, buffer) {
+  const ext = (String(name || '').toLowerCase().match(/\.[a-z0-9]+$/) || [''])[0];
+  const bytes = new Uint8Array(buffer);
+  const head = new TextDecoder('utf-8').decode(bytes.subarray(0, 4096)).replace(/^\uFEFF/, '');
+
+  const byExt = importers.find(i => i.extensions.includes(ext));
+  const importer = (byExt && byExt.detect(head, bytes) ? byExt : null)
+    || importers.find(i => i.detect(head, bytes))
+    || byExt;
+  if (!importer) throw new Error(`Unrecognised file format: ${name || 'unnamed file'}`);
+  return importer;
+}
+
+// Excel workbooks via SheetJS, one entry per worksheet
+registerImporter({
+  id: 'xlsx',
+  extensions: ['.xlsx', '.xls'],
+  // ZIP (xlsx) or OLE2 (xls) signatures
+  detect: (head, bytes) => (bytes[0] === 0x50 && bytes[1] === 0x4b) || (bytes[0] === 0xd0 && bytes[1] === 0xcf),
+  parse(buffer) {
+    return this.parseSheets(buffer)[0]?.rows || [];
+  },
+  parseSheets(buffer) {
+    const wb = XLSX.read(buffer, { type: 'array' });
+    return wb.SheetNames.map(name => ({
+      name,
+      rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: '' }),
+    }));
+  },
+});
+
+registerImporter({
+  id: 'bibtex',
+  extensions: ['.bib', '.bibtex'],
+  detect: (head) => /^\s*(?:%[^\n]*\n\s*)*@\w+\s*[{(]/.test(head),
+  parse: (buffer) => parseBibTeX(decodeText(buffer)),
+});
+
+registerImporter({
+  id: 'ris',
+  extensions: ['.ris'],
+  detect: (head) => /^\s*TY {2}- /m.test(head),
+  parse: (buffer) => parseRIS(decodeText(buffer)),
+});
+
+registerImporter({
+  id: 'json',
+  extensions: ['.json'],
+  detect: (head) => /^\s*[[{]/.test(head),
+  parse: (buffer) => parseJSONRows(decodeText(buffer)),
+});
+
+registerImporter({
+  id: 'tsv',
+  extensions: ['.tsv', '.tab'],
+  detect: (head) => countOutsideQuotes(firstLine(head), '\t') > 0
+    && countOutsideQuotes(firstLine(head), '\t') >= countOutsideQuotes(firstLine(head), ','),
+  parse: (buffer) => parseDelimited(decodeText(buffer), '\t'),
+});
+
+registerImporter({
+  id: 'csv',
+  extensions: ['.csv', '.txt'],
+  detect: (head) => countOutsideQuotes(firstLine(head), ',') > 0 || countOutsideQuotes(firstLine(head), ';') > 0,
+  parse(buffer) {
+    const text = decodeText(buffer);
+    const line = firstLine(text);
+    // European exports use ';' as the separator
+    const delim = countOutsideQuotes(line, ';') > countOutsideQuotes(line, ',') ? ';' : ',';
+    return parseDelimited(text, delim);
+  },
+});
+
+// --- Delimited text ---
+
+function parseDelimited(text, delim) {
+  const records = [];
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      inQuotes = true;
+    } else if (c === delim) {
+      record.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+  if (!nonEmpty.length) return [];
+  const header = uniqueHeaders(nonEmpty[0]);
+  return nonEmpty.slice(1).map(r => {
+    const row = {};
+    header.forEach((h, i) => { row[h] = coerceCell(r[i]); });
+    return row;
+  });
+}
+
+function uniqueHeaders(cells) {
+  const seen = new Map();
+  return cells.map((c, i) => {
+    let h = String(c).trim() || `Column ${i + 1}`;
+    const n = seen.get(h) || 0;
+    seen.set(h, n + 1);
+    if (n) h = `${h}_${n}`;
+    return h;
+  });
+}
+
+// Keep numbers numeric, as SheetJS does for spreadsheet cells
+function coerceCell(v) {
+  const s = String(v ?? '').trim();
+  return /^-?\d+(?:\.\d+)?$/.test(s) ? Number(s) : s;
+}
+
+// --- JSON ---
+
+function parseJSONRows(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.rows) ? data.rows
+    : Array.isArray(data?.data) ? data.data
+    : Array.isArray(data?.items) ? data.items
+    : null;
+  if (!list) throw new Error('JSON must be an array of objects (or { "rows": [...] })');
+  const records = list.filter(r => r && typeof r === 'object' && !Array.isArray(r)).map(r => {
+    const out = {};
+    for (const [k, v] of Object.entries(r)) {
+      if (Array.isArray(v)) out[k] = v.map(x => (typeof x === 'object' ? JSON.stringify(x) : String(x))).join('; ');
+      else if (v && typeof v === 'object') out[k] = JSON.stringify(v);
+      else out[k] = v ?? '';
+    }
+    return out;
+  });
+  return normalizeRecords(records);
+}
+
+// --- BibTeX ---
+
+const BIBTEX_FIELDS = {
+  title: 'Title',
+  author: 'Authors',
+  year: 'Year',
+  journal: 'Journal',
+  journaltitle: 'Journal',
+  booktitle: 'Journal',
+  doi: 'DOI',
+  url: 'URL',
+  pmid: 'PMID',
+  keywords: 'Keywords',
+  abstract: 'Abstract',
+  volume: 'Volume',
+  number: 'Issue',
+  pages: 'Pages',
+  publisher: 'Publisher',
+};
+
+function parseBibTeX(text) {
+  const records = [];
+  const strings = {};
+  const re = /@(\w+)\s*([{(])/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const type = m[1].toLowerCase();
+    const close = m[2] === '{' ? '}' : ')';
+    const start = re.lastIndex;
+    const end = findClosing(text, start, close);
+    const body = text.slice(start, end);
+    re.lastIndex = end + 1;
+    if (type === 'comment' || type === 'preamble') continue;
+
+    if (type === 'string') {
+      const [name, value] = splitBibField(body);
+      if (name) strings[name.toLowerCase()] = value;
+      continue;
+    }
+
+    const comma = body.indexOf(',');
+    const key = comma === -1 ? body.trim() : body.slice(0, comma).trim();
+    const fields = comma === -1 ? [] : splitTopLevel(body.slice(comma + 1));
+    const record = { Title: '', Authors: '', Year: '', Journal: '', DOI: '' };
+    for (const f of fields) {
+      const [name, raw] = splitBibField(f, strings);
+      if (!name) continue;
+      const lname = name.toLowerCase();
+      let value = cleanLatex(raw);
+      if (lname === 'author' || lname === 'editor') value = value.split(/\s+and\s+/i).map(s => s.trim()).filter(Boolean).join('; ');
+      if (lname === 'date' && !record.Year) record.Year = (value.match(/\d{4}/) || [''])[0];
+      const col = BIBTEX_FIELDS[lname] || capitalize(lname);
+      if (!record[col]) record[col] = lname === 'year' ? ((value.match(/\d{4}/) || [value])[0]) : value;
+    }
+    record.Type = type;
+    record['Citation key'] = key;
+    records.push(record);
+  }
+  return normalizeRecords(records);
+}
+
+// Index of the brace/paren closing an entry body; nested braces are skipped
+function findClosing(text, from, close) {
+  let braces = 0;
+  for (let i = from; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\\') { i++; continue; }
+    if (c === '{') braces++;
+    else if (c === '}') {
+      if (braces === 0 && close === '}') return i;
+      braces--;
+    } else if (c === ')' && close === ')' && braces === 0) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+// Split "a = {x, y}, b = 2" on commas outside braces and quotes
+function splitTopLevel(s) {
+  const out = [];
+  let depth = 0;
+  let inQuote = false;
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '\\') { cur += c + (s[i + 1] || ''); i++; continue; }
+    if (c === '"' && depth === 0) inQuote = !inQuote;
+    if (!inQuote) {
+      if (c === '{') depth++;
+      if (c === '}') depth--;
+      if (c === ',' && depth === 0) {
+        out.push(cur);
+        cur = '';
+        continue;
+      }
+    }
+    cur += c;
+  }
+  if (cur.trim()) out.push(cur);
+  return out;
+}
+
+// "name = {value} # macro" -> [name, value]
+function splitBibField(s, strings = {}) {
+  const eq = s.indexOf('=');
+  if (eq === -1) return [null, ''];
+  const name = s.slice(0, eq).trim();
+  const parts = s.slice(eq + 1).split(/\s#\s/).map(p => p.trim());
+  const value = parts.map(p => {
+    if ((p.startsWith('{') && p.endsWith('}')) || (p.startsWith('"') && p.endsWith('"'))) return p.slice(1, -1);
+    return strings[p.toLowerCase()] ?? p;
+  }).join('');
+  return [name, value];
+}
+
+function cleanLatex(s) {
+  return String(s)
+    .replace(/\\&/g, '&')
+    .replace(/\\%/g, '%')
+    .replace(/\\_/g, '_')
+    .replace(/\\[`'^"~=.uvHc]\{?(\w)\}?/g, '$1')
+    .replace(/\\textit|\\textbf|\\emph/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/~/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// --- RIS ---
+
+const RIS_FIELDS = {
+  TI: 'Title', T1: 'Title', CT: 'Title',
+  AU: 'Authors', A1: 'Authors',
+  PY: 'Year', Y1: 'Year', DA: 'Year',
+  JO: 'Journal', JF: 'Journal', T2: 'Journal', JA: 'Journal', J2: 'Journal',
+  DO: 'DOI',
+  UR: 'URL',
+  KW: 'Keywords',
+  AB: 'Abstract', N2: 'Abstract',
+  VL: 'Volume',
+  IS: 'Issue',
+  SP: 'Start page',
+  EP: 'End page',
+  PB: 'Publisher',
+  AN: 'Accession number',
+  TY: 'Type',
+};
+const RIS_MULTI = new Set(['Authors', 'Keywords']);
+
+function parseRIS(text) {
+  const records = [];
+  let record = null;
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^([A-Z][A-Z0-9])  -\s?(.*)$/);
+    if (!m) {
+      // Continuation of a wrapped abstract or title
+      if (record && record.__last && line.trim()) record[record.__last] += ' ' + line.trim();
+      continue;
+    }
+    const [, tag, rawValue] = m;
+    const value = rawValue.trim();
+    if (tag === 'TY') {
+      record = { Title: '', Authors: '', Year: '', Journal: '', DOI: '' };
+    }
+    if (!record) continue;
+    if (tag === 'ER') {
+      delete record.__last;
+      records.push(record);
+      record = null;
+      continue;
+    }
+
+    let col = RIS_FIELDS[tag] || tag;
+    // PubMed exports put the PMID in AN or a "PMID:" note
+    if (tag === 'AN' && /^\d+$/.test(value)) col = 'PMID';
+    let v = value;
+    if (col === 'Year') v = (value.match(/\d{4}/) || [''])[0];
+    if (RIS_MULTI.has(col)) record[col] = record[col] ? `${record[col]}; ${v}` : v;
+    else if (!record[col]) record[col] = v;
+    record.__last = col;
+  }
+  if (record) {
+    delete record.__last;
+    records.push(record);
+  }
+  return normalizeRecords(records);
+}
+
+// --- Shared helpers ---
+
+// Give every row the union of keys (in first-seen order), defaulting to ''
+function normalizeRecords(records) {
+  const keys = [];
+  const seen = new Set();
+  for (const r of records) {
+    for (const k of Object.keys(r)) {
+      if (!seen.has(k)) { seen.add(k); keys.push(k); }
+    }
+  }
+  // Drop columns that are empty in every row (e.g. unused citation fields)
+  const used = keys.filter(k => records.some(r => String(r[k] ?? '').trim() !== ''));
+  return records.map(r => {
+    const row = {};
+    for (const k of used) row[k] = r[k] ?? '';
+    return row;
+  });
+}
+
+function baseName(name) {
+  return String(name || 'Data').split(/[\\/]/).pop().replace(/\.[^.]+$/, '') || 'Data';
+}
+
+function decodeText(buffer) {
+  return new TextDecoder('utf-8').decode(buffer).replace(/^\uFEFF/, '');
+}
+
+function firstLine(text) {
+  return String(text).split(/\r?\n/).find(l => l.trim()) || '';
+}
+
+function countOutsideQuotes(line, ch) {
+  let n = 0;
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (c === ch && !inQuotes) n++;
+  }
+  return n;
+}
+
+function capitalize(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
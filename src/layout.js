@@ -0,0 +1,151 @@
+// Crossing reduction for layered (Sankey) graphs
+// Exports: orderLayers(graph, options), countCrossings(graph)
+// graph: a d3-sankey graph after layout (nodes carry layer, y0/y1; links carry source/target nodes, value)
+// options: { fixed: Set of layers whose current order must be kept, sweeps }
+//
+// Barycenter sweeps (down, then up) followed by adjacent swaps, keeping whichever
+// ordering has the fewest crossings, the starting order included. Crossings are counted as
+// inversions (O(L log L) per layer pair); a swap only compares the two nodes' own links.
+
+const MAX_TRANSPOSE_LINKS = 400; // swaps repeat until nothing improves; skip them on big graphs
+
+// Returns { layers: Map(layer -> nodes top to bottom), crossings }
+export function orderLayers(graph, options = {}) {
+  const { fixed = new Set(), sweeps = 8 } = options;
+  const layers = groupLayers(graph.nodes);
+  const layerIds = [...layers.keys()].sort((a, b) => a - b);
+  const rank = new Map();
+  const setRanks = (l) => layers.get(l).forEach((n, i) => rank.set(n.id, i));
+  layerIds.forEach(setRanks);
+
+  const pairs = linksByLayerPair(graph.links);
+  const total = () => layerIds.reduce((sum, l) => sum + crossingsBetween(pairs.get(l), rank), 0);
+
+  let best = snapshot(layers);
+  let bestCount = total();
+
+  const reorder = (l, neighbourOf) => {
+    if (fixed.has(l) || !layers.has(l)) return;
+    const nodes = layers.get(l);
+    const bary = new Map(nodes.map((n, i) => {
+      const links = neighbourOf(n);
+      const weight = links.reduce((s, k) => s + k.value, 0);
+      if (!weight) return [n.id, i];
+      return [n.id, links.reduce((s, k) => s + k.rank * k.value, 0) / weight];
+    }));
+    // Stable: ties keep their current relative order
+    nodes.sort((a, b) => bary.get(a.id) - bary.get(b.id) || rank.get(a.id) - rank.get(b.id));
+    setRanks(l);
+  };
+  const fromAbove = (n) => n.targetLinks.map(k => ({ rank: rank.get(k.source.id), value: k.value }));
+  const fromBelow = (n) => n.sourceLinks.map(k => ({ rank: rank.get(k.target.id), value: k.value }));
+
+  for (let s = 0; s < sweeps && bestCount > 0; s++) {
+    for (const l of layerIds.slice(1)) reorder(l, fromAbove);
+    for (const l of layerIds.slice(0, -1).reverse()) reorder(l, fromBelow);
+    const count = total();
+    if (count < bestCount) {
+      bestCount = count;
+      best = snapshot(layers);
+    }
+  }
+
+  // Refine the best ordering by swapping neighbours while that helps
+  restore(layers, best);
+  layerIds.forEach(setRanks);
+  if (graph.links.length <= MAX_TRANSPOSE_LINKS) {
+    let improved = true;
+    while (improved && bestCount > 0) {
+      improved = false;
+      for (const l of layerIds) {
+        if (fixed.has(l)) continue;
+        const nodes = layers.get(l);
+        for (let i = 0; i < nodes.length - 1; i++) {
+          const [u, v] = [nodes[i], nodes[i + 1]];
+          // Only crossings between u's and v's own links change with the swap
+          const gain = pairCrossings(u, v, rank) - pairCrossings(v, u, rank);
+          if (gain > 0) {
+            [nodes[i], nodes[i + 1]] = [v, u];
+            rank.set(v.id, i);
+            rank.set(u.id, i + 1);
+            bestCount -= gain;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  return { layers, crossings: bestCount };
+}
+
+// Number of link pairs that cross, given the nodes' current vertical positions
+export function countCrossings(graph) {
+  const rank = new Map();
+  groupLayers(graph.nodes).forEach(nodes => nodes.forEach((n, i) => rank.set(n.id, i)));
+  let sum = 0;
+  for (const links of linksByLayerPair(graph.links).values()) sum += crossingsBetween(links, rank);
+  return sum;
+}
+
+function groupLayers(nodes) {
+  const layers = new Map();
+  for (const n of nodes) {
+    if (!layers.has(n.layer)) layers.set(n.layer, []);
+    layers.get(n.layer).push(n);
+  }
+  for (const list of layers.values()) list.sort((a, b) => a.y0 - b.y0);
+  return layers;
+}
+
+// Links keyed by their source layer
+function linksByLayerPair(links) {
+  const pairs = new Map();
+  for (const k of links) {
+    const l = k.source.layer;
+    if (!pairs.has(l)) pairs.set(l, []);
+    pairs.get(l).push(k);
+  }
+  return pairs;
+}
+
+// Two links cross when their ends are ordered oppositely on the two layers. With the links sorted by
+// source (then target), that is every earlier link ending strictly lower: counted with a Fenwick tree
+function crossingsBetween(links, rank) {
+  if (!links || links.length < 2) return 0;
+  const ends = links.map(k => [rank.get(k.source.id), rank.get(k.target.id)])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let size = 0;
+  for (const [, t] of ends) size = Math.max(size, t + 1);
+  const tree = new Array(size + 1).fill(0);
+  let n = 0;
+  ends.forEach(([, t], seen) => {
+    let atOrAbove = 0; // earlier links whose target rank is <= t
+    for (let i = t + 1; i > 0; i -= i & -i) atOrAbove += tree[i];
+    n += seen - atOrAbove;
+    for (let i = t + 1; i <= size; i += i & -i) tree[i]++;
+  });
+  return n;
+}
+
+// Crossings between the links of two nodes of one layer when u is drawn above v, on both sides
+function pairCrossings(u, v, rank) {
+  let n = 0;
+  const count = (as, bs, end) => {
+    for (const a of as) {
+      const ra = rank.get(a[end].id);
+      for (const b of bs) if (ra > rank.get(b[end].id)) n++;
+    }
+  };
+  count(u.targetLinks, v.targetLinks, 'source');
+  count(u.sourceLinks, v.sourceLinks, 'target');
+  return n;
+}
+
+function snapshot(layers) {
+  return new Map([...layers].map(([l, nodes]) => [l, nodes.slice()]));
+}
+
+function restore(layers, snap) {
+  for (const [l, nodes] of snap) layers.set(l, nodes.slice());
+}
@@ -0,0 +1,272 @@
+// Link colouring for the Sankey
+// Exports: numericColumns(rows, columns), linkColoring(rows, byLinkKey, config), drawLegend(svg, legend, box)
+// config: { mode, column, kind, label, split, canon, palette }; label names the column in the legend,
+//   palette: the project config's { link, sharedLink, categories } colours (see projectConfig.js)
+//   mode 'multiplicity' (default): one colour for single-paper links, another for shared ones
+//   mode 'count': papers per link on a continuous scale
+//   mode 'numeric': mean of a numeric column over each link's papers (e.g. publication year)
+//   mode 'category': each link split into sub-bands by the papers' values in a third column
+//   mode 'diff': changes against an earlier dataset; config.changes maps link keys to
+//     { status, before, after } (see compare.js)
+//   mode 'enrichment': observed/expected ratio of significant links on a diverging scale, the others
+//     grey; config.stats is the scoreLinks result (see enrichment.js)
+// A coloring is { color(key), bands(key) -> [{ label, color, share, offset }] | null, describe(key), legend };
+// keys are the "srcId|||tgtId" link keys of buildGraph.
+
+import { OTHER_VALUE, splitValues } from './core.js';
+import { d3g } from './viewShared.js';
+
+const BASE_COLOR = '#e36414'; // main connection color
+const DEGENERATE_COLOR = '#9a031e'; // for multiplicity (>1 between same pair)
+const NO_DATA_COLOR = '#52616b';
+const MAX_CATEGORIES = 9; // the rest are grouped as "Other" (under OTHER_VALUE, so a real "Other" stays apart)
+const DIFF_STATUSES = [
+  ['added', 'Added', '#43aa8b'],
+  ['changed', 'Changed count', '#f9c74f'],
+  ['removed', 'Removed', '#9a031e'],
+  ['same', 'Unchanged', '#5c677d'],
+];
+
+// Light ends of the ramps are skipped so the white reference numbers stay readable
+const COUNT_RAMP = (t) => d3g.interpolateYlOrRd(0.3 + 0.7 * t);
+const NUMERIC_RAMP = (t) => d3g.interpolateViridis(0.1 + 0.7 * t);
+// Blue for under-represented, red for over-represented links; the pale middle is left out
+const RATIO_RAMP = (t) => d3g.interpolateRdBu(t < 0.5 ? 0.95 - 0.7 * t : 0.7 - 0.7 * t);
+const MAX_LOG_RATIO = 3; // ratios beyond 8× or 1/8 get the end colours
+const NOT_SIGNIFICANT_COLOR = '#5c677d';
+
+// Columns usable for the numeric mode: numbers, or text with a year in it
+// ("Nature, 2021"). Returns [{ column, kind: 'number' | 'year' }]
+export function numericColumns(rows, columns) {
+  const out = [];
+  for (const column of columns) {
+    const raw = rows.map(r => r[column]).filter(v => String(v ?? '').trim() !== '');
+    if (raw.length < 2) continue;
+    for (const kind of ['number', 'year']) {
+      const nums = raw.map(v => cellNumber(v, kind)).filter(n => n !== null);
+      // Most cells must yield a value, and they must not all be equal
+      if (nums.length >= 0.8 * raw.length && new Set(nums).size > 1) {
+        out.push({ column, kind });
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+export function linkColoring(rows, byLinkKey, config = {}) {
+  const { mode = 'multiplicity', column = null, label = column } = config;
+  const countOf = (key) => byLinkKey.get(key)?.count || 0;
+
+  if (mode === 'count') {
+    const max = Math.max(1, ...[...byLinkKey.values()].map(e => e.count));
+    const scale = d3g.scaleSequential(COUNT_RAMP).domain([0, max]);
+    return {
+      color: (key) => scale(countOf(key)),
+      bands: () => null,
+      describe: () => '',
+      legend: { type: 'sequential', title: 'Papers per link', domain: scale.domain(), ramp: COUNT_RAMP, format: d3g.format('d') },
+    };
+  }
+
+  if (mode === 'numeric' && column) {
+    const kind = config.kind || 'number';
+    const means = new Map();
+    for (const [key, { refIds }] of byLinkKey) {
+      const nums = refIds.map(r => cellNumber(rows[r - 1]?.[column], kind)).filter(n => n !== null);
+      if (nums.length) means.set(key, d3g.mean(nums));
+    }
+    let [lo, hi] = d3g.extent([...means.values()]);
+    if (lo === undefined) [lo, hi] = [0, 1];
+    if (lo === hi) [lo, hi] = [lo - 0.5, hi + 0.5];
+    const scale = d3g.scaleSequential(NUMERIC_RAMP).domain([lo, hi]);
+    const format = kind === 'year' ? d3g.format('.0f') : d3g.format('.3~g');
+    const title = `Mean ${kind === 'year' ? `year (${label})` : label}`;
+    return {
+      color: (key) => (means.has(key) ? scale(means.get(key)) : NO_DATA_COLOR),
+      bands: () => null,
+      describe: (key) => `${title}: ${means.has(key) ? d3g.format('.1f')(means.get(key)) : 'no data'}`,
+      legend: {
+        type: 'sequential', title, domain: [lo, hi], ramp: NUMERIC_RAMP, format,
+        missing: means.size < byLinkKey.size ? NO_DATA_COLOR : null,
+      },
+    };
+  }
+
+  if (mode === 'diff' && config.changes) {
+    const colorOf = new Map(DIFF_STATUSES.map(([status, , color]) => [status, color]));
+    const statusOf = (key) => config.changes.get(key)?.status;
+    const present = new Set([...config.changes.values()].map(c => c.status));
+    return {
+      color: (key) => colorOf.get(statusOf(key)) || NO_DATA_COLOR,
+      bands: () => null,
+      describe: (key) => {
+        const change = config.changes.get(key);
+        if (!change) return '';
+        if (change.status === 'added') return 'New link';
+        if (change.status === 'removed') return `Removed: had ${change.before} paper${change.before === 1 ? '' : 's'}`;
+        return `Papers before: ${change.before}, now: ${change.after}`;
+      },
+      legend: {
+        type: 'categorical',
+        title: label ? `Changes since ${label}` : 'Changes',
+        items: DIFF_STATUSES.filter(([status]) => present.has(status)).map(([, text, color]) => ({ label: text, color })),
+      },
+    };
+  }
+
+  if (mode === 'enrichment' && config.stats) {
+    const { scores, alpha } = config.stats;
+    const logRatio = (key) => Math.log2(Math.max(scores.get(key).ratio, 2 ** -MAX_LOG_RATIO));
+    const scale = d3g.scaleSequential(RATIO_RAMP).domain([-MAX_LOG_RATIO, MAX_LOG_RATIO]).clamp(true);
+    return {
+      color: (key) => (scores.get(key)?.significant ? scale(logRatio(key)) : NOT_SIGNIFICANT_COLOR),
+      bands: () => null,
+      describe: () => '', // renderSankey's describeLink adds the scores to every colouring's tooltip
+      legend: {
+        type: 'sequential', title: 'Observed / expected', domain: scale.domain(), ramp: RATIO_RAMP,
+        format: (v) => (v < 0 ? `1/${2 ** -v}` : `${2 ** v}×`),
+        missing: NOT_SIGNIFICANT_COLOR, missingLabel: `not significant (q ≥ ${alpha})`,
+      },
+    };
+  }
+
+  if (mode === 'category' && column) {
+    const { split = {}, canon = null } = config;
+    // A paper with several values counts a fraction towards each
+    const labelsOf = (row) => {
+      const vs = splitValues(row?.[column], split[column]);
+      const labels = canon ? [...new Set(vs.map(v => canon(column, v)))] : vs;
+      return labels.length ? labels : ['(empty)'];
+    };
+    const weightsByKey = new Map();
+    const totals = new Map();
+    for (const [key, { refIds }] of byLinkKey) {
+      const weights = new Map();
+      for (const r of refIds) {
+        const names = labelsOf(rows[r - 1]);
+        for (const name of names) {
+          weights.set(name, (weights.get(name) || 0) + 1 / names.length);
+          totals.set(name, (totals.get(name) || 0) + 1 / names.length);
+        }
+      }
+      weightsByKey.set(key, weights);
+    }
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([name]) => name);
+    const kept = ranked.length > MAX_CATEGORIES + 1 ? ranked.slice(0, MAX_CATEGORIES) : ranked;
+    const keptSet = new Set(kept);
+    const palette = config.palette?.categories || d3g.schemeTableau10;
+    const colorOf = new Map(kept.map((name, i) => [name, palette[i % palette.length]]));
+    colorOf.set(OTHER_VALUE, palette[MAX_CATEGORIES % palette.length]);
+    const order = keptSet.size < ranked.length ? [...kept, OTHER_VALUE] : kept;
+    const otherLabel = keptSet.has('Other') ? 'Other (rest)' : 'Other';
+    const labelOf = (name) => (name === OTHER_VALUE ? otherLabel : name);
+
+    const grouped = (key) => {
+      const out = new Map();
+      for (const [name, w] of weightsByKey.get(key) || []) {
+        const g = keptSet.has(name) ? name : OTHER_VALUE;
+        out.set(g, (out.get(g) || 0) + w);
+      }
+      return out;
+    };
+    const bands = (key) => {
+      const weights = grouped(key);
+      const total = d3g.sum([...weights.values()]) || 1;
+      let offset = 0;
+      return order.filter(name => weights.has(name)).map(name => {
+        const share = weights.get(name) / total;
+        const band = { label: labelOf(name), color: colorOf.get(name), share, offset };
+        offset += share;
+        return band;
+      });
+    };
+    const fmt = d3g.format('.2~f');
+    return {
+      color: (key) => bands(key)[0]?.color || NO_DATA_COLOR,
+      bands,
+      describe: (key) => [...grouped(key)].sort((a, b) => b[1] - a[1]).map(([name, w]) => `${labelOf(name)}: ${fmt(w)}`).join('\n'),
+      legend: { type: 'categorical', title: label, items: order.map(name => ({ label: labelOf(name), color: colorOf.get(name) })) },
+    };
+  }
+
+  const base = config.palette?.link || BASE_COLOR;
+  const shared = config.palette?.sharedLink || DEGENERATE_COLOR;
+  return {
+    color: (key) => (countOf(key) > 1 ? shared : base),
+    bands: () => null,
+    describe: () => '',
+    legend: null,
+  };
+}
+
+let rampCount = 0;
+
+// Legend in the chart's SVG (so exports include it) along box = { x, y, width }
+export function drawLegend(svg, legend, box) {
+  const g = svg.append('g')
+    .attr('class', 'legend')
+    .attr('transform', `translate(${box.x},${box.y})`);
+  const title = g.append('text')
+    .attr('class', 'legend-title')
+    .attr('y', 5)
+    .text(truncate(legend.title, 32));
+  let x = estimateWidth(title.text()) + 12;
+
+  if (legend.type === 'sequential') {
+    const id = `legend-ramp-${++rampCount}`; // unique, so several charts on a page keep their own ramp
+    const grad = svg.select('defs').append('linearGradient').attr('id', id);
+    d3g.range(0, 1.0001, 0.1).forEach(t => {
+      grad.append('stop').attr('offset', `${t * 100}%`).attr('stop-color', legend.ramp(t));
+    });
+    const [lo, hi] = legend.domain;
+    const loText = g.append('text').attr('x', x).attr('y', 5).text(legend.format(lo));
+    x += estimateWidth(loText.text()) + 6;
+    g.append('rect').attr('x', x).attr('y', 0).attr('width', 140).attr('height', 10).attr('rx', 2).attr('fill', `url(#${id})`);
+    x += 146;
+    g.append('text').attr('x', x).attr('y', 5).text(legend.format(hi));
+    x += estimateWidth(legend.format(hi)) + 16;
+    if (legend.missing) swatch(g, x, legend.missing, legend.missingLabel || 'no data');
+    return;
+  }
+
+  for (let i = 0; i < legend.items.length; i++) {
+    const { label, color } = legend.items[i];
+    const text = truncate(label, 24);
+    const w = estimateWidth(text) + 22;
+    if (x + w > box.width) {
+      g.append('text').attr('x', x).attr('y', 5).text(`+${legend.items.length - i} more`);
+      break;
+    }
+    swatch(g, x, color, text).append('title').text(label);
+    x += w;
+  }
+}
+
+function swatch(g, x, color, label) {
+  const item = g.append('g').attr('transform', `translate(${x},0)`);
+  item.append('rect').attr('width', 10).attr('height', 10).attr('rx', 2).attr('fill', color);
+  item.append('text').attr('x', 14).attr('y', 5).text(label);
+  return item;
+}
+
+// Rough text width at the legend's 12px font; exact measuring needs layout
+function estimateWidth(text) {
+  return String(text).length * 6.5;
+}
+
+function truncate(text, max) {
+  const s = String(text ?? '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function cellNumber(v, kind) {
+  if (kind === 'number') {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    const s = String(v ?? '').trim();
+    return /^-?\d+(?:\.\d+)?$/.test(s) ? Number(s) : null;
+  }
+  // Last plausible publication year in the text
+  const years = String(v ?? '').match(/\b(?:19|20)\d{2}\b/g);
+  return years ? Number(years[years.length - 1]) : null;
+}
@@ -0,0 +1,59 @@
+// Accessible link table
+// Exports: renderLinkTable(containerEl, aggregate, config)
+// aggregate: { graph, byLinkKey } from buildGraph, i.e. exactly what the Sankey shows
+// config: { columns, formatLabel(column), stats }
+//   stats: optional scoreLinks result (see enrichment.js), adding expected counts and adjusted p-values
+// The text alternative to the diagram: one table per adjacent column pair, listing every link
+// with its number of papers and their reference numbers, most frequent first.
+
+import { parseNodeId } from './core.js';
+import { formatPValue } from './enrichment.js';
+
+export function renderLinkTable(containerEl, aggregate, config = {}) {
+  const { columns = [], formatLabel = String, stats = null } = config;
+  containerEl.innerHTML = '';
+  const names = new Map(aggregate.graph.nodes.map(n => [n.id, n.name]));
+  const nameOf = (id) => names.get(id) ?? parseNodeId(id)?.value ?? id;
+
+  const byPair = columns.slice(1).map(() => []);
+  for (const [key, { count, refIds }] of aggregate.byLinkKey) {
+    const [sId, tId] = key.split('|||');
+    byPair[parseNodeId(sId)?.layer]?.push({ key, source: nameOf(sId), target: nameOf(tId), count, refIds });
+  }
+
+  byPair.forEach((links, i) => {
+    links.sort((a, b) => b.count - a.count || a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+    const table = document.createElement('table');
+    table.className = 'link-table';
+    const from = formatLabel(columns[i]);
+    const to = formatLabel(columns[i + 1]);
+    table.createCaption().textContent = `${from} → ${to}: ${links.length} link${links.length === 1 ? '' : 's'}`;
+
+    const head = table.createTHead().insertRow();
+    const titles = stats ? [from, to, 'Papers', 'Expected', 'Adjusted p', 'References'] : [from, to, 'Papers', 'References'];
+    for (const title of titles) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = title;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const l of links) {
+      const row = body.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = l.source;
+      row.appendChild(th);
+      row.insertCell().textContent = l.target;
+      row.insertCell().textContent = l.count;
+      if (stats) {
+        const score = stats.scores.get(l.key);
+        const verdict = score?.gap ? ' (gap)' : score?.enriched ? ' (enriched)' : '';
+        row.insertCell().textContent = score ? score.expected.toFixed(1) : '';
+        row.insertCell().textContent = score ? `${formatPValue(score.q)}${verdict}` : '';
+      }
+      row.insertCell().textContent = l.refIds.join(', ');
+    }
+    containerEl.appendChild(table);
+  });
+}
@@ -1,21 +1,173 @@
-import { renderSankey } from './sankeyGraph.js';
+import { buildGraph, parseNodeId, OTHER_VALUE, isIdColumn, columnLabel, defaultColumns } from './core.js';
+import { getView, listViews } from './views.js';
+import { renderLinkTable } from './linkTable.js';
+import { describeFilterColumns, applyFilters, renderFilterPanel } from './filters.js';
+import { acceptedExtensions } from './importers.js';
+import { parseFile, shareRows, shareEdit, aggregateGraph, scanDataset } from './tasks.js';
+import { joinRows, guessJoinKeys } from './sheets.js';
+import { exportSvg, exportPng, exportLinkTable, exportTable, exportReferences, exportWorkbook, exportJson } from './exporters.js';
+import { readViewState, writeViewState } from './permalink.js';
+import { buildCanonicalizer, countValues, renderAliasPanel } from './normalize.js';
+import { searchRows } from './search.js';
+import { numericColumns } from './linkColors.js';
+import { placeholder } from './viewShared.js';
+import { rowYears, detectYearColumn, timelineRows } from './timeline.js';
+import { scanChain, diagnoseDataset, summarizeReport, renderDiagnosticsPanel } from './diagnostics.js';
+import { applyEdit, createHistory, renderEditor } from './editor.js';
+import { saveDataset, listDatasets, loadDataset, deleteDataset } from './datasetStore.js';
+import { diffAggregates, guessKeyColumn, matchPapers, summarizeDiff, renderComparePanel } from './compare.js';
+import { CITATION_STYLES, findColumn, referenceFields, buildReferences, formatCitation, citationHtml, copyText } from './references.js';
+import { CONFIG_FILE, parseProjectConfig, buildProjectConfig, configSummary, categoryNodeOrder } from './projectConfig.js';
+import { LINK_FILTERS, scoreLinks, describeScore, filterLinks, ENRICHMENT_HEADER, enrichmentTable } from './enrichment.js';
+
+const NODE_ORDERS_KEY = 'fieldscope.nodeOrders'; // { column: node names top to bottom }
+const LAST_DATASET_KEY = 'fieldscope.lastDataset'; // id of the saved dataset to reopen, absent for the bundled one
+const PROJECT_CONFIG_KEY = 'fieldscope.projectConfig'; // { name, text } of an imported project config
+const TIMELINE_STEP_MS = 1200; // time per year while playing
+const TIMELINE_TRANSITION_MS = 700;
+const EDITOR_PAGE_SIZE = 50;
+const BACKGROUND_ROWS = 2000; // from this many rows graphs are aggregated and the data checked in the worker
 
 const state = {
+  fileName: '', // name of the loaded file, for the edited workbook's name
+  sheets: [], // [{ name, rows }] of the loaded file
+  sheet: null, // name of the main sheet
+  join: null, // { sheet, leftKey, rightKey } when a second sheet is joined in
   rows: [],
+  references: [], // one per row, see references.js
+  citationStyle: 'short', // key of CITATION_STYLES
   columns: [],
-  sourceCol: null,
-  targetCol: null,
+  shownColumns: [], // id-like columns the user chose to offer in the dropdowns anyway
+  loadErrors: [], // [{ source, message }] shown in the banner and the data quality panel
+  chain: [], // ordered column names, one Sankey layer each
+  split: {}, // column -> delimiter characters for multi-valued cells
+  filters: {}, // column -> filter spec, see filters.js
+  fold: true, // merge labels differing only in case/spacing/punctuation
+  aliases: {}, // column -> { raw value -> canonical label }
+  aliasColumn: null, // column shown in the alias editor
+  canon: null, // (column, value) -> label, rebuilt from fold/aliases/split
+  include: null, // Set of kept row indices, null when no filter is active
   showRefNums: true,
+  showTable: false, // accessible link table below the Sankey
+  topN: 0, // values shown per column before the rest fold into "Other"; 0 shows all
+  expanded: [], // columns whose "Other" node was expanded
+  view: 'sankey', // id of a registered view, see views.js
+  matrixPair: 0, // index of the adjacent column pair shown in the matrix
+  selectedRef: null, // reference number persistently highlighted in the chart
+  selection: [], // selected node ids / link keys in the Sankey
+  color: { mode: 'multiplicity', column: null }, // link colouring, see linkColors.js
+  linkFilter: 'all', // Sankey links shown by their enrichment, a LINK_FILTERS mode (see enrichment.js)
+  numericKinds: {}, // column -> 'number' | 'year', for the numeric colour mode
+  timeline: emptyTimeline(), // year playback, see timeline.js; year null shows all papers
+  search: emptySearch(), // { query, hits: reference numbers, index of the current hit, hidden by filters }
+  nodeOrders: loadNodeOrders(), // column -> node names top to bottom, from dragging
+  crossings: null, // link crossings in the current Sankey layout
+  pendingView: readViewState(), // view state from the URL, applied once data is loaded
+  editorPage: 0, // page of rows shown in the spreadsheet editor
+  edited: false, // rows edited since the file was loaded or last saved as XLSX
+  datasetId: null, // saved dataset shown (see datasetStore.js), null for the bundled one
+  compare: null, // earlier version of the dataset to diff against: { name, rows, key }; key matches papers
+  project: emptyProject(), // project config (see projectConfig.js): { config, source, warnings }
 };
 
+let lastHash = null;
+let viewHandle = null; // handle returned by the current view's render, for search marking
+let searchTimer = null;
+let playTimer = null;
+let graphCache = null; // { key, graph, byLinkKey } of the last aggregation, reused until its inputs change
+let renderTicket = 0; // counts renderAll calls, so a late background aggregation is dropped
+let renderedSize = null; // chart size at the last render; resizes that keep it skip the re-render
+let scanCache = null; // { key, rows, canon, scan }: the data quality scan, redone when its inputs change
+let pendingScan = null; // { key, rows, canon } of the scan running in the background worker
+let history = createHistory(); // spreadsheet edits to undo and redo; cleared when other rows load
+let compareCache = null; // { key, compare, diff }: the diff against state.compare for graphCache.key
+const statsCache = new WeakMap(); // aggregate -> its scoreLinks result
+let configDir = './'; // folder of the bundled dataset and its fieldscope.config.json; null for uploaded datasets
+
 const els = {
-  sourceSelect: document.getElementById('sourceSelect'),
-  targetSelect: document.getElementById('targetSelect'),
+  sheetControls: document.getElementById('sheetControls'),
+  sheetSelect: document.getElementById('sheetSelect'),
+  joinSheetSelect: document.getElementById('joinSheetSelect'),
+  joinKeys: document.getElementById('joinKeys'),
+  joinLeftKey: document.getElementById('joinLeftKey'),
+  joinRightKey: document.getElementById('joinRightKey'),
+  columnSlots: document.getElementById('columnSlots'),
+  addColumnBtn: document.getElementById('addColumnBtn'),
   chart: document.getElementById('chart'),
+  viewCanvas: document.getElementById('viewCanvas'),
+  viewToggle: document.getElementById('viewToggle'),
+  matrixPairLabel: document.getElementById('matrixPairLabel'),
+  matrixPairSelect: document.getElementById('matrixPairSelect'),
+  colorByLabel: document.getElementById('colorByLabel'),
+  colorBySelect: document.getElementById('colorBySelect'),
+  linkFilterLabel: document.getElementById('linkFilterLabel'),
+  linkFilterSelect: document.getElementById('linkFilterSelect'),
+  topNLabel: document.getElementById('topNLabel'),
+  topNInput: document.getElementById('topNInput'),
+  regroupBtn: document.getElementById('regroupBtn'),
+  progress: document.getElementById('progress'),
+  progressBar: document.getElementById('progressBar'),
+  progressText: document.getElementById('progressText'),
   refList: document.getElementById('refList'),
+  citationStyleSelect: document.getElementById('citationStyleSelect'),
+  selectionBar: document.getElementById('selectionBar'),
+  selectionText: document.getElementById('selectionText'),
+  clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+  searchInput: document.getElementById('searchInput'),
+  searchPrevBtn: document.getElementById('searchPrevBtn'),
+  searchNextBtn: document.getElementById('searchNextBtn'),
+  searchStatus: document.getElementById('searchStatus'),
+  timelineBar: document.getElementById('timelineBar'),
+  timelinePlayBtn: document.getElementById('timelinePlayBtn'),
+  timelineSlider: document.getElementById('timelineSlider'),
+  timelineLabel: document.getElementById('timelineLabel'),
+  timelineMode: document.getElementById('timelineMode'),
+  timelineWindowLabel: document.getElementById('timelineWindowLabel'),
+  timelineWindow: document.getElementById('timelineWindow'),
+  timelineAllBtn: document.getElementById('timelineAllBtn'),
   toggleRefNums: document.getElementById('toggleRefNums'),
+  tableToggleBtn: document.getElementById('tableToggleBtn'),
+  linkTable: document.getElementById('linkTable'),
+  chartStatus: document.getElementById('chartStatus'),
+  resetLayoutBtn: document.getElementById('resetLayoutBtn'),
+  crossingStatus: document.getElementById('crossingStatus'),
+  exportButtons: document.querySelectorAll('.export-btn'),
+  filterBody: document.getElementById('filterBody'),
+  errorBanner: document.getElementById('errorBanner'),
+  errorText: document.getElementById('errorText'),
+  dismissErrorBtn: document.getElementById('dismissErrorBtn'),
+  diagnosticsStatus: document.getElementById('diagnosticsStatus'),
+  diagnosticsBody: document.getElementById('diagnosticsBody'),
+  filterStatus: document.getElementById('filterStatus'),
+  resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+  toggleFold: document.getElementById('toggleFold'),
+  aliasColumnSelect: document.getElementById('aliasColumnSelect'),
+  aliasBody: document.getElementById('aliasBody'),
   uploadBtn: document.getElementById('uploadBtn'),
   hiddenFileInput: document.getElementById('hiddenFileInput'),
+  editorPanel: document.getElementById('editorPanel'),
+  editorBody: document.getElementById('editorBody'),
+  editorStatus: document.getElementById('editorStatus'),
+  undoBtn: document.getElementById('undoBtn'),
+  redoBtn: document.getElementById('redoBtn'),
+  addRowBtn: document.getElementById('addRowBtn'),
+  saveXlsxBtn: document.getElementById('saveXlsxBtn'),
+  recentDatasets: document.getElementById('recentDatasets'),
+  recentSelect: document.getElementById('recentSelect'),
+  forgetDatasetBtn: document.getElementById('forgetDatasetBtn'),
+  compareBtn: document.getElementById('compareBtn'),
+  compareFileInput: document.getElementById('compareFileInput'),
+  compareKeyLabel: document.getElementById('compareKeyLabel'),
+  compareKeySelect: document.getElementById('compareKeySelect'),
+  clearCompareBtn: document.getElementById('clearCompareBtn'),
+  compareStatus: document.getElementById('compareStatus'),
+  compareBody: document.getElementById('compareBody'),
+  configStatus: document.getElementById('configStatus'),
+  configBody: document.getElementById('configBody'),
+  importConfigBtn: document.getElementById('importConfigBtn'),
+  exportConfigBtn: document.getElementById('exportConfigBtn'),
+  resetConfigBtn: document.getElementById('resetConfigBtn'),
+  configFileInput: document.getElementById('configFileInput'),
   year: document.getElementById('year'),
 };
 
@@ -23,23 +175,218 @@ els.year.textContent = new Date().getFullYear();
 
 // Wire controls
 
-els.sourceSelect.addEventListener('change', () => {
-  state.sourceCol = els.sourceSelect.value;
+els.sheetSelect.addEventListener('change', () => {
+  state.sheet = els.sheetSelect.value;
+  if (state.join && state.join.sheet === state.sheet) state.join = null;
+  applySheets();
+});
+
+els.joinSheetSelect.addEventListener('change', () => {
+  const other = els.joinSheetSelect.value;
+  if (!other) {
+    state.join = null;
+  } else {
+    const [leftKey, rightKey] = guessJoinKeys(sheetRows(state.sheet), sheetRows(other));
+    state.join = { sheet: other, leftKey, rightKey };
+  }
+  applySheets();
+});
+
+els.joinLeftKey.addEventListener('change', () => {
+  state.join.leftKey = els.joinLeftKey.value;
+  applySheets();
+});
+
+els.joinRightKey.addEventListener('change', () => {
+  state.join.rightKey = els.joinRightKey.value;
+  applySheets();
+});
+
+els.addColumnBtn.addEventListener('click', () => {
+  const selectable = filterSelectableColumns(state.columns);
+  // Prefer a column not yet in the chain
+  const next = selectable.find(c => !state.chain.includes(c)) || selectable[0];
+  if (!next) return;
+  state.chain.push(next);
+  renderColumnSlots();
+  renderAll();
+});
+
+for (const view of listViews()) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn view-btn';
+  btn.dataset.view = view.id;
+  btn.textContent = view.label;
+  btn.title = view.title;
+  btn.addEventListener('click', () => {
+    state.view = view.id;
+    renderColumnSlots(); // the fewest columns a view takes differs
+    renderAll();
+  });
+  els.viewToggle.appendChild(btn);
+}
+
+els.matrixPairSelect.addEventListener('change', () => {
+  state.matrixPair = Number(els.matrixPairSelect.value) || 0;
+  renderAll();
+});
+
+els.resetFiltersBtn.addEventListener('click', () => {
+  state.filters = {};
+  renderFilters();
+  onFiltersChanged();
+});
+
+els.toggleFold.addEventListener('change', () => {
+  state.fold = els.toggleFold.checked;
+  onLabelsChanged();
+});
+
+els.aliasColumnSelect.addEventListener('change', () => {
+  state.aliasColumn = els.aliasColumnSelect.value;
+  renderAliases();
+});
+
+els.colorBySelect.addEventListener('change', () => {
+  const value = els.colorBySelect.value;
+  const at = value.indexOf(':');
+  state.color = at === -1 ? { mode: value, column: null } : { mode: value.slice(0, at), column: value.slice(at + 1) };
+  renderAll();
+});
+
+els.linkFilterSelect.addEventListener('change', () => {
+  state.linkFilter = els.linkFilterSelect.value;
+  renderAll();
+});
+
+els.topNInput.addEventListener('change', () => {
+  state.topN = Math.max(0, Math.round(Number(els.topNInput.value)) || 0);
+  state.expanded = [];
   renderAll();
 });
 
-els.targetSelect.addEventListener('change', () => {
-  state.targetCol = els.targetSelect.value;
+els.regroupBtn.addEventListener('click', () => {
+  state.expanded = [];
+  renderAll();
+});
+
+els.timelinePlayBtn.addEventListener('click', () => {
+  if (playTimer) {
+    stopPlayback();
+    return;
+  }
+  const { steps, year } = state.timeline;
+  // Start over when nothing is shown yet or the last year was reached
+  if (year === null || year >= steps[steps.length - 1]) setTimelineYear(steps[0]);
+  playTimer = setInterval(stepTimeline, TIMELINE_STEP_MS);
+  syncTimelineControls();
+});
+
+els.timelineSlider.addEventListener('input', () => {
+  const year = state.timeline.steps[Number(els.timelineSlider.value)];
+  stopPlayback();
+  setTimelineYear(year);
+});
+
+els.timelineMode.addEventListener('change', () => {
+  state.timeline.mode = els.timelineMode.value;
+  if (state.timeline.year !== null) renderAll({ transition: TIMELINE_TRANSITION_MS });
+  else syncTimelineControls();
+});
+
+els.timelineWindow.addEventListener('change', () => {
+  state.timeline.window = Math.max(1, Math.round(Number(els.timelineWindow.value)) || 1);
+  els.timelineWindow.value = state.timeline.window;
+  if (state.timeline.year !== null) renderAll({ transition: TIMELINE_TRANSITION_MS });
+});
+
+els.timelineAllBtn.addEventListener('click', () => {
+  stopPlayback();
+  setTimelineYear(null);
+});
+
+fillOptions(els.citationStyleSelect, Object.entries(CITATION_STYLES));
+
+els.citationStyleSelect.addEventListener('change', () => {
+  state.citationStyle = els.citationStyleSelect.value;
+  updateCitations();
+  showSearch();
+  syncHash();
+});
+
+els.dismissErrorBtn.addEventListener('click', () => {
+  els.errorBanner.hidden = true;
+});
+
+els.clearSelectionBtn.addEventListener('click', () => {
+  state.selection = [];
   renderAll();
 });
 
+els.searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => setSearchQuery(els.searchInput.value), 150);
+});
+
+// Enter / Shift+Enter step through the hits, Escape clears the search
+els.searchInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    event.preventDefault();
+    if (els.searchInput.value !== state.search.query) setSearchQuery(els.searchInput.value);
+    else stepSearch(event.shiftKey ? -1 : 1);
+  } else if (event.key === 'Escape') {
+    els.searchInput.value = '';
+    setSearchQuery('');
+  }
+});
+
+els.searchPrevBtn.addEventListener('click', () => stepSearch(-1));
+els.searchNextBtn.addEventListener('click', () => stepSearch(1));
+
+// "/" focuses the search box, F3 / Shift+F3 step through the hits from anywhere
+document.addEventListener('keydown', (event) => {
+  const typing = /^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName || '') || event.target.isContentEditable;
+  if (event.key === '/' && !typing && !event.ctrlKey && !event.metaKey) {
+    event.preventDefault();
+    els.searchInput.focus();
+    els.searchInput.select();
+  } else if (event.key === 'F3') {
+    event.preventDefault();
+    stepSearch(event.shiftKey ? -1 : 1);
+  }
+});
+
 els.toggleRefNums.addEventListener('change', () => {
   state.showRefNums = els.toggleRefNums.checked;
   renderAll();
 });
 
+els.tableToggleBtn.addEventListener('click', () => {
+  state.showTable = !state.showTable;
+  renderAll();
+});
+
+// Forget the dragged orders of the chain's columns and re-run the automatic layout
+els.resetLayoutBtn.addEventListener('click', () => {
+  for (const column of state.chain) delete state.nodeOrders[column];
+  saveNodeOrders();
+  renderAll();
+});
+
+els.exportButtons.forEach(btn => {
+  btn.addEventListener('click', async () => {
+    try {
+      await runExport(btn.dataset.export);
+    } catch (err) {
+      reportError('Export', err);
+    }
+  });
+});
+
 // Upload button and hidden file input
 if (els.uploadBtn && els.hiddenFileInput) {
+  els.hiddenFileInput.accept = acceptedExtensions();
   els.uploadBtn.addEventListener('click', () => {
     els.hiddenFileInput.click();
   });
@@ -47,86 +394,1314 @@ if (els.uploadBtn && els.hiddenFileInput) {
     const file = e.target.files?.[0];
     if (!file) return;
     try {
-      const rows = await readExcelFile(file);
-      onDataLoaded(rows);
+      const buffer = await file.arrayBuffer();
+      const sheets = await parseFile(file.name, buffer, showProgress);
+      // The bundled dataset's config does not describe this file; an imported one still applies
+      configDir = null;
+      await loadProjectConfig(configDir);
+      onSheetsLoaded(sheets, file.name);
+      rememberDataset(file.name, buffer);
     } catch (err) {
-      console.error('Failed to read uploaded file:', err);
+      reportError(file.name, err);
     } finally {
+      showProgress(null);
       // allow re-selecting the same file later
       e.target.value = '';
     }
   });
 }
 
-// Edge counts feature removed; no handler needed.
+// Recent datasets: '' is the bundled one
+els.recentSelect.addEventListener('change', () => {
+  const id = Number(els.recentSelect.value);
+  if (id) openSavedDataset(id);
+  else {
+    setDatasetId(null);
+    tryLoadBuiltin();
+  }
+});
+
+els.forgetDatasetBtn.addEventListener('click', async () => {
+  const id = state.datasetId;
+  if (id == null) return;
+  try {
+    await deleteDataset(id);
+  } catch (err) {
+    console.warn('Could not remove the saved dataset:', err);
+  }
+  setDatasetId(null);
+  tryLoadBuiltin();
+});
+
+// Earlier version to compare with; its rows come from the sheet named like the current one, else the first
+els.compareFileInput.accept = acceptedExtensions();
+els.compareBtn.addEventListener('click', () => {
+  els.compareFileInput.click();
+});
+els.compareFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const sheets = await readDataFile(file);
+    const sheet = sheets.find(s => s.name === state.sheet) || sheets[0];
+    state.compare = { name: file.name, rows: sheet.rows, key: guessKeyColumn(sheet.rows, state.rows, state.columns.filter(isArticleNumberColumn), state.project.config.citationFields) };
+    state.color = { mode: 'diff', column: null };
+    renderColorOptions(filterSelectableColumns(state.columns));
+    renderAll();
+  } catch (err) {
+    reportError(file.name, err);
+  } finally {
+    showProgress(null);
+    e.target.value = '';
+  }
+});
+
+els.compareKeySelect.addEventListener('change', () => {
+  state.compare.key = els.compareKeySelect.value || null;
+  renderAll();
+});
+
+els.clearCompareBtn.addEventListener('click', () => {
+  state.compare = null;
+  compareCache = null;
+  if (state.color.mode === 'diff') state.color = { mode: 'multiplicity', column: null };
+  renderColorOptions(filterSelectableColumns(state.columns));
+  renderAll();
+});
+
+// Project config: an imported file is kept in the browser and wins over the one next to the dataset
+els.importConfigBtn.addEventListener('click', () => {
+  els.configFileInput.click();
+});
+els.configFileInput.addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const text = await file.text();
+    state.project = { ...parseProjectConfig(text), source: `imported ${file.name}` };
+    try {
+      localStorage.setItem(PROJECT_CONFIG_KEY, JSON.stringify({ name: file.name, text }));
+    } catch {
+      // storage unavailable (private mode); the config lasts for this session
+    }
+    onProjectConfigChanged();
+  } catch (err) {
+    reportError(file.name, err);
+  } finally {
+    e.target.value = '';
+  }
+});
+
+els.exportConfigBtn.addEventListener('click', () => {
+  const selectable = filterSelectableColumns(state.columns);
+  exportJson(buildProjectConfig({
+    config: state.project.config,
+    chain: state.chain,
+    hiddenColumns: state.columns.filter(c => !selectable.includes(c)),
+    columnLabels: Object.fromEntries(state.columns.map(c => [c, formatColumnLabel(c)])),
+    citationFields: referenceFields(state.rows, state.project.config.citationFields),
+    nodeOrder: draggedOrder(),
+    split: state.split,
+    aliases: state.aliases,
+    fold: state.fold,
+  }), CONFIG_FILE);
+});
+
+els.resetConfigBtn.addEventListener('click', async () => {
+  try {
+    localStorage.removeItem(PROJECT_CONFIG_KEY);
+  } catch {
+    // storage unavailable (private mode)
+  }
+  await loadProjectConfig(configDir);
+  onProjectConfigChanged();
+});
+
+// Spreadsheet editor; the grid is only drawn while its panel is open
+els.editorPanel.addEventListener('toggle', renderEditorPanel);
+
+els.undoBtn.addEventListener('click', () => stepHistory(history.undo()));
+els.redoBtn.addEventListener('click', () => stepHistory(history.redo()));
+
+els.editorPanel.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  // An input with a change not yet committed keeps its own undo
+  const cell = e.target.closest?.('.editor-cell');
+  if (cell && cell.value !== cell.defaultValue) return;
+  if (key === 'z' || key === 'y') {
+    e.preventDefault();
+    stepHistory(key === 'y' || e.shiftKey ? history.redo() : history.undo());
+  }
+});
+
+els.addRowBtn.addEventListener('click', () => {
+  const row = Object.fromEntries(state.columns.map(c => [c, '']));
+  state.editorPage = Math.floor(state.rows.length / EDITOR_PAGE_SIZE);
+  editRows({ type: 'insert', index: state.rows.length, row });
+  els.editorBody.querySelector('tbody tr:last-child .editor-cell')?.focus();
+});
+
+els.saveXlsxBtn.addEventListener('click', () => {
+  const base = state.fileName.replace(/\.[^.]+$/, '') || 'fieldscope-data';
+  try {
+    exportWorkbook(state.sheets.map(sheet => ({
+      name: sheet.name,
+      rows: sheet.rows,
+      columns: sheet.name === state.sheet ? state.columns : inferColumns(sheet.rows),
+    })), `${base}.xlsx`);
+    state.edited = false;
+    syncEditorControls();
+  } catch (err) {
+    reportError('Export', err);
+  }
+});
+
+// A pasted permalink in an open tab switches to that view
+window.addEventListener('hashchange', () => {
+  if (location.hash === lastHash) return;
+  state.pendingView = readViewState();
+  if (!state.pendingView || !state.sheets.length) return;
+  state.join = null;
+  restoreSheetView();
+  applySheets();
+});
 
 window.addEventListener('resize', () => {
-  // Debounce resize re-render
+  // Debounce resize re-render; the aggregated graph is reused, only the layout is redone
   clearTimeout(window.__bioVizResize);
-  window.__bioVizResize = setTimeout(renderAll, 120);
+  window.__bioVizResize = setTimeout(() => {
+    if (chartSize() !== renderedSize) renderAll();
+  }, 120);
 });
 
-// Attempt to fetch init_data.xlsx by default
-tryLoadBuiltin();
+// Reopen the dataset from the last visit, else fetch a bundled one
+loadInitialDataset();
+
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+  navigator.serviceWorker.register('./sw.js').catch(err => {
+    console.warn('Offline support unavailable:', err);
+  });
+}
+
+async function loadInitialDataset() {
+  renderRecentDatasets();
+  let id = null;
+  try {
+    id = Number(localStorage.getItem(LAST_DATASET_KEY)) || null;
+  } catch {
+    // storage unavailable (private mode)
+  }
+  if (!(id && await openSavedDataset(id))) await tryLoadBuiltin();
+}
+
+// Parse and show a saved dataset; false when it is gone or unreadable
+async function openSavedDataset(id) {
+  try {
+    const saved = await loadDataset(id);
+    if (!saved) {
+      setDatasetId(null);
+      return false;
+    }
+    const sheets = await parseFile(saved.name, saved.buffer, showProgress);
+    configDir = null;
+    await loadProjectConfig(configDir);
+    onSheetsLoaded(sheets, saved.name);
+    setDatasetId(id);
+    return true;
+  } catch (err) {
+    reportError('the saved dataset', err);
+    return false;
+  } finally {
+    showProgress(null);
+  }
+}
+
+// Keep an uploaded file in the browser so it survives a reload
+async function rememberDataset(name, buffer) {
+  try {
+    const { id } = await saveDataset(name, buffer);
+    setDatasetId(id);
+  } catch (err) {
+    // IndexedDB unavailable or full: the dataset only lasts for this session
+    console.warn('Could not save the dataset in the browser:', err);
+    setDatasetId(null);
+  }
+}
+
+function setDatasetId(id) {
+  state.datasetId = id;
+  try {
+    if (id == null) localStorage.removeItem(LAST_DATASET_KEY);
+    else localStorage.setItem(LAST_DATASET_KEY, String(id));
+  } catch {
+    // storage unavailable (private mode)
+  }
+  renderRecentDatasets();
+}
+
+async function renderRecentDatasets() {
+  let saved = [];
+  try {
+    saved = await listDatasets();
+  } catch {
+    // no IndexedDB: nothing to switch to
+  }
+  els.recentDatasets.hidden = !saved.length;
+  const date = (t) => new Date(t).toLocaleDateString();
+  fillOptions(els.recentSelect, [['', 'Bundled dataset'], ...saved.map(d => [String(d.id), `${d.name} (${date(d.openedAt)})`])]);
+  els.recentSelect.value = state.datasetId == null ? '' : String(state.datasetId);
+  els.forgetDatasetBtn.disabled = state.datasetId == null;
+}
 
 async function tryLoadBuiltin() {
-  const paths = ['./data.xlsx', './init_data.xlsx', './data/data.xlsx'];
+  const paths = ['./data.xlsx', './init_data.xlsx', './data/data.xlsx', './data.csv', './data.bib', './data.ris'];
   for (const p of paths) {
+    let res;
     try {
-      const res = await fetch(p);
-      if (!res.ok) continue;
-      const buf = await res.arrayBuffer();
-      const wb = XLSX.read(buf, { type: 'array' });
-      const wsName = wb.SheetNames[0];
-      const rows = XLSX.utils.sheet_to_json(wb.Sheets[wsName], { defval: '' });
-      onDataLoaded(rows);
+      res = await fetch(p);
+    } catch {
+      continue; // not reachable: try next path
+    }
+    if (!res.ok) continue;
+    configDir = p.slice(0, p.lastIndexOf('/') + 1);
+    await loadProjectConfig(configDir);
+    try {
+      onSheetsLoaded(await parseFile(p, await res.arrayBuffer(), showProgress), p);
       return;
-    } catch (e) {
-      // try next path
+    } catch (err) {
+      // The file exists but could not be read: say so, then try the next one
+      reportError(p, err);
+    } finally {
+      showProgress(null);
     }
   }
   // If no dataset found, show a neutral placeholder without naming files
-  els.chart.innerHTML = placeholder('No dataset found. Add a .xlsx file to the repository and reload.');
+  els.chart.innerHTML = placeholder('No dataset found. Add a dataset file to the repository and reload.');
+}
+
+function emptyProject() {
+  return { config: {}, source: null, warnings: [] };
+}
+
+// The imported project config, else fieldscope.config.json in dir (none for an uploaded dataset, dir
+// null); without either the app guesses from the column names
+async function loadProjectConfig(dir) {
+  let imported = null;
+  try {
+    imported = JSON.parse(localStorage.getItem(PROJECT_CONFIG_KEY));
+  } catch {
+    // storage unavailable (private mode) or unreadable entry
+  }
+  if (!imported && dir == null) {
+    state.project = emptyProject();
+    return;
+  }
+  const source = imported ? `imported ${imported.name}` : `${dir.replace(/^\.\//, '')}${CONFIG_FILE}`;
+  let text = imported?.text;
+  state.project = emptyProject();
+  try {
+    if (text == null) {
+      const res = await fetch(`${dir}${CONFIG_FILE}`);
+      if (!res.ok) return;
+      text = await res.text();
+    }
+    state.project = { ...parseProjectConfig(text), source };
+  } catch (err) {
+    // Not reachable counts as no config; a broken one is reported
+    if (text != null) reportError(source, err);
+  }
+}
+
+// Apply a newly imported or reset project config to the loaded rows
+function onProjectConfigChanged() {
+  if (state.rows.length) resetView();
+  else renderProjectPanel();
+}
+
+function renderProjectPanel() {
+  const { config, source, warnings } = state.project;
+  els.configStatus.textContent = source || 'none';
+  els.resetConfigBtn.hidden = !source?.startsWith('imported ');
+  els.exportConfigBtn.disabled = !state.rows.length;
+  els.configBody.innerHTML = '';
+  const line = (text, className) => {
+    const div = document.createElement('div');
+    if (className) div.className = className;
+    div.textContent = text;
+    els.configBody.appendChild(div);
+  };
+  if (!source) {
+    line(`No ${CONFIG_FILE} next to the dataset: default columns, hidden columns and citation fields are guessed from the column names.`, 'hint');
+  } else {
+    const parts = configSummary(config);
+    line(parts.length ? `Sets ${parts.join('; ')}.` : 'The config sets nothing.');
+  }
+  const known = new Set(state.columns);
+  const unknown = state.columns.length ? configColumns(config).filter(c => !known.has(c)) : [];
+  warnings.forEach(w => line(w, 'hint'));
+  if (unknown.length) line(`Not in this dataset, ignored: ${unknown.join(', ')}`, 'hint');
+}
+
+// Every column a config names
+function configColumns(config) {
+  return [...new Set([
+    ...(config.defaultColumns || []),
+    ...(config.hiddenColumns || []),
+    ...['columnLabels', 'categoryOrder', 'split', 'aliases'].flatMap(key => Object.keys(config[key] || {})),
+    ...Object.values(config.citationFields || {}),
+  ])];
+}
+
+function onSheetsLoaded(sheets, fileName) {
+  state.fileName = fileName.split('/').pop();
+  state.edited = false;
+  state.sheets = sheets;
+  state.sheet = sheets[0].name;
+  state.join = null;
+  restoreSheetView();
+  applySheets();
+}
+
+// Sheet and join from a permalink, when the loaded file has them
+function restoreSheetView() {
+  const v = state.pendingView;
+  if (!v) return;
+  const has = (name) => state.sheets.some(s => s.name === name);
+  if (v.sheet && has(v.sheet)) state.sheet = v.sheet;
+  if (v.join && v.join.sheet !== state.sheet && has(v.join.sheet)) {
+    state.join = { sheet: v.join.sheet, leftKey: v.join.leftKey, rightKey: v.join.rightKey };
+  }
+}
+
+function sheetRows(name) {
+  return state.sheets.find(s => s.name === name)?.rows || [];
+}
+
+// Build the working rows from the selected sheet (plus an optional joined sheet)
+function applySheets() {
+  let rows = sheetRows(state.sheet);
+  if (state.join) {
+    rows = joinRows(rows, sheetRows(state.join.sheet), {
+      leftKey: state.join.leftKey,
+      rightKey: state.join.rightKey,
+      rightName: state.join.sheet,
+    });
+  }
+  renderSheetControls();
+  onDataLoaded(rows);
+}
+
+function renderSheetControls() {
+  els.sheetControls.hidden = state.sheets.length < 2;
+  if (els.sheetControls.hidden) return;
+  const names = state.sheets.map(s => s.name);
+
+  fillOptions(els.sheetSelect, names.map(n => [n, n]));
+  els.sheetSelect.value = state.sheet;
+
+  const others = names.filter(n => n !== state.sheet);
+  fillOptions(els.joinSheetSelect, [['', '(none)'], ...others.map(n => [n, n])]);
+  els.joinSheetSelect.value = state.join ? state.join.sheet : '';
+
+  els.joinKeys.hidden = !state.join;
+  if (!state.join) return;
+  const leftCols = inferColumns(sheetRows(state.sheet));
+  const rightCols = inferColumns(sheetRows(state.join.sheet));
+  fillOptions(els.joinLeftKey, leftCols.map(c => [c, formatColumnLabel(c)]));
+  fillOptions(els.joinRightKey, rightCols.map(c => [c, formatColumnLabel(c)]));
+  els.joinLeftKey.value = state.join.leftKey;
+  els.joinRightKey.value = state.join.rightKey;
+}
+
+function fillOptions(selectEl, pairs) {
+  selectEl.innerHTML = '';
+  for (const [value, label] of pairs) {
+    const o = document.createElement('option');
+    o.value = value; o.textContent = label;
+    selectEl.appendChild(o);
+  }
 }
 
 function onDataLoaded(rows) {
   state.rows = rows;
+  graphCache = null;
+  history.clear();
+  state.editorPage = 0;
+  if (rows.length >= BACKGROUND_ROWS) shareRows(rows);
   state.columns = inferColumns(rows);
+  const shown = state.pendingView?.show;
+  state.shownColumns = Array.isArray(shown) ? shown.filter(c => state.columns.includes(c)) : [];
+  resetView();
+}
+
+// Start the view over from the project config's defaults (and a permalink's view state once), keeping
+// the rows and their edit history
+function resetView() {
+  const config = state.project.config;
+  const known = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([c]) => state.columns.includes(c)));
   const selectable = filterSelectableColumns(state.columns);
-  populateSelect(els.sourceSelect, selectable);
-  populateSelect(els.targetSelect, selectable);
-  els.sourceSelect.disabled = false;
-  els.targetSelect.disabled = false;
   // Reflect default toggle state in UI
   if (els.toggleRefNums) els.toggleRefNums.checked = state.showRefNums;
 
-  // Choose more interesting defaults if available (e.g., Stage in gastrulation → 1D/2D/3D)
-  const [defSrc, defTgt] = chooseDefaultColumns(selectable);
-  state.sourceCol = defSrc || selectable[0] || null;
-  state.targetCol = defTgt || selectable[1] || null;
-  if (state.sourceCol) els.sourceSelect.value = state.sourceCol;
-  if (state.targetCol) els.targetSelect.value = state.targetCol;
+  state.chain = defaultColumns(selectable, config.defaultColumns, currentView().minColumns);
+  state.split = known(config.split);
+  state.filters = {};
+  state.aliases = known(config.aliases);
+  if (typeof config.fold === 'boolean') state.fold = config.fold;
+  state.selectedRef = null;
+  state.selection = [];
+  state.expanded = [];
+  state.search = emptySearch();
+  state.color = { mode: state.compare ? 'diff' : 'multiplicity', column: null };
+  state.linkFilter = 'all';
+  compareCache = null;
+  if (state.compare) state.compare.key = guessKeyColumn(state.compare.rows, state.rows, state.columns.filter(isArticleNumberColumn), config.citationFields);
+  stopPlayback();
+  state.timeline = buildTimeline(state.rows);
+  state.numericKinds = Object.fromEntries(numericColumns(state.rows, selectable).map(({ column, kind }) => [column, kind]));
+  restoreView(selectable);
+  renderColorOptions(selectable);
+  els.searchInput.value = state.search.query;
+  els.topNInput.value = state.topN || '';
+  els.toggleFold.checked = state.fold;
+  if (!selectable.includes(state.aliasColumn)) state.aliasColumn = state.chain[0] || selectable[0] || null;
+  fillOptions(els.aliasColumnSelect, selectable.map(c => [c, formatColumnLabel(c)]));
+  renderColumnSlots();
 
   // Build reference list mapping
-  renderRefList(rows);
+  state.references = buildReferences(state.rows, config.citationFields);
+  renderRefList();
+  refreshCanon();
+  renderAliases();
+  renderFilters();
+  onFiltersChanged();
+
+  if (state.selectedRef != null) {
+    els.refList.children[state.selectedRef - 1]?.scrollIntoView?.({ block: 'center' });
+  }
+  renderEditorPanel();
+  renderProjectPanel();
+}
+
+// One edit from the spreadsheet editor; a cell edit leaves the grid as it is, so focus stays put
+function editRows(edit) {
+  state.rows = applyEdit(state.rows, edit);
+  history.push(edit);
+  state.edited = true;
+  onRowsEdited(edit, edit.type !== 'cell');
+}
+
+// An edit from history.undo() / history.redo()
+function stepHistory(edit) {
+  if (!edit) return;
+  state.rows = applyEdit(state.rows, edit);
+  state.edited = true;
+  onRowsEdited(edit, true);
+}
+
+// Rows changed in the editor: refresh everything derived from them, keeping the view (columns,
+// filters, labels, timeline year). Edits land in the loaded sheet, so switching sheets keeps them
+function onRowsEdited(edit, redrawGrid) {
+  graphCache = null;
+  compareCache = null;
+  const sheet = state.sheets.find(s => s.name === state.sheet);
+  if (sheet && !state.join) sheet.rows = state.rows;
+  // The worker keeps the rows of large datasets: it gets the edit, or every row once the edit makes
+  // the dataset large
+  const before = state.rows.length + (edit.type === 'insert' ? -1 : edit.type === 'delete' ? 1 : 0);
+  if (before >= BACKGROUND_ROWS) shareEdit(edit);
+  else if (state.rows.length >= BACKGROUND_ROWS) shareRows(state.rows);
+  const selectable = filterSelectableColumns(state.columns);
+  state.numericKinds = Object.fromEntries(numericColumns(state.rows, selectable).map(({ column, kind }) => [column, kind]));
+  renderColorOptions(selectable);
+  const { year, mode, window } = state.timeline;
+  state.timeline = { ...buildTimeline(state.rows), mode, window };
+  if (state.timeline.steps.includes(year)) state.timeline.year = year;
+  if (state.selectedRef > state.rows.length) state.selectedRef = null;
+  state.references = buildReferences(state.rows, state.project.config.citationFields);
+  renderRefList();
+  refreshCanon();
+  renderAliases();
+  renderFilters();
+  onFiltersChanged();
+  if (redrawGrid) renderEditorPanel();
+  else syncEditorControls();
+}
+
+function renderEditorPanel() {
+  syncEditorControls();
+  if (!els.editorPanel.open) return;
+  if (state.join) {
+    els.editorBody.innerHTML = '<div class="hint">Editing works on one sheet at a time. Set "Join with" to (none) to edit the rows.</div>';
+    return;
+  }
+  renderEditor(els.editorBody, state.rows, {
+    columns: state.columns,
+    page: state.editorPage,
+    pageSize: EDITOR_PAGE_SIZE,
+    onEdit: editRows,
+    onPage: (page) => {
+      state.editorPage = page;
+      renderEditorPanel();
+    },
+    suggest: (column) => countValues(state.rows, column, { split: state.split }).map(v => v.value),
+    formatLabel: formatColumnLabel,
+    isHidden: (idx) => !!state.include && !state.include.has(idx),
+  });
+}
+
+function syncEditorControls() {
+  els.undoBtn.disabled = !history.canUndo();
+  els.redoBtn.disabled = !history.canRedo();
+  els.addRowBtn.disabled = !state.columns.length || !!state.join;
+  els.saveXlsxBtn.disabled = !state.rows.length;
+  els.editorStatus.textContent = state.edited ? 'edited, not saved as XLSX yet' : '';
+}
+
+// Apply a permalink's view state once; parts naming unknown columns are ignored
+function restoreView(selectable) {
+  const v = state.pendingView;
+  state.pendingView = null;
+  if (!v) return;
+  const known = (c) => state.columns.includes(c);
+  const pick = (obj) => Object.fromEntries(Object.entries(obj || {}).filter(([c]) => known(c)));
+
+  if (Array.isArray(v.columns) && v.columns.length >= 1 && v.columns.every(c => selectable.includes(c))) {
+    state.chain = v.columns.slice();
+    if (v.order && typeof v.order === 'object') {
+      for (const [layer, names] of Object.entries(v.order)) {
+        if (state.chain[layer] && Array.isArray(names)) state.nodeOrders[state.chain[layer]] = names;
+      }
+    }
+  }
+  state.split = pick(v.split);
+  state.filters = pick(v.filters);
+  state.aliases = pick(v.aliases);
+  if (typeof v.fold === 'boolean') state.fold = v.fold;
+  if (getView(v.view)) state.view = v.view;
+  if (Number.isInteger(v.pair)) state.matrixPair = v.pair;
+  if (typeof v.table === 'boolean') state.showTable = v.table;
+  if (typeof v.refNums === 'boolean') {
+    state.showRefNums = v.refNums;
+    els.toggleRefNums.checked = v.refNums;
+  }
+  if (typeof v.search === 'string') state.search.query = v.search;
+  if (Number.isInteger(v.top) && v.top >= 0) state.topN = v.top;
+  if (Array.isArray(v.expand)) state.expanded = v.expand.filter(known);
+  if (CITATION_STYLES[v.cite]) {
+    state.citationStyle = v.cite;
+    els.citationStyleSelect.value = v.cite;
+  }
+  if (v.timeline && typeof v.timeline === 'object' && state.timeline.column) {
+    const { year, mode, window } = v.timeline;
+    if (state.timeline.steps.includes(year)) state.timeline.year = year;
+    if (mode === 'cumulative' || mode === 'window') state.timeline.mode = mode;
+    if (Number.isInteger(window) && window >= 1) state.timeline.window = window;
+  }
+  if (v.color && typeof v.color === 'object') {
+    const { mode, column } = v.color;
+    if (mode === 'count' || mode === 'enrichment' || (mode === 'diff' && state.compare)) state.color = { mode, column: null };
+    else if (mode === 'category' && selectable.includes(column)) state.color = { mode, column };
+    else if (mode === 'numeric' && state.numericKinds[column]) state.color = { mode, column };
+  }
+  if (LINK_FILTERS.some(([mode]) => mode === v.links)) state.linkFilter = v.links;
+  if (Array.isArray(v.selection)) state.selection = v.selection.filter(k => typeof k === 'string');
+  if (Number.isInteger(v.ref) && v.ref >= 1 && v.ref <= state.rows.length) state.selectedRef = v.ref;
+}
+
+// Mirror the current view into the URL hash
+function syncHash() {
+  if (!state.rows.length) return;
+  lastHash = writeViewState({
+    sheet: state.sheets.length > 1 ? state.sheet : null,
+    join: state.join,
+    columns: state.chain,
+    split: state.split,
+    filters: state.filters,
+    fold: state.fold ? null : false,
+    aliases: state.aliases,
+    view: state.view,
+    pair: state.view === 'matrix' ? state.matrixPair : null,
+    refNums: state.showRefNums,
+    table: state.showTable || null,
+    top: state.topN || null,
+    expand: state.topN ? state.expanded : null,
+    ref: state.selectedRef,
+    selection: state.selection,
+    search: state.search.query || null,
+    cite: state.citationStyle === 'short' ? null : state.citationStyle,
+    show: state.shownColumns,
+    color: state.color.mode === 'multiplicity' ? null : state.color,
+    links: state.linkFilter === 'all' ? null : state.linkFilter,
+    timeline: state.timeline.year === null ? null : {
+      year: state.timeline.year,
+      mode: state.timeline.mode,
+      window: state.timeline.mode === 'window' ? state.timeline.window : null,
+    },
+    order: draggedOrder(),
+  });
+}
+
+// Labels changed (folding, aliases or splitting): rebuild everything that shows values
+function onLabelsChanged() {
+  refreshCanon();
+  renderAliases();
+  renderFilters();
+  onFiltersChanged();
+}
+
+function refreshCanon() {
+  state.canon = buildCanonicalizer(state.rows, state.columns, {
+    split: state.split,
+    aliases: state.aliases,
+    fold: state.fold,
+  });
+}
+
+function renderAliases() {
+  els.aliasColumnSelect.value = state.aliasColumn || '';
+  renderAliasPanel(els.aliasBody, {
+    column: state.aliasColumn,
+    // Labels before aliasing (folded together when folding is on), so every label can be mapped
+    values: countValues(state.rows, state.aliasColumn, {
+      split: state.split,
+      canon: buildCanonicalizer(state.rows, [state.aliasColumn], { split: state.split, fold: state.fold }),
+    }),
+    aliases: state.aliases,
+    onChange: onLabelsChanged,
+  });
+}
+
+function renderFilters() {
+  const descriptors = describeFilterColumns(state.rows, filterSelectableColumns(state.columns), {
+    split: state.split,
+    canon: state.canon,
+  });
+  renderFilterPanel(els.filterBody, descriptors, state.filters, onFiltersChanged, formatColumnLabel);
+}
+
+// Recompute the kept row set, then refresh the status line, Sources list and chart
+function onFiltersChanged() {
+  const kept = applyFilters(state.rows, state.filters, { split: state.split, canon: state.canon });
+  const total = state.rows.length;
+  state.include = kept.size === total ? null : kept;
+  els.filterStatus.textContent = total ? `${kept.size} of ${total} papers shown` : '';
+  Array.from(els.refList.children).forEach((li, idx) => {
+    li.classList.toggle('filtered-out', !!state.include && !state.include.has(idx));
+  });
+  runSearch();
   renderAll();
 }
 
-function renderAll() {
-  if (!state.rows.length || !state.sourceCol || !state.targetCol) {
-    els.chart.innerHTML = placeholder('Select source and target columns to visualize.');
+// options.transition: milliseconds to animate the Sankey from its previous state
+function renderAll(options = {}) {
+  const ticket = ++renderTicket;
+  state.crossings = null;
+  viewHandle = null;
+  syncViewControls();
+  syncTimelineControls();
+  syncCompareControls();
+  const include = visibleRows();
+  const view = currentView();
+  const container = viewContainer();
+  renderedSize = chartSize();
+  if (!state.rows.length || state.chain.length < view.minColumns) {
+    container.innerHTML = placeholder(view.minColumns > 1
+      ? 'Select at least two columns to visualize.'
+      : 'Select a column to visualize.');
     return;
   }
 
-  renderSankey(els.chart, state.rows, {
-    sourceCol: state.sourceCol,
-    targetCol: state.targetCol,
+  const request = graphRequest(include);
+  if (view.id !== 'sankey') {
+    const draw = (aggregate) => {
+      viewHandle = view.render(els.viewCanvas, state.rows, {
+        columns: state.chain,
+        split: state.split,
+        include,
+        canon: state.canon,
+        pairIndex: state.matrixPair,
+        nodeOrder: chainNodeOrder(),
+        categoryColors: state.project.config.palette?.categories || null,
+        formatLabel: formatColumnLabel,
+        aggregate,
+        stats: aggregate && linkStats(aggregate),
+      }) || null;
+      showSelectionInRefList([], null);
+      showSearch();
+    };
+    if (view.aggregate) withAggregate(request, ticket, draw);
+    else draw(null);
+    renderDiagnostics();
+    syncHash();
+    return;
+  }
+
+  withAggregate(request, ticket, aggregate => drawSankey(aggregate, options));
+  renderDiagnostics();
+  syncHash();
+}
+
+// The buildGraph request of the current view: the graph only depends on these (layout and styling are
+// redone on every render). Only the Sankey folds values by Top N
+function graphRequest(include = visibleRows()) {
+  const sankey = currentView().id === 'sankey';
+  return {
+    columns: state.chain,
+    split: state.split,
+    aliases: state.aliases,
+    fold: state.fold,
+    include,
+    topN: sankey ? state.topN : 0,
+    expanded: sankey ? state.chain.map((c, layer) => (state.expanded.includes(c) ? layer : -1)).filter(layer => layer >= 0) : [],
+  };
+}
+
+// graphCache key of a request
+function graphKey(request) {
+  return JSON.stringify({ ...request, include: includeSignature() });
+}
+
+// The aggregate of the current view (with Top N in the Sankey) for the exports: graphCache when it is
+// current, else built here
+function shownAggregate() {
+  const request = graphRequest();
+  return graphCache?.key === graphKey(request)
+    ? graphCache
+    : buildGraph(state.rows, state.chain, { ...request, canon: state.canon });
+}
+
+// Calls draw(aggregate) with the aggregate for a buildGraph request: graphCache when its inputs are
+// unchanged, else built here or, for large data, in the background worker (draw is skipped if another
+// render started meanwhile)
+function withAggregate(request, ticket, draw) {
+  const key = graphKey(request);
+  if (graphCache?.key === key) {
+    draw(graphCache);
+  } else if (state.rows.length < BACKGROUND_ROWS) {
+    graphCache = { key, ...buildGraph(state.rows, request.columns, { ...request, canon: state.canon }) };
+    draw(graphCache);
+  } else {
+    aggregateGraph(state.rows, { ...request, canon: state.canon }, showProgress)
+      .then(result => {
+        if (ticket !== renderTicket) return;
+        graphCache = { key, ...result };
+        draw(graphCache);
+      })
+      .catch(err => reportError('the chart data', err))
+      .finally(() => {
+        if (ticket === renderTicket) showProgress(null);
+      });
+  }
+}
+
+// Stands for visibleRows() in cache keys, which is cheaper than listing its rows: they follow from the
+// filters and the timeline year (and the rows, labels and splitting, which the caches check themselves)
+function includeSignature() {
+  const { column, year, mode, window } = state.timeline;
+  return { filters: state.filters, timeline: year === null ? null : { column, year, mode, window } };
+}
+
+function drawSankey(aggregate, options) {
+  const diff = state.compare ? compareWithEarlier(aggregate) : null;
+  const showDiff = diff && state.color.mode === 'diff';
+  const stats = linkStats(aggregate);
+  renderLinkFilterOptions(stats);
+  // The link filter works on the current links; the diff also draws removed ones, so it shows them all
+  const shown = showDiff ? diff.aggregate : filterLinks(aggregate, stats, state.linkFilter);
+  if (!shown.graph.links.length && !showDiff) {
+    const label = LINK_FILTERS.find(([mode]) => mode === state.linkFilter)[1].toLowerCase();
+    els.chart.innerHTML = placeholder(`No ${label} links at q &lt; ${stats.alpha}. Choose "All links" to see the whole chart.`);
+    viewHandle = null;
+    if (state.showTable) els.linkTable.innerHTML = '';
+    showSearch();
+    return;
+  }
+  viewHandle = getView('sankey').render(els.chart, state.rows, {
+    aggregate: shown,
+    columns: state.chain,
+    columnLabels: state.chain.map(formatColumnLabel),
+    refLabel: (id) => {
+      const ref = state.references[id - 1];
+      return ref ? `Reference ${id}: ${formatCitation(ref, state.citationStyle)}` : `Reference ${id}`;
+    },
+    announce: (text) => {
+      els.chartStatus.textContent = text;
+    },
     showRefNums: state.showRefNums,
+    split: state.split,
+    canon: state.canon,
+    describeRef,
+    selectedRef: state.selectedRef,
+    onSelectRef: (id) => {
+      state.selectedRef = id;
+      syncHash();
+    },
+    nodeOrder: chainNodeOrder(),
+    onNodeOrderChange: (layer, names) => {
+      state.nodeOrders[state.chain[layer]] = names;
+      saveNodeOrders();
+      syncHash();
+      syncLayoutControls();
+    },
+    onLayoutChange: ({ crossings }) => {
+      state.crossings = crossings;
+      syncLayoutControls();
+    },
+    color: showDiff
+      ? { mode: 'diff', changes: diff.changes, label: state.compare.name }
+      : { ...state.color, stats, kind: state.numericKinds[state.color.column], label: formatColumnLabel(state.color.column || '') },
+    describeLink: (key) => describeScore(stats.scores.get(key)),
+    palette: state.project.config.palette || {},
+    transition: options.transition || 0,
+    selection: state.selection,
+    onSelectionChange: (keys, papers) => {
+      state.selection = keys;
+      showSelectionInRefList(keys, papers);
+      syncHash();
+    },
+    onExpandOther: (layer) => {
+      state.expanded = [...new Set([...state.expanded, state.chain[layer]])];
+      renderAll();
+    },
+  });
+  if (state.showTable) {
+    renderLinkTable(els.linkTable, shown, { columns: state.chain, formatLabel: formatColumnLabel, stats });
+  }
+  showSearch();
+}
+
+// Enrichment scores of an aggregate (see enrichment.js), computed once per aggregation
+function linkStats(aggregate) {
+  if (!statsCache.has(aggregate)) statsCache.set(aggregate, scoreLinks(aggregate));
+  return statsCache.get(aggregate);
+}
+
+// Link filter choices with the number of drawn links each keeps; significant gaps without any paper
+// cannot be drawn, so the title points to where they are listed
+function renderLinkFilterOptions(stats) {
+  const scores = [...stats.scores.values()];
+  const drawn = scores.filter(s => s.observed);
+  const counts = {
+    significant: drawn.filter(s => s.significant).length,
+    enriched: drawn.filter(s => s.enriched).length,
+    gaps: drawn.filter(s => s.gap).length,
+  };
+  els.linkFilterSelect.innerHTML = '';
+  for (const [mode, label] of LINK_FILTERS) {
+    const o = document.createElement('option');
+    o.value = mode;
+    o.textContent = mode === 'all' ? label : `${label} (${counts[mode]})`;
+    els.linkFilterSelect.appendChild(o);
+  }
+  els.linkFilterSelect.value = state.linkFilter;
+  const empty = scores.filter(s => s.gap && !s.observed).length;
+  els.linkFilterSelect.title = `Links tested against independence (Fisher's exact test, Benjamini–Hochberg adjusted, q < ${stats.alpha})`
+    + (empty ? `. ${empty} significant gap${empty === 1 ? ' has' : 's have'} no papers at all: see the gap matrix or the Link stats export` : '');
+}
+
+// Diff of the current aggregate against the same aggregation of the earlier dataset, with the same
+// filters and timeline year applied to both; also refreshes the Compare panel
+function compareWithEarlier(aggregate) {
+  const { rows, key } = state.compare;
+  if (compareCache?.key !== aggregate.key || compareCache.compare !== state.compare) {
+    const before = buildGraph(rows, state.chain, {
+      split: state.split,
+      include: earlierRows(),
+      canon: state.canon,
+      topN: state.topN,
+      expanded: state.chain.map((c, layer) => (state.expanded.includes(c) ? layer : -1)).filter(layer => layer >= 0),
+    });
+    compareCache = { key: aggregate.key, compare: state.compare, diff: diffAggregates(before, aggregate) };
+  }
+  const { diff } = compareCache;
+  const papers = matchPapers(rows, state.rows, { key, columns: state.chain, split: state.split, canon: state.canon });
+  els.compareStatus.textContent = summarizeDiff(diff, papers);
+  renderComparePanel(els.compareBody, diff, papers, {
+    formatLabel: formatColumnLabel,
+    describeRow: shortCitation,
+    columnOf: (layer) => state.chain[layer],
+  });
+  return diff;
+}
+
+// Rows of the earlier dataset that the current filters and timeline year keep
+function earlierRows() {
+  const { rows } = state.compare;
+  const kept = applyFilters(rows, state.filters, { split: state.split, canon: state.canon });
+  let include = kept.size === rows.length ? null : kept;
+  const { year, column } = state.timeline;
+  if (year !== null && column in (rows[0] || {})) {
+    const inTime = timelineRows(rowYears(rows, column), state.timeline);
+    include = include ? new Set([...inTime].filter(idx => include.has(idx))) : inTime;
+  }
+  return include;
+}
+
+// Compare panel controls; the summary itself is drawn with the Sankey
+function syncCompareControls() {
+  const on = !!state.compare;
+  els.compareKeyLabel.hidden = !on;
+  els.clearCompareBtn.hidden = !on;
+  els.compareBtn.textContent = on ? 'Load another version' : 'Load earlier version';
+  if (!on) {
+    els.compareStatus.textContent = '';
+    els.compareBody.innerHTML = '';
+    return;
+  }
+  const shared = state.columns.filter(c => c in (state.compare.rows[0] || {}));
+  fillOptions(els.compareKeySelect, [['', '(none)'], ...shared.map(c => [c, formatColumnLabel(c)])]);
+  els.compareKeySelect.value = state.compare.key || '';
+  if (state.view !== 'sankey') els.compareStatus.textContent = `against ${state.compare.name}; switch to the Sankey to see changes`;
+}
+
+// Loading and aggregation status over the chart; null hides it
+function showProgress(progress) {
+  els.progress.hidden = !progress;
+  if (!progress) return;
+  const { phase, done, total } = progress;
+  if (total) {
+    els.progressBar.value = done / total;
+    els.progressText.textContent = `${phase}\u2026 ${done.toLocaleString()} of ${total.toLocaleString()} rows`;
+  } else {
+    els.progressBar.removeAttribute('value'); // indeterminate
+    els.progressText.textContent = `${phase}\u2026`;
+  }
+}
+
+function chartSize() {
+  const el = viewContainer();
+  return `${el.clientWidth}x${el.clientHeight}`;
+}
+
+function currentView() {
+  return getView(state.view) || getView('sankey');
+}
+
+// The Sankey keeps its own container (its layout transitions between renders); other views share one
+function viewContainer() {
+  return state.view === 'sankey' ? els.chart : els.viewCanvas;
+}
+
+// Data quality panel: what the chart leaves out and why
+function renderDiagnostics() {
+  const inputs = { key: JSON.stringify({ chain: state.chain, split: state.split }), rows: state.rows, canon: state.canon };
+  const current = (c) => c?.key === inputs.key && c.rows === inputs.rows && c.canon === inputs.canon;
+  if (!current(scanCache)) {
+    const config = { chain: state.chain, split: state.split, canon: state.canon };
+    if (state.rows.length < BACKGROUND_ROWS) {
+      scanCache = { ...inputs, scan: scanChain(state.rows, config) };
+    } else {
+      // Large data: the scan runs in the worker and the panel is filled when it is done
+      if (!current(pendingScan)) {
+        const task = inputs;
+        pendingScan = task;
+        scanDataset(state.rows, { ...config, aliases: state.aliases, fold: state.fold })
+          .then(scan => {
+            if (pendingScan !== task) return;
+            pendingScan = null;
+            scanCache = { ...task, scan };
+            renderDiagnostics();
+          })
+          .catch(err => reportError('the data quality report', err));
+      }
+      els.diagnosticsStatus.textContent = 'Checking\u2026';
+      return;
+    }
+  }
+  const report = diagnoseDataset(state.rows, {
+    scan: scanCache.scan,
+    include: state.include,
+    visible: visibleRows(),
+    hiddenColumns: state.columns.filter(isArticleNumberColumn),
+    shownColumns: state.shownColumns,
+    errors: state.loadErrors,
+  });
+  els.diagnosticsStatus.textContent = summarizeReport(report);
+  renderDiagnosticsPanel(els.diagnosticsBody, report, {
+    onShowColumn: setColumnShown,
+    describeRow: shortCitation,
+    formatLabel: formatColumnLabel,
+  });
+}
+
+// "12. Author (2021) Title…" for row lists in the panels
+function shortCitation(id) {
+  const ref = state.references[id - 1];
+  const text = ref ? formatCitation(ref, 'short') : '';
+  return `${id}. ${text.length > 80 ? `${text.slice(0, 79)}\u2026` : text}`;
+}
+
+// Offer (or hide again) a column the id heuristic left out of the dropdowns
+function setColumnShown(column, show) {
+  state.shownColumns = show
+    ? [...new Set([...state.shownColumns, column])]
+    : state.shownColumns.filter(c => c !== column);
+  const selectable = filterSelectableColumns(state.columns);
+  if (!show && state.chain.includes(column)) {
+    state.chain = state.chain.filter(c => c !== column);
+    const fill = selectable.find(c => !state.chain.includes(c));
+    if (state.chain.length < 2 && fill) state.chain.push(fill);
+  }
+  if (state.color.column === column && !show) state.color = { mode: 'multiplicity', column: null };
+  state.numericKinds = Object.fromEntries(numericColumns(state.rows, selectable).map(({ column: c, kind }) => [c, kind]));
+  renderColorOptions(selectable);
+  fillOptions(els.aliasColumnSelect, selectable.map(c => [c, formatColumnLabel(c)]));
+  if (!selectable.includes(state.aliasColumn)) state.aliasColumn = state.chain[0] || selectable[0] || null;
+  els.aliasColumnSelect.value = state.aliasColumn;
+  renderColumnSlots();
+  onLabelsChanged();
+}
+
+// Load and export failures are shown, not only logged
+function reportError(source, err) {
+  console.error(`${source}:`, err);
+  const message = err?.message || String(err);
+  state.loadErrors.push({ source, message });
+  els.errorText.textContent = source === 'Export' ? `Export failed: ${message}` : `Could not read ${source}: ${message}`;
+  els.errorBanner.hidden = false;
+  if (state.rows.length) renderDiagnostics();
+}
+
+function emptyTimeline() {
+  return { column: null, years: [], steps: [], year: null, mode: 'cumulative', window: 3 };
+}
+
+// Playback runs over the distinct years found in the year column
+function buildTimeline(rows) {
+  const timeline = emptyTimeline();
+  const mapped = state.project.config.citationFields?.year;
+  const yearKey = state.columns.includes(mapped) ? mapped : findColumn(rows, ['Year', 'Date', 'Publication Year', 'Year Published']);
+  timeline.column = detectYearColumn(rows, state.columns, yearKey);
+  if (!timeline.column) return timeline;
+  timeline.years = rowYears(rows, timeline.column);
+  timeline.steps = [...new Set(timeline.years.filter(y => y !== null))].sort((a, b) => a - b);
+  return timeline;
+}
+
+// Rows shown: the filters' selection narrowed to the timeline's years
+function visibleRows() {
+  const { year } = state.timeline;
+  if (year === null) return state.include;
+  const inTime = timelineRows(state.timeline.years, state.timeline);
+  return state.include ? new Set([...inTime].filter(idx => state.include.has(idx))) : inTime;
+}
+
+function setTimelineYear(year) {
+  state.timeline.year = year;
+  renderAll({ transition: TIMELINE_TRANSITION_MS });
+}
+
+function stepTimeline() {
+  const { steps, year } = state.timeline;
+  const next = steps.find(y => y > year);
+  if (next === undefined) {
+    stopPlayback();
+    return;
+  }
+  setTimelineYear(next);
+  if (next === steps[steps.length - 1]) stopPlayback();
+}
+
+function stopPlayback() {
+  clearInterval(playTimer);
+  playTimer = null;
+  syncTimelineControls();
+}
+
+function syncTimelineControls() {
+  const { column, steps, year, mode, window } = state.timeline;
+  els.timelineBar.hidden = !column || steps.length < 2;
+  if (els.timelineBar.hidden) return;
+  els.timelineSlider.max = String(steps.length - 1);
+  els.timelineSlider.value = String(year === null ? steps.length - 1 : steps.indexOf(year));
+  els.timelineMode.value = mode;
+  els.timelineWindow.value = window;
+  els.timelineWindowLabel.hidden = mode !== 'window';
+  els.timelinePlayBtn.textContent = playTimer ? '\u275a\u275a' : '\u25b6';
+  els.timelinePlayBtn.setAttribute('aria-label', playTimer ? 'Pause' : 'Play');
+  els.timelineBar.title = `Years from ${formatColumnLabel(column)}`;
+
+  const shown = visibleRows();
+  const count = shown ? shown.size : state.rows.length;
+  const span = year === null ? 'All years' : mode === 'window' ? `${year - window + 1}\u2013${year}` : `Up to ${year}`;
+  els.timelineLabel.textContent = `${span} \u00b7 ${count} paper${count === 1 ? '' : 's'}`;
+  const inTime = year === null ? null : timelineRows(state.timeline.years, state.timeline);
+  Array.from(els.refList.children).forEach((li, idx) => {
+    li.classList.toggle('outside-timeline', !!inTime && !inTime.has(idx));
+  });
+}
+
+function emptySearch() {
+  return { query: '', hits: [], index: -1, hidden: 0 };
+}
+
+function setSearchQuery(query) {
+  clearTimeout(searchTimer);
+  state.search.query = query.trim();
+  runSearch();
+  showSearch(true);
+  syncHash();
+}
+
+// Hits are the reference numbers of matching papers that pass the filters
+function runSearch() {
+  const matched = searchRows(state.rows, state.search.query);
+  const hits = matched.filter(idx => !state.include || state.include.has(idx)).map(idx => idx + 1);
+  state.search = { ...state.search, hits, index: hits.length ? 0 : -1, hidden: matched.length - hits.length };
+}
+
+function stepSearch(delta) {
+  const n = state.search.hits.length;
+  if (!n) return;
+  state.search.index = (state.search.index + delta + n) % n;
+  showSearch(true);
+}
+
+// Mark hits in the Sources list and chart; the current hit is described and scrolled to
+function showSearch(scroll = false) {
+  const { query, hits, index, hidden } = state.search;
+  const current = index >= 0 ? hits[index] : null;
+  const found = new Set(hits);
+  Array.from(els.refList.children).forEach((li, idx) => {
+    li.classList.toggle('search-hit', found.has(idx + 1));
+    li.classList.toggle('search-current', idx + 1 === current);
+  });
+  viewHandle?.markSearch?.(hits, current);
+  els.searchPrevBtn.disabled = els.searchNextBtn.disabled = hits.length < 2;
+
+  const hiddenNote = hidden ? ` (${hidden} hidden by filters)` : '';
+  if (!query) els.searchStatus.textContent = '';
+  else if (current == null) els.searchStatus.textContent = `No matches${hiddenNote}`;
+  else {
+    els.searchStatus.innerHTML = `${index + 1} of ${hits.length}${hiddenNote}` + describeRef(current);
+    if (scroll) els.refList.children[current - 1]?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+  }
+}
+
+// Narrow the Sources list to the papers behind the selected nodes/links
+function showSelectionInRefList(keys, papers) {
+  Array.from(els.refList.children).forEach((li, idx) => {
+    li.classList.toggle('outside-selection', !!papers && !papers.has(idx + 1));
+  });
+  els.selectionBar.hidden = !papers;
+  if (!papers) return;
+  const label = (id) => {
+    const value = parseNodeId(id)?.value ?? id;
+    return value === OTHER_VALUE ? 'Other' : value;
+  };
+  const names = keys.map(k => (k.includes('|||') ? k.split('|||').map(label).join(' \u2192 ') : label(k)));
+  els.selectionText.textContent = `${papers.size} source${papers.size === 1 ? '' : 's'} for ${names.join(' + ')}`;
+}
+
+// Manual node orders are remembered per column (and across reloads), so they survive adding, removing
+// or moving columns in the chain. One order per column rather than per column pair: a middle column is
+// drawn once for both of its pairs, so it can only show one order. Returns { layer: names } of the
+// chain's dragged columns
+function draggedOrder() {
+  const order = {};
+  state.chain.forEach((column, layer) => {
+    if (state.nodeOrders[column]) order[layer] = state.nodeOrders[column];
+  });
+  return order;
+}
+
+// Dragged orders over the project config's category orders
+function chainNodeOrder() {
+  return { ...categoryNodeOrder(state.project.config, state.chain), ...draggedOrder() };
+}
+
+function loadNodeOrders() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(NODE_ORDERS_KEY)) || {};
+    return Object.fromEntries(Object.entries(saved).filter(([, names]) => Array.isArray(names)));
+  } catch {
+    return {};
+  }
+}
+
+function saveNodeOrders() {
+  try {
+    localStorage.setItem(NODE_ORDERS_KEY, JSON.stringify(state.nodeOrders));
+  } catch {
+    // storage unavailable (private mode); orders still last for this session
+  }
+}
+
+function syncLayoutControls() {
+  const hasLayout = currentView().controls.includes('layout');
+  els.crossingStatus.textContent = hasLayout && state.crossings != null
+    ? `${state.crossings} crossing${state.crossings === 1 ? '' : 's'}`
+    : '';
+  els.resetLayoutBtn.hidden = !hasLayout;
+  els.resetLayoutBtn.disabled = !Object.keys(draggedOrder()).length;
+}
+
+// Show the active view and keep the matrix pair picker in step with the chain
+function syncViewControls() {
+  const view = currentView();
+  const has = (control) => view.controls.includes(control);
+  els.chart.hidden = view.id !== 'sankey';
+  els.viewCanvas.hidden = view.id === 'sankey';
+  els.viewToggle.querySelectorAll('.view-btn').forEach(btn => {
+    const active = btn.dataset.view === view.id;
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', String(active));
   });
+
+  const pairs = Math.max(0, state.chain.length - 1);
+  if (state.matrixPair >= pairs) state.matrixPair = 0;
+  els.matrixPairSelect.innerHTML = '';
+  for (let i = 0; i < pairs; i++) {
+    const o = document.createElement('option');
+    o.value = String(i);
+    o.textContent = `${formatColumnLabel(state.chain[i])} \u2192 ${formatColumnLabel(state.chain[i + 1])}`;
+    els.matrixPairSelect.appendChild(o);
+  }
+  els.matrixPairSelect.value = String(state.matrixPair);
+  els.matrixPairLabel.hidden = !has('pair') || pairs < 2;
+  els.colorByLabel.hidden = !has('color');
+  els.linkFilterLabel.hidden = !has('linkFilter');
+  els.topNLabel.hidden = !has('topN');
+  els.toggleRefNums.closest('label').hidden = !has('refNums');
+  els.tableToggleBtn.hidden = !has('table');
+  els.tableToggleBtn.setAttribute('aria-pressed', String(state.showTable));
+  els.linkTable.hidden = !has('table') || !state.showTable;
+  els.regroupBtn.hidden = !has('topN') || !state.topN || !state.expanded.some(c => state.chain.includes(c));
+  syncLayoutControls();
 }
 
-function placeholder(text) {
-  return `<div style="display:grid;place-items:center;height:100%;color:#94a3b8">${text}</div>`;
+async function runExport(kind) {
+  const svg = viewContainer().querySelector('svg');
+  const base = `fieldscope-${state.view}`;
+  switch (kind) {
+    case 'svg':
+      if (svg) exportSvg(svg, `${base}.svg`);
+      break;
+    case 'png':
+      if (svg) await exportPng(svg, `${base}.png`, 3);
+      break;
+    case 'links-csv':
+    case 'links-xlsx': {
+      // The links on screen, like the data table: Top N folding and the Sankey's link filter
+      const aggregate = shownAggregate();
+      const shown = currentView().controls.includes('linkFilter')
+        ? filterLinks(aggregate, linkStats(aggregate), state.linkFilter)
+        : aggregate;
+      exportLinkTable(shown, state.chain, kind === 'links-xlsx' ? 'xlsx' : 'csv', 'fieldscope-links');
+      break;
+    }
+    case 'stats': {
+      // Every scored link of the aggregate on screen, so the p-values match the tooltips, colours and link filter
+      const aggregate = shownAggregate();
+      exportTable(enrichmentTable(aggregate, linkStats(aggregate), state.chain), ENRICHMENT_HEADER, 'csv', 'fieldscope-link-stats', 'Link stats');
+      break;
+    }
+    case 'refs':
+      exportReferences(state.references.map(ref => formatCitation(ref, state.citationStyle)), 'fieldscope-references.txt');
+      break;
+  }
 }
 
 function inferColumns(rows) {
@@ -135,6 +1710,106 @@ function inferColumns(rows) {
   return keys;
 }
 
+// Column chain editor: one select per layer with move/remove buttons
+function renderColumnSlots() {
+  const selectable = filterSelectableColumns(state.columns);
+  els.columnSlots.innerHTML = '';
+  state.chain.forEach((col, i) => {
+    const slot = document.createElement('div');
+    slot.className = 'column-slot';
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', `Column ${i + 1}`);
+    populateSelect(select, selectable);
+    select.value = col;
+    select.addEventListener('change', () => {
+      state.chain[i] = select.value;
+      splitInput.value = state.split[select.value] || '';
+      renderAll();
+    });
+    slot.appendChild(select);
+
+    const splitInput = document.createElement('input');
+    splitInput.type = 'text';
+    splitInput.className = 'split-input';
+    splitInput.placeholder = 'split';
+    splitInput.title = 'Characters that separate multiple values in a cell, e.g. ;, (leave empty to keep whole cells)';
+    splitInput.setAttribute('aria-label', `Value delimiters for column ${i + 1}`);
+    splitInput.value = state.split[col] || '';
+    splitInput.addEventListener('input', () => {
+      const c = state.chain[i];
+      if (splitInput.value) state.split[c] = splitInput.value;
+      else delete state.split[c];
+      // Labels and checklist values depend on splitting
+      onLabelsChanged();
+    });
+    slot.appendChild(splitInput);
+
+    slot.appendChild(slotButton('\u2190', 'Move left', i === 0, () => moveSlot(i, -1)));
+    slot.appendChild(slotButton('\u2192', 'Move right', i === state.chain.length - 1, () => moveSlot(i, 1)));
+    slot.appendChild(slotButton('\u00d7', 'Remove column', state.chain.length <= currentView().minColumns, () => {
+      state.chain.splice(i, 1);
+      renderColumnSlots();
+      renderAll();
+    }));
+
+    if (i < state.chain.length - 1) {
+      const arrow = document.createElement('span');
+      arrow.className = 'slot-arrow';
+      arrow.textContent = '\u2192';
+      slot.appendChild(arrow);
+    }
+    els.columnSlots.appendChild(slot);
+  });
+  els.addColumnBtn.disabled = !selectable.length;
+}
+
+// "Colour by" choices: the default, link count, any column as categories, numeric columns as means
+function renderColorOptions(selectable) {
+  const select = els.colorBySelect;
+  select.innerHTML = '';
+  const add = (parent, value, label) => {
+    const o = document.createElement('option');
+    o.value = value; o.textContent = label;
+    parent.appendChild(o);
+  };
+  const group = (label, pairs) => {
+    if (!pairs.length) return;
+    const g = document.createElement('optgroup');
+    g.label = label;
+    pairs.forEach(([value, text]) => add(g, value, text));
+    select.appendChild(g);
+  };
+  add(select, 'multiplicity', 'Shared links');
+  add(select, 'count', 'Link count');
+  add(select, 'enrichment', 'Observed / expected');
+  if (state.compare) add(select, 'diff', `Changes since ${state.compare.name}`);
+  group('Category', selectable.map(c => [`category:${c}`, formatColumnLabel(c)]));
+  group('Mean value', Object.entries(state.numericKinds).map(([c, kind]) =>
+    [`numeric:${c}`, kind === 'year' ? `Year in ${formatColumnLabel(c)}` : formatColumnLabel(c)]));
+  const { mode, column } = state.color;
+  select.value = column ? `${mode}:${column}` : mode;
+}
+
+function slotButton(text, title, disabled, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'btn slot-btn';
+  b.textContent = text;
+  b.title = title;
+  b.disabled = disabled;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function moveSlot(i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= state.chain.length) return;
+  [state.chain[i], state.chain[j]] = [state.chain[j], state.chain[i]];
+  renderColumnSlots();
+  renderAll();
+}
+
 function populateSelect(selectEl, options) {
   selectEl.innerHTML = '';
   for (const opt of options) {
@@ -144,48 +1819,30 @@ function populateSelect(selectEl, options) {
   }
 }
 
-function renderRefList(rows) {
+// One <li> per row, numbered like the chart's reference tokens; the citation text
+// is refreshed in place when the style changes so list classes survive
+function renderRefList() {
   els.refList.innerHTML = '';
-  const titleKey = preferKey(rows, ['Title', 'Paper', 'Reference', 'Citation', 'Name']);
-  const authorKey = preferKey(rows, ['Authors', 'Author', 'First Author', 'PI', 'Principal Investigator']);
-  const yearKey = preferKey(rows, ['Year', 'Date', 'Publication Year', 'Year Published']);
-
-  rows.forEach((row, idx) => {
+  state.references.forEach(ref => {
     const li = document.createElement('li');
-    let title = coerceStr(row[titleKey]);
-    let author = coerceStr(row[authorKey]);
-    let year = coerceStr(row[yearKey]);
-
-    // Cleanups
-    author = author.replace(/^\s*(?:PI\s*:\s*)/i, '').trim();
-    if (!isYearStr(year)) year = '';
-    if (!isMeaningful(author)) author = '';
-    if (!isMeaningful(title)) title = '';
-
-    // If Authors contains multiple names, pick the first
-    if (author.includes(';') || author.includes(',')) {
-      const first = author.split(/[;,]/)[0].trim();
-      if (isMeaningful(first)) author = first;
-    }
-
-    // Fallbacks: if nothing meaningful, attempt to derive from first few fields
-    if (!author || !title) {
-      const entries = Object.entries(row)
-        .filter(([k, v]) => k !== undefined && k !== null)
-        .map(([k, v]) => coerceStr(v))
-        .filter(v => isMeaningful(v));
-      if (!author && entries.length) author = entries[0];
-      if (!title && entries.length > 1) title = entries[1];
-      if (!year) {
-        const y = entries.find(isYearStr) || '';
-        if (y) year = y;
-      }
-    }
-
-    const fields = [author, title, year].filter(Boolean);
-    li.textContent = fields.join(', ').trim();
+    const text = document.createElement('span');
+    text.className = 'ref-text';
+    li.appendChild(text);
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'btn ref-copy';
+    copy.textContent = 'Copy';
+    copy.title = 'Copy citation';
+    copy.setAttribute('aria-label', `Copy citation ${ref.id}`);
+    copy.addEventListener('click', async () => {
+      const ok = await copyText(formatCitation(ref, state.citationStyle));
+      copy.textContent = ok ? 'Copied' : 'Copy failed';
+      setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+    });
+    li.appendChild(copy);
     els.refList.appendChild(li);
   });
+  updateCitations();
 
   // If nothing rendered (unexpected), show a minimal note to aid debugging
   if (!els.refList.children.length) {
@@ -195,96 +1852,34 @@ function renderRefList(rows) {
   }
 }
 
-function preferKey(rows, candidates) {
-  if (!rows.length) return undefined;
-  const keys = Object.keys(rows[0] || {});
-  if (!keys.length) return undefined;
-  // Exact (case-insensitive)
-  const lowerMap = new Map(keys.map(k => [k.toLowerCase(), k]));
-  for (const c of candidates) {
-    const k = lowerMap.get(String(c).toLowerCase());
-    if (k) return k;
-  }
-  // Fuzzy includes (case-insensitive)
-  const lowers = keys.map(k => k.toLowerCase());
-  for (const c of candidates) {
-    const cl = String(c).toLowerCase();
-    const idx = lowers.findIndex(k => k.includes(cl));
-    if (idx !== -1) return keys[idx];
-  }
-  return undefined;
-}
-
-async function readExcelFile(file) {
-  const buf = await file.arrayBuffer();
-  const wb = XLSX.read(buf, { type: 'array' });
-  const wsName = wb.SheetNames[0];
-  const ws = wb.Sheets[wsName];
-  const rows = XLSX.utils.sheet_to_json(ws, { defval: '' });
-  return rows;
-}
-
-function coerceStr(v) {
-  if (v === null || v === undefined) return '';
-  return String(v).trim();
+function updateCitations() {
+  state.references.forEach((ref, idx) => {
+    const text = els.refList.children[idx]?.querySelector('.ref-text');
+    if (text) text.innerHTML = citationHtml(ref, state.citationStyle);
+  });
 }
 
-function isYearStr(v) {
-  return /^\d{4}$/.test(String(v).trim());
+// Tooltip / search status HTML for one reference number
+function describeRef(id) {
+  const ref = state.references[id - 1];
+  return `<div>${id}. ${ref ? citationHtml(ref, state.citationStyle) : ''}</div>`;
 }
 
-function isMeaningful(v) {
-  const t = String(v || '').trim();
-  if (!t) return false;
-  if (/^\d+$/.test(t)) return false; // pure numbers are not meaningful for author/title
-  // ignore very short tokens
-  return t.replace(/[^A-Za-z]+/g, '').length >= 2;
+async function readDataFile(file) {
+  const buf = await file.arrayBuffer();
+  return parseFile(file.name, buf, showProgress);
 }
 
 // Filter out numbering/id columns from dropdowns
 function filterSelectableColumns(columns){
-  return (columns || []).filter(c => !isArticleNumberColumn(c));
+  return (columns || []).filter(c => !isArticleNumberColumn(c) || state.shownColumns.includes(c));
 }
 
 function isArticleNumberColumn(name){
-  const n = String(name || '').toLowerCase().trim();
-  const bads = [
-    'article number','articlenumber','article no','article #','article id',
-    'reference number','ref number','refno','ref id','reference id',
-    'id','number','index','row','row id','rowid','paper id'
-  ];
-  return bads.some(b => n === b || n.includes(b));
+  return isIdColumn(name, state.project.config.hiddenColumns, state.columns);
 }
 
-// Display helper for dropdown labels: strip leading numbers and capitalize first letter
+// Display helper for dropdown labels, see core.js
 function formatColumnLabel(name){
-  let s = String(name || '');
-  // Remove leading numbering like "1.", "2)", "3-", "4:"
-  s = s.replace(/^\s*\d+\s*[\.\-\):]\s*/,'');
-  s = s.replace(/_/g,' ').trim();
-  if (!s) return '';
-  return s.charAt(0).toUpperCase() + s.slice(1);
-}
-
-// Pick defaults: prefer a source containing both 'stage' and 'gastrulation', and a target mentioning 1D/2D/3D or dimensionality
-function chooseDefaultColumns(columns){
-  if (!columns || !columns.length) return [null, null];
-  const lowers = columns.map(c => (c || '').toString().toLowerCase());
-  const findIndex = (pred) => lowers.findIndex(pred);
-  const hasAny = (...subs) => (k) => subs.some(sub => k.includes(sub));
-
-  let srcIdx = findIndex(k => k.includes('stage') && k.includes('gastrulation'));
-  if (srcIdx === -1) srcIdx = findIndex(k => k.includes('stage in gastrulation'));
-
-  let tgtIdx = findIndex(hasAny('1d','2d','3d','dimensional','dimension'));
-
-  if (srcIdx === -1 && tgtIdx === -1) return [columns[0] || null, columns[1] || null];
-  if (srcIdx === -1) srcIdx = lowers.findIndex((_, i) => i !== tgtIdx);
-  if (tgtIdx === -1) tgtIdx = lowers.findIndex((_, i) => i !== srcIdx);
-  if (srcIdx === -1 || tgtIdx === -1) return [columns[0] || null, columns[1] || null];
-  if (srcIdx === tgtIdx) {
-    const alt = lowers.findIndex((_, i) => i !== srcIdx);
-    if (alt !== -1) tgtIdx = alt;
-  }
-  return [columns[srcIdx], columns[tgtIdx]];
+  return columnLabel(name, state.project.config.columnLabels);
 }
@@ -0,0 +1,171 @@
+// Knowledge-gap matrix module
+// Exports: renderMatrix(containerEl, rows, config)
+// config: { columns, split, include, canon, pairIndex, nodeOrder, aggregate, stats }
+//   aggregate / stats: optional buildGraph result and its scoreLinks scores, computed here when missing
+//   pairIndex: which adjacent column pair (columns[i] → columns[i + 1]) to show, default 0
+//   nodeOrder: { layer: value names } listed first, in that order; other values follow alphabetically
+// Rows are source values, columns are target values; cells with zero papers are drawn as gaps.
+// Cells significantly under-represented against independence (see enrichment.js) are outlined, filled
+// or not, and every cell's tooltip gives its expected count and adjusted p-value.
+
+import { buildGraph } from './core.js';
+import { scoreLinks, describeScore } from './enrichment.js';
+import { d3g, refDetail, escapeHtml, placeholder } from './viewShared.js';
+
+export function renderMatrix(containerEl, rows, config = {}) {
+  const { columns = [], split = {}, include = null, canon = null, pairIndex = 0, nodeOrder = {} } = config;
+
+  if (columns.length < 2) {
+    containerEl.innerHTML = placeholder("Select at least two columns to render.");
+    return;
+  }
+  if (!d3g) {
+    containerEl.innerHTML = placeholder("D3 not available. Check script includes.");
+    return;
+  }
+
+  const i = Math.max(0, Math.min(columns.length - 2, pairIndex));
+  const aggregate = config.aggregate || buildGraph(rows, columns, { split, include, canon });
+  const { graph, byLinkKey } = aggregate;
+  const { scores } = config.stats || scoreLinks(aggregate);
+  const byOrder = (layer) => {
+    const rank = new Map((nodeOrder[layer] || []).map((name, k) => [name, k]));
+    return (a, b) => (rank.get(a.name) ?? Infinity) - (rank.get(b.name) ?? Infinity) || a.name.localeCompare(b.name);
+  };
+  const srcNodes = graph.nodes.filter(n => n.layer === i).sort(byOrder(i));
+  const tgtNodes = graph.nodes.filter(n => n.layer === i + 1).sort(byOrder(i + 1));
+
+  if (!srcNodes.length || !tgtNodes.length) {
+    containerEl.innerHTML = placeholder("No connections found. Check the selected columns for empty values.");
+    return;
+  }
+
+  // Every source×target combination, filled or not
+  const cells = [];
+  for (const s of srcNodes) {
+    for (const t of tgtNodes) {
+      const entry = byLinkKey.get(`${s.id}|||${t.id}`);
+      cells.push({
+        source: s.name,
+        target: t.name,
+        count: entry ? entry.count : 0,
+        refIds: entry ? entry.refIds : [],
+        score: scores.get(`${s.id}|||${t.id}`),
+      });
+    }
+  }
+  const gaps = cells.filter(c => !c.count).length;
+  const significantGaps = cells.filter(c => c.score?.gap).length;
+  const maxCount = d3g.max(cells, c => c.count) || 1;
+
+  const width = containerEl.clientWidth || 800;
+  const height = containerEl.clientHeight || 480;
+  const DETAIL_HEIGHT = 64;
+  const LABEL_MAX = 28;
+  const marginLeft = Math.min(240, 12 + 7 * d3g.max(srcNodes, n => Math.min(LABEL_MAX, n.name.length)));
+  const marginTop = Math.min(180, 12 + 5 * d3g.max(tgtNodes, n => Math.min(LABEL_MAX, n.name.length)));
+  const cellSize = Math.max(10, Math.min(
+    48,
+    (width - marginLeft - 20) / tgtNodes.length,
+    (height - marginTop - DETAIL_HEIGHT - 20) / srcNodes.length,
+  ));
+
+  containerEl.innerHTML = "";
+  const wrap = d3g.select(containerEl).append("div").attr("class", "matrix-wrap");
+  const svg = wrap.append("svg")
+    .attr("class", "matrix-svg")
+    .attr("width", marginLeft + cellSize * tgtNodes.length + 20)
+    .attr("height", marginTop + cellSize * srcNodes.length + 20);
+
+  // Diagonal hatching marks unstudied combinations
+  svg.append("defs").append("pattern")
+    .attr("id", "gap-hatch")
+    .attr("patternUnits", "userSpaceOnUse")
+    .attr("width", 6)
+    .attr("height", 6)
+    .attr("patternTransform", "rotate(45)")
+    .append("line")
+    .attr("x1", 0).attr("y1", 0).attr("x2", 0).attr("y2", 6)
+    .attr("stroke", "#fb8b24")
+    .attr("stroke-opacity", 0.55)
+    .attr("stroke-width", 2);
+
+  const x = d3g.scaleBand().domain(tgtNodes.map(n => n.name)).range([marginLeft, marginLeft + cellSize * tgtNodes.length]);
+  const y = d3g.scaleBand().domain(srcNodes.map(n => n.name)).range([marginTop, marginTop + cellSize * srcNodes.length]);
+  const color = d3g.scaleSequential(d3g.interpolateRgb("#f7c59f", "#9a031e")).domain([1, Math.max(2, maxCount)]);
+
+  const truncate = (s) => (s.length > LABEL_MAX ? s.slice(0, LABEL_MAX - 1) + "…" : s);
+
+  svg.append("g")
+    .selectAll("text")
+    .data(srcNodes)
+    .join("text")
+    .attr("class", "matrix-label")
+    .attr("x", marginLeft - 6)
+    .attr("y", d => y(d.name) + cellSize / 2)
+    .attr("text-anchor", "end")
+    .text(d => truncate(d.name))
+    .append("title")
+    .text(d => d.name);
+
+  svg.append("g")
+    .selectAll("text")
+    .data(tgtNodes)
+    .join("text")
+    .attr("class", "matrix-label")
+    .attr("transform", d => `translate(${x(d.name) + cellSize / 2},${marginTop - 6}) rotate(-45)`)
+    .text(d => truncate(d.name))
+    .append("title")
+    .text(d => d.name);
+
+  const tooltip = d3g.select("#tooltip");
+  const gapNote = significantGaps
+    ? ` ${significantGaps} ${significantGaps === 1 ? "is" : "are"} significantly under-represented (outlined).`
+    : "";
+  const detail = refDetail(wrap, `${gaps} of ${cells.length} combinations have no papers (hatched).${gapNote} Click a filled cell to list its references.`);
+
+  svg.append("g")
+    .selectAll("rect")
+    .data(cells)
+    .join("rect")
+    .attr("class", d => `matrix-cell${d.count ? "" : " gap-cell"}${d.score?.gap ? " significant-gap" : ""}`)
+    .attr("x", d => x(d.target) + 1)
+    .attr("y", d => y(d.source) + 1)
+    .attr("width", cellSize - 2)
+    .attr("height", cellSize - 2)
+    .attr("fill", d => (d.count ? color(d.count) : "url(#gap-hatch)"))
+    .on("mouseenter", function(event, d){
+      const what = d.count ? `${d.count} paper${d.count > 1 ? "s" : ""}` : "Gap — no papers";
+      const stats = describeScore(d.score).split("\n").filter(Boolean).map(line => `<div>${escapeHtml(line)}</div>`).join("");
+      tooltip.html(`<div>${escapeHtml(d.source)} → ${escapeHtml(d.target)}</div><div>${what}</div>${stats}`).style("opacity", 1);
+      moveTooltip(event);
+    })
+    .on("mousemove", moveTooltip)
+    .on("mouseleave", () => tooltip.style("opacity", 0))
+    .on("click", function(event, d){
+      svg.selectAll(".matrix-cell").classed("selected", false);
+      if (!d.count) {
+        detail.reset();
+        return;
+      }
+      d3g.select(this).classed("selected", true);
+      detail.show(`${d.source} → ${d.target}`, d.refIds);
+    });
+
+  if (cellSize >= 18) {
+    svg.append("g")
+      .selectAll("text")
+      .data(cells.filter(c => c.count))
+      .join("text")
+      .attr("class", "matrix-count")
+      .attr("x", d => x(d.target) + cellSize / 2)
+      .attr("y", d => y(d.source) + cellSize / 2)
+      .attr("text-anchor", "middle")
+      .text(d => d.count);
+  }
+
+  function moveTooltip(event){
+    const [px, py] = d3g.pointer(event, containerEl.parentNode);
+    tooltip.style("left", (px + 20) + "px").style("top", (py + 20) + "px");
+  }
+}
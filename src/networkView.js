@@ -0,0 +1,130 @@
+// Force-directed co-occurrence network
+// Exports: renderNetwork(containerEl, rows, config)
+// config: { columns, split, include, canon, formatLabel(column), categoryColors }
+//   categoryColors: colours per column (or per value for a single column); default Tableau10
+// Circles are values (area ~ papers), lines join values found in the same paper (width ~ papers).
+// The layout is computed up front (no animation); drag a circle to move it. Click a circle or line
+// to list its papers.
+// Returns { markSearch(hits, current) }
+
+import { buildCooccurrence } from './cooccurrence.js';
+import { d3g, refDetail, tooltipAt, hideTooltip, markSearchHits, plural, escapeHtml, placeholder } from './viewShared.js';
+
+const MAX_VALUES = 60;
+const MAX_LABELS = 20; // only the biggest values are labelled; the rest show on hover
+const DETAIL_HEIGHT = 48;
+const TICKS = 300;
+
+export function renderNetwork(containerEl, rows, config = {}) {
+  const { columns = [], split = {}, include = null, canon = null, formatLabel = String, categoryColors = null } = config;
+  if (!columns.length) {
+    containerEl.innerHTML = placeholder("Select at least one column to render.");
+    return;
+  }
+
+  const { items, pairs } = buildCooccurrence(rows, columns, { split, include, canon, limit: MAX_VALUES });
+  if (!pairs.length) {
+    containerEl.innerHTML = placeholder("No values occur together. Split a multi-valued column or add a second column.");
+    return;
+  }
+
+  const width = containerEl.clientWidth || 800;
+  const height = (containerEl.clientHeight || 480) - DETAIL_HEIGHT;
+  const byLayer = columns.length > 1;
+  const nameOf = (d) => (byLayer ? `${d.value} (${formatLabel(d.column)})` : d.value);
+
+  const maxPapers = d3g.max(items, d => d.refIds.length);
+  const radius = d3g.scaleSqrt().domain([1, maxPapers]).range([4, 22]);
+  const maxPair = d3g.max(pairs, p => p.refIds.length);
+  const strokeWidth = d3g.scaleLinear().domain([1, Math.max(2, maxPair)]).range([1, 8]);
+  const palette = categoryColors || d3g.schemeTableau10;
+  const colorOf = (d) => palette[(byLayer ? d.layer : 0) % palette.length];
+
+  // Values without any partner would only drift to the edge
+  const linked = new Set(pairs.flatMap(p => [p.source, p.target]));
+  // key is the item index; d3-force renumbers `index` itself
+  const nodes = items.map((d, i) => ({ ...d, key: i, r: radius(d.refIds.length) })).filter(d => linked.has(d.key));
+  const links = pairs.map(p => ({ ...p }));
+  const simulation = d3g.forceSimulation(nodes)
+    .force("link", d3g.forceLink(links).id(d => d.key).distance(70).strength(l => Math.min(1, 0.2 + l.refIds.length / maxPair)))
+    .force("charge", d3g.forceManyBody().strength(-180))
+    .force("center", d3g.forceCenter(width / 2, height / 2))
+    .force("collide", d3g.forceCollide(d => d.r + 4))
+    .stop();
+  for (let i = 0; i < TICKS; i++) simulation.tick();
+  for (const d of nodes) {
+    d.x = Math.max(d.r + 4, Math.min(width - d.r - 4, d.x));
+    d.y = Math.max(d.r + 4, Math.min(height - d.r - 4, d.y));
+  }
+
+  containerEl.innerHTML = "";
+  const wrap = d3g.select(containerEl).append("div").attr("class", "view-wrap");
+  const svg = wrap.append("svg")
+    .attr("class", "view-svg")
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("role", "img")
+    .attr("aria-label", `Co-occurrence network of ${columns.map(formatLabel).join(", ")}: ${plural(nodes.length, "value")}, ${plural(links.length, "pair")}`);
+  const detail = refDetail(wrap, `${plural(links.length, "pair")} of values share papers. Drag circles to rearrange; click a circle or line to list its papers.`);
+
+  const edges = svg.append("g")
+    .attr("class", "network-links")
+    .selectAll("line")
+    .data(links)
+    .join("line")
+    .attr("class", "network-link view-item")
+    .attr("stroke-width", l => strokeWidth(l.refIds.length))
+    .on("mouseenter", (event, l) => tooltipAt(event, `<div>${escapeHtml(nameOf(l.source))} &amp; ${escapeHtml(nameOf(l.target))}</div><div>${plural(l.refIds.length, "paper")}</div>`, containerEl))
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, l) => detail.show(`${nameOf(l.source)} & ${nameOf(l.target)}`, l.refIds));
+
+  const labelled = new Set(nodes.slice().sort((a, b) => b.r - a.r).slice(0, MAX_LABELS).map(d => d.key));
+  const circles = svg.append("g")
+    .selectAll("g")
+    .data(nodes)
+    .join("g")
+    .attr("class", "network-node view-item");
+  circles.append("circle")
+    .attr("r", d => d.r)
+    .attr("fill", colorOf)
+    .attr("stroke", "#071b21");
+  circles.filter(d => labelled.has(d.key))
+    .append("text")
+    .attr("class", "view-label")
+    .attr("x", d => d.r + 4)
+    .attr("dy", "0.35em")
+    .text(d => d.value);
+  circles
+    .on("mouseenter", (event, d) => {
+      edges.classed("faded", l => l.source !== d && l.target !== d);
+      tooltipAt(event, `<div>${escapeHtml(nameOf(d))}</div><div>${plural(d.refIds.length, "paper")}</div>`, containerEl);
+    })
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", () => {
+      edges.classed("faded", false);
+      hideTooltip();
+    })
+    .on("click", (event, d) => detail.show(nameOf(d), d.refIds))
+    .call(d3g.drag().on("drag", (event, d) => {
+      d.x = Math.max(d.r, Math.min(width - d.r, event.x));
+      d.y = Math.max(d.r, Math.min(height - d.r, event.y));
+      place();
+    }));
+
+  function place() {
+    edges
+      .attr("x1", l => l.source.x).attr("y1", l => l.source.y)
+      .attr("x2", l => l.target.x).attr("y2", l => l.target.y);
+    circles.attr("transform", d => `translate(${d.x},${d.y})`);
+  }
+  place();
+
+  return {
+    markSearch(hits, current) {
+      markSearchHits(svg, edges, l => l.refIds, hits, current);
+      markSearchHits(svg, circles, d => d.refIds, hits, current);
+    },
+  };
+}
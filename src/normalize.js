@@ -0,0 +1,283 @@
+// Category label normalisation and aliases
+// Exports: normalizeKey(v), buildCanonicalizer(rows, columns, options), countValues(rows, column, options),
+//          suggestMerges(values, options), renderAliasPanel(containerEl, config)
+// options: { split, aliases, fold }
+//   aliases: { [column]: { [rawValue]: canonicalLabel } } — user-edited, applied first
+//   fold: merge values that only differ in case, spacing, punctuation or accents
+// A canonicalizer maps (column, value) to the label shown in the chart, tooltips and exports.
+
+import { splitValues } from './core.js';
+
+// Comparison key: lower case, no accents, no spaces or punctuation ("3-D " -> "3d")
+export function normalizeKey(v) {
+  return String(v ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Returns canon(column, value) -> label. Folded variants take the most frequent
+// spelling in the data (first seen on ties)
+export function buildCanonicalizer(rows, columns, options = {}) {
+  const { split = {}, aliases = {}, fold = true } = options;
+  const byColumn = new Map();
+
+  for (const column of new Set(columns)) {
+    const aliasMap = new Map();
+    for (const [raw, canonical] of Object.entries(aliases[column] || {})) {
+      if (!canonical) continue;
+      aliasMap.set(String(raw).trim(), canonical);
+      if (fold) aliasMap.set(`key:${normalizeKey(raw)}`, canonical);
+    }
+
+    const spelling = new Map(); // key -> Map(raw -> count)
+    if (fold) {
+      for (const row of rows) {
+        for (const v of splitValues(row[column], split[column])) {
+          const k = normalizeKey(v);
+          if (!k) continue;
+          if (!spelling.has(k)) spelling.set(k, new Map());
+          const m = spelling.get(k);
+          m.set(v, (m.get(v) || 0) + 1);
+        }
+      }
+    }
+    const preferred = new Map();
+    for (const [k, m] of spelling) {
+      let best = null;
+      for (const [raw, count] of m) if (!best || count > best[1]) best = [raw, count];
+      preferred.set(k, best[0]);
+    }
+
+    byColumn.set(column, (v) => {
+      const s = String(v).trim();
+      if (aliasMap.has(s)) return aliasMap.get(s);
+      if (!fold) return s;
+      const k = normalizeKey(s);
+      if (aliasMap.has(`key:${k}`)) return aliasMap.get(`key:${k}`);
+      return preferred.get(k) || s;
+    });
+  }
+
+  return (column, value) => {
+    const fn = byColumn.get(column);
+    return fn ? fn(value) : String(value).trim();
+  };
+}
+
+// Distinct labels of one column with their row counts, most frequent first
+export function countValues(rows, column, options = {}) {
+  const { split = {}, canon = (c, v) => v } = options;
+  const counts = new Map();
+  for (const row of rows) {
+    const labels = new Set(splitValues(row[column], split[column]).map(v => canon(column, v)));
+    labels.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([value, count]) => ({ value, count }));
+}
+
+// Groups of labels that look like spellings of one category.
+// values: [{ value, count }], most frequent first; only the first maxValues are compared.
+// Returns [{ canonical, members, count }], largest first
+export function suggestMerges(values, options = {}) {
+  const { threshold = 0.8, limit = 30, maxValues = 2000 } = options;
+  const items = values.slice(0, maxValues)
+    .map(v => ({ ...v, key: normalizeKey(v.value), grams: bigrams(v.value) }))
+    .filter(v => v.key);
+  items.forEach(it => { it.size = [...it.grams.values()].reduce((s, n) => s + n, 0); });
+
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  // Only pairs sharing enough bigrams can pass similar(): a close spelling shares threshold·(a+b)/2 of
+  // them, and a qualified form starts with the shorter key, so it shares all of that key's but the last
+  const postings = new Map(); // bigram -> [[item, count]]
+  for (let i = 0; i < items.length; i++) {
+    const shared = new Map(); // earlier item -> bigrams in common
+    for (const [g, n] of items[i].grams) {
+      for (const [j, m] of postings.get(g) || []) shared.set(j, (shared.get(j) || 0) + Math.min(n, m));
+    }
+    for (const [j, inter] of shared) {
+      const [a, b] = [items[i], items[j]];
+      const needed = Math.min((threshold * (a.size + b.size)) / 2, Math.min(a.size, b.size) - 1);
+      if (inter >= needed && similar(a, b, threshold)) parent[find(i)] = find(j);
+    }
+    for (const [g, n] of items[i].grams) {
+      if (!postings.has(g)) postings.set(g, []);
+      postings.get(g).push([i, n]);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const r = find(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(it);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.length > 1)
+    .map(g => {
+      // The most used (then shortest) spelling becomes the suggested label
+      const sorted = g.slice().sort((a, b) => b.count - a.count || a.value.length - b.value.length);
+      return {
+        canonical: sorted[0].value,
+        members: sorted.slice(1).map(x => x.value),
+        count: g.reduce((s, x) => s + x.count, 0),
+      };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
+
+// Same key, a qualified form of a shorter label ("2D (planar)" of "2D"), or close spelling
+function similar(a, b, threshold) {
+  if (a.key === b.key) return true;
+  const [short, long] = a.value.length <= b.value.length ? [a, b] : [b, a];
+  if (short.value.length >= 2 && long.value.toLowerCase().startsWith(short.value.toLowerCase())) {
+    const rest = long.value.slice(short.value.length).trim();
+    if (/^[(\[,;:\-–]/.test(rest)) return true;
+  }
+  return dice(a.grams, b.grams) >= threshold;
+}
+
+function bigrams(v) {
+  const s = ` ${normalizeKey(v)} `;
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams
+function dice(a, b) {
+  let inter = 0;
+  let total = 0;
+  for (const [g, n] of a) {
+    total += n;
+    inter += Math.min(n, b.get(g) || 0);
+  }
+  for (const n of b.values()) total += n;
+  return total ? (2 * inter) / total : 0;
+}
+
+// Alias editor for one column: suggested merges, the current alias table and an add row.
+// config: { column, values, aliases, onChange }; aliases is edited in place
+export function renderAliasPanel(containerEl, config) {
+  const { column, values, aliases, onChange } = config;
+  containerEl.innerHTML = '';
+  if (!column) return;
+  const table = aliases[column] || {};
+  const setAlias = (raw, canonical) => {
+    const next = { ...(aliases[column] || {}) };
+    if (canonical && canonical !== raw) next[raw] = canonical;
+    else delete next[raw];
+    if (Object.keys(next).length) aliases[column] = next;
+    else delete aliases[column];
+    onChange();
+  };
+
+  const listId = `alias-values-${Math.random().toString(36).slice(2, 8)}`;
+  const datalist = document.createElement('datalist');
+  datalist.id = listId;
+  values.forEach(v => {
+    const o = document.createElement('option');
+    o.value = v.value;
+    datalist.appendChild(o);
+  });
+  containerEl.appendChild(datalist);
+
+  // Hide groups whose members are already aliased to the suggested label
+  const suggestions = suggestMerges(values).filter(sug => sug.members.some(m => table[m] !== sug.canonical));
+  containerEl.appendChild(heading('Suggested merges'));
+  if (!suggestions.length) containerEl.appendChild(hint('No similar labels found.'));
+  for (const sug of suggestions) {
+    const row = document.createElement('div');
+    row.className = 'alias-row';
+    row.appendChild(text(`${sug.members.join(', ')} →`));
+    const target = labelInput(sug.canonical, listId);
+    row.appendChild(target);
+    row.appendChild(button('Merge', () => {
+      const next = { ...(aliases[column] || {}) };
+      for (const m of [sug.canonical, ...sug.members]) {
+        if (m !== target.value) next[m] = target.value;
+      }
+      aliases[column] = next;
+      onChange();
+    }));
+    containerEl.appendChild(row);
+  }
+
+  containerEl.appendChild(heading('Aliases'));
+  const entries = Object.entries(table);
+  if (!entries.length) containerEl.appendChild(hint('No aliases for this column yet.'));
+  for (const [raw, canonical] of entries) {
+    const row = document.createElement('div');
+    row.className = 'alias-row';
+    row.appendChild(text(`${raw} →`));
+    const input = labelInput(canonical, listId);
+    input.addEventListener('change', () => setAlias(raw, input.value.trim()));
+    row.appendChild(input);
+    row.appendChild(button('\u00d7', () => setAlias(raw, ''), 'Remove alias'));
+    containerEl.appendChild(row);
+  }
+
+  const add = document.createElement('div');
+  add.className = 'alias-row';
+  const rawInput = labelInput('', listId, 'Value');
+  const canonInput = labelInput('', listId, 'Shown as');
+  add.appendChild(rawInput);
+  add.appendChild(text('→'));
+  add.appendChild(canonInput);
+  add.appendChild(button('Add', () => {
+    const raw = rawInput.value.trim();
+    const canonical = canonInput.value.trim();
+    if (raw && canonical) setAlias(raw, canonical);
+  }));
+  containerEl.appendChild(add);
+}
+
+function heading(t) {
+  const h = document.createElement('div');
+  h.className = 'alias-heading';
+  h.textContent = t;
+  return h;
+}
+
+function hint(t) {
+  const p = document.createElement('div');
+  p.className = 'hint';
+  p.textContent = t;
+  return p;
+}
+
+function text(t) {
+  const span = document.createElement('span');
+  span.textContent = t;
+  return span;
+}
+
+function labelInput(value, listId, placeholder = '') {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'alias-input';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.setAttribute('list', listId);
+  if (placeholder) input.setAttribute('aria-label', placeholder);
+  return input;
+}
+
+function button(label, onClick, title = '') {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = 'btn slot-btn';
+  b.textContent = label;
+  if (title) b.title = title;
+  b.addEventListener('click', onClick);
+  return b;
+}
@@ -0,0 +1,47 @@
+// Shareable view state in the URL hash
+// Exports: readViewState(), writeViewState(view)
+// view: { sheet, join, columns, split, filters, fold, aliases, view, pair, refNums, table, top, expand, ref, selection, search, color,
+//         links, timeline, order }
+// The hash holds one JSON-encoded parameter, e.g. #view=%7B%22columns%22%3A...%7D,
+// so links survive copy/paste and never reach the server.
+
+const PARAM = 'view';
+
+// Parsed view state from location.hash, or null when absent or malformed
+export function readViewState() {
+  try {
+    const params = new URLSearchParams(String(location.hash || '').replace(/^#/, ''));
+    const raw = params.get(PARAM);
+    if (!raw) return null;
+    const view = JSON.parse(raw);
+    return view && typeof view === 'object' ? view : null;
+  } catch {
+    return null;
+  }
+}
+
+// Replace (not push) the hash so every tweak does not add a history entry
+export function writeViewState(view) {
+  const params = new URLSearchParams();
+  params.set(PARAM, JSON.stringify(prune(view)));
+  const hash = `#${params.toString()}`;
+  if (location.hash === hash) return hash;
+  try {
+    history.replaceState(null, '', hash);
+  } catch {
+    location.hash = hash;
+  }
+  return hash;
+}
+
+// Drop empty values to keep links short
+function prune(view) {
+  const out = {};
+  for (const [k, v] of Object.entries(view || {})) {
+    if (v === null || v === undefined) continue;
+    if (Array.isArray(v) && !v.length) continue;
+    if (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length) continue;
+    out[k] = v;
+  }
+  return out;
+}
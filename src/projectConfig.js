@@ -0,0 +1,131 @@
+// Project configuration
+// Exports: CONFIG_FILE, parseProjectConfig(text), buildProjectConfig(current), configSummary(config),
+//          categoryNodeOrder(config, columns)
+// A project config (fieldscope.config.json, next to the dataset or imported in the UI) sets what the app
+// otherwise guesses for the loaded dataset. Every key is optional:
+//   defaultColumns: [column]            chain shown when the dataset opens
+//   hiddenColumns: [column]             id-like columns kept out of the dropdowns (replaces the guess)
+//   columnLabels: { column: label }     display names
+//   citationFields: { authors, title, year, journal, doi, url, pmid } -> column
+//   categoryOrder: { column: [value] }  top-to-bottom order of a column's values in the Sankey and matrix
+//   palette: { link, sharedLink, nodeFirst, nodeLast, categories: [colour] }
+//   split: { column: delimiters }, aliases: { column: { raw value: label } }, fold: boolean
+// Columns the dataset does not have are ignored when the config is applied, so one file can serve
+// several versions of a dataset.
+
+export const CONFIG_FILE = 'fieldscope.config.json';
+
+const CITATION_FIELDS = ['authors', 'title', 'year', 'journal', 'doi', 'url', 'pmid'];
+const PALETTE_KEYS = ['link', 'sharedLink', 'nodeFirst', 'nodeLast'];
+const VERSION = 1;
+
+// { config, warnings }: parts of the wrong shape are dropped with a warning; throws when the text is
+// not a JSON object
+export function parseProjectConfig(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  if (!isObject(raw)) throw new Error('The config must be a JSON object');
+
+  const warnings = [];
+  const config = {};
+  const take = (key, check, what) => {
+    if (!(key in raw)) return;
+    if (check(raw[key])) config[key] = raw[key];
+    else warnings.push(`"${key}" ignored: expected ${what}`);
+  };
+  take('defaultColumns', isStringList, 'a list of column names');
+  take('hiddenColumns', isStringList, 'a list of column names');
+  take('columnLabels', (v) => isMapOf(v, isString), 'column names mapped to labels');
+  take('citationFields', (v) => isMapOf(v, isString) && Object.keys(v).every(f => CITATION_FIELDS.includes(f)),
+    `an object with any of ${CITATION_FIELDS.join(', ')}`);
+  take('categoryOrder', (v) => isMapOf(v, isStringList), 'column names mapped to lists of values');
+  take('palette', isPalette, `an object with colours for ${PALETTE_KEYS.join(', ')} and a categories list`);
+  take('split', (v) => isMapOf(v, isString), 'column names mapped to delimiter characters');
+  take('aliases', (v) => isMapOf(v, (a) => isMapOf(a, isString)), 'column names mapped to { raw value: label }');
+  take('fold', (v) => typeof v === 'boolean', 'true or false');
+
+  const known = new Set(['version', 'defaultColumns', 'hiddenColumns', 'columnLabels', 'citationFields',
+    'categoryOrder', 'palette', 'split', 'aliases', 'fold']);
+  const unknown = Object.keys(raw).filter(k => !known.has(k));
+  if (unknown.length) warnings.push(`Unknown key${unknown.length === 1 ? '' : 's'} ignored: ${unknown.join(', ')}`);
+  return { config, warnings };
+}
+
+// Config capturing the current setup, to start another project's file from. current: { config, chain,
+// hiddenColumns, columnLabels, citationFields, nodeOrder: { layer: names }, split, aliases, fold };
+// the loaded config's category orders and palette are kept, the dragged order of the chain's columns wins
+export function buildProjectConfig(current) {
+  const { config = {}, chain = [], nodeOrder = {} } = current;
+  const categoryOrder = { ...config.categoryOrder };
+  for (const [layer, names] of Object.entries(nodeOrder)) {
+    if (chain[layer]) categoryOrder[chain[layer]] = names;
+  }
+  const out = {
+    version: VERSION,
+    defaultColumns: chain.slice(),
+    hiddenColumns: current.hiddenColumns || [],
+    columnLabels: current.columnLabels || {},
+    citationFields: dropEmpty(current.citationFields || {}),
+    categoryOrder,
+    split: current.split || {},
+    aliases: current.aliases || {},
+    fold: current.fold !== false,
+  };
+  if (config.palette) out.palette = config.palette;
+  return out;
+}
+
+// What a config sets, one short phrase per key, for the panel
+export function configSummary(config) {
+  const parts = [];
+  const count = (obj) => Object.keys(obj || {}).length;
+  if (config.defaultColumns) parts.push(`default columns: ${config.defaultColumns.length}`);
+  if (config.hiddenColumns) parts.push(`hidden columns: ${config.hiddenColumns.length}`);
+  if (count(config.columnLabels)) parts.push(`column labels: ${count(config.columnLabels)}`);
+  if (count(config.citationFields)) parts.push(`citation fields: ${Object.keys(config.citationFields).join(', ')}`);
+  if (count(config.categoryOrder)) parts.push(`category orders: ${count(config.categoryOrder)}`);
+  if (config.palette) parts.push('palette');
+  if (count(config.split)) parts.push(`split columns: ${count(config.split)}`);
+  if (count(config.aliases)) parts.push(`alias columns: ${count(config.aliases)}`);
+  if (typeof config.fold === 'boolean') parts.push(`merge variants: ${config.fold ? 'on' : 'off'}`);
+  return parts;
+}
+
+// The config's category orders as a Sankey node order ({ layer: names }) for a column chain
+export function categoryNodeOrder(config, columns) {
+  const order = {};
+  columns.forEach((column, layer) => {
+    const names = config?.categoryOrder?.[column];
+    if (names) order[layer] = names;
+  });
+  return order;
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isString(v) {
+  return typeof v === 'string';
+}
+
+function isStringList(v) {
+  return Array.isArray(v) && v.every(isString);
+}
+
+function isMapOf(v, check) {
+  return isObject(v) && Object.values(v).every(check);
+}
+
+function isPalette(v) {
+  if (!isObject(v)) return false;
+  return Object.entries(v).every(([k, c]) => (k === 'categories' ? isStringList(c) && c.length > 0 : PALETTE_KEYS.includes(k) && isString(c)));
+}
+
+function dropEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v));
+}
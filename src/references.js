@@ -0,0 +1,271 @@
+// Reference model and citation styles
+// Exports: CITATION_STYLES, findColumn(rows, candidates), referenceFields(rows, mapping), buildReferences(rows, mapping),
+//          formatCitation(ref, style), citationHtml(ref, style), copyText(text)
+// A reference is { id, authors: [...], title, year, journal, doi, url, pmid }; id is the 1-based row
+// number shown as the reference number in the chart, the Sources list and the exports.
+// mapping: { field: column } from the project config (see projectConfig.js); mapped columns the rows
+// have are used as they are, the other fields are guessed from the column names.
+
+import { escapeHtml } from './viewShared.js';
+
+export const CITATION_STYLES = {
+  short: 'Short',
+  apa: 'APA',
+  vancouver: 'Vancouver',
+};
+
+// Column name candidates per field. Earlier fields claim their column first, so
+// "Publication Year" is the year and not the journal
+const FIELD_CANDIDATES = [
+  ['doi', ['DOI']],
+  ['pmid', ['PMID', 'PubMed ID', 'PubMed']],
+  ['url', ['URL', 'Link']],
+  ['year', ['Year', 'Date', 'Publication Year', 'Year Published']],
+  ['journal', ['Journal', 'Venue', 'Source title', 'Publication']],
+  ['authors', ['Authors', 'Author', 'First Author', 'PI', 'Principal Investigator']],
+  ['title', ['Title', 'Paper', 'Reference', 'Citation', 'Name']],
+];
+
+const DOI_RE = /\b10\.\d{4,9}\/[^\s"<>]+/;
+// "Smith J", "Müller AB", "van der Berg J"
+const SURNAME_INITIALS_RE = /^(?:\p{Ll}+\s+)*\p{Lu}[\p{L}'’-]*(?:\s+\p{Lu}[\p{L}'’-]*)*\s+\p{Lu}{1,3}$/u;
+
+// First column matching a candidate: exact (case-insensitive) names win over partial ones
+export function findColumn(rows, candidates, exclude = new Set()) {
+  const keys = Object.keys(rows[0] || {}).filter(k => !exclude.has(k));
+  const lowerMap = new Map(keys.map(k => [k.toLowerCase(), k]));
+  for (const c of candidates) {
+    const k = lowerMap.get(String(c).toLowerCase());
+    if (k) return k;
+  }
+  const lowers = keys.map(k => k.toLowerCase());
+  for (const c of candidates) {
+    const idx = lowers.findIndex(k => k.includes(String(c).toLowerCase()));
+    if (idx !== -1) return keys[idx];
+  }
+  return undefined;
+}
+
+// Field -> column name (undefined when the data has no such column)
+export function referenceFields(rows, mapping = {}) {
+  const keys = new Set(Object.keys(rows[0] || {}));
+  const fields = {};
+  for (const [field, column] of Object.entries(mapping)) {
+    if (keys.has(column)) fields[field] = column;
+  }
+  const used = new Set(Object.values(fields));
+  for (const [field, candidates] of FIELD_CANDIDATES) {
+    if (fields[field]) continue;
+    fields[field] = findColumn(rows, candidates, used);
+    if (fields[field]) used.add(fields[field]);
+  }
+  return fields;
+}
+
+export function buildReferences(rows, mapping = {}) {
+  const fields = referenceFields(rows, mapping);
+  return rows.map((row, idx) => toReference(row, idx + 1, fields));
+}
+
+function toReference(row, id, fields) {
+  const get = (field) => cellText(fields[field] ? row[fields[field]] : '');
+  let authors = splitAuthors(get('authors').replace(/^\s*PI\s*:\s*/i, ''));
+  let title = get('title');
+  let year = (get('year').match(/\b\d{4}\b/) || [''])[0];
+  let journal = get('journal');
+
+  // Journal and year often ride along at the end of the title: "Title (Cell Reports, 2023)"
+  const tail = /^(.*\S)\s*\((?:([^()]*?),\s*)?((?:19|20)\d{2})\)\s*$/.exec(title);
+  if (tail && !journal && !year) {
+    title = tail[1];
+    journal = (tail[2] || '').trim();
+    year = tail[3];
+  }
+
+  if (!authors.length || !isMeaningful(authors[0])) authors = [];
+  if (!isMeaningful(title)) title = '';
+  // Nothing usable in the usual columns: fall back to the row's first meaningful cells
+  if (!authors.length || !title) {
+    const values = Object.values(row).map(cellText);
+    const meaningful = values.filter(isMeaningful);
+    if (!authors.length && meaningful.length) authors = [meaningful[0]];
+    if (!title && meaningful.length > 1) title = meaningful[1];
+    if (!year) year = values.find(v => /^\d{4}$/.test(v)) || '';
+  }
+
+  const doiText = get('doi') || get('url');
+  const doi = (doiText.match(DOI_RE) || [''])[0].replace(/[.,;]+$/, '');
+  const pmid = (get('pmid').match(/\d+/) || [''])[0];
+  const url = /^https?:\/\//i.test(get('url')) ? get('url') : '';
+  return { id, authors, title, year, journal, doi, url, pmid };
+}
+
+export function formatCitation(ref, style = 'short') {
+  return citationParts(ref, style).map(p => p.text).join('');
+}
+
+// The citation as HTML; DOIs, PubMed ids and URLs become links
+export function citationHtml(ref, style = 'short') {
+  return citationParts(ref, style)
+    .map(p => (p.href
+      ? `<a href="${escapeHtml(p.href)}" target="_blank" rel="noopener">${escapeHtml(p.text)}</a>`
+      : escapeHtml(p.text)))
+    .join('');
+}
+
+// Copy to the clipboard; resolves to whether it worked
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    // Clipboard API unavailable (e.g. plain http): fall back to a hidden textarea
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    let ok = false;
+    try {
+      ok = document.execCommand('copy');
+    } catch {}
+    area.remove();
+    return ok;
+  }
+}
+
+// A citation as text segments, some with a link target
+function citationParts(ref, style) {
+  const { authors, title, year, journal, doi, url, pmid } = ref;
+  const parts = [];
+  const text = (t) => t && parts.push({ text: t });
+  const link = (t, href) => parts.push({ text: t, href });
+  const doiHref = doi ? `https://doi.org/${doi}` : '';
+  const pmidHref = pmid ? `https://pubmed.ncbi.nlm.nih.gov/${pmid}/` : '';
+
+  if (style === 'apa') {
+    text(sentence(`${joinAuthors(authors, 20, ' & ')} (${year || 'n.d.'})`));
+    text(` ${sentence(title)}`);
+    if (journal) text(` ${sentence(journal)}`);
+    if (doi) {
+      text(' ');
+      link(doiHref, doiHref);
+    } else if (url) {
+      text(' ');
+      link(url, url);
+    }
+    return trimStart(parts);
+  }
+
+  if (style === 'vancouver') {
+    const list = authors.length > 6 ? `${authors.slice(0, 6).join(', ')}, et al` : authors.join(', ');
+    text(sentence(list));
+    text(` ${sentence(title)}`);
+    if (journal) text(` ${sentence(journal)}`);
+    if (year) text(` ${year}.`);
+    if (doi) {
+      text(' doi:');
+      link(doi, doiHref);
+      text('.');
+    }
+    if (pmid) {
+      text(' PMID: ');
+      link(pmid, pmidHref);
+      text('.');
+    }
+    if (!doi && !pmid && url) {
+      text(' Available from: ');
+      link(url, url);
+    }
+    return trimStart(parts);
+  }
+
+  // Short: first author, title (journal, year)
+  const first = authors.length > 1 ? `${authors[0]} et al.` : authors[0] || '';
+  const source = journal ? ` (${[journal, year].filter(Boolean).join(', ')})` : '';
+  text([first, title ? title + source : source.trim(), journal ? '' : year].filter(Boolean).join(', '));
+  if (doi) {
+    text(' · ');
+    link(`doi:${doi}`, doiHref);
+  }
+  if (pmid) {
+    text(' · ');
+    link(`PMID ${pmid}`, pmidHref);
+  }
+  if (!doi && !pmid && url) {
+    text(' · ');
+    link('link', url);
+  }
+  return trimStart(parts);
+}
+
+function joinAuthors(authors, max, lastSep) {
+  if (!authors.length) return '';
+  if (authors.length > max) return `${authors.slice(0, max - 1).join(', ')}, … ${authors[authors.length - 1]}`;
+  if (authors.length === 1) return authors[0];
+  return `${authors.slice(0, -1).join(', ')},${lastSep}${authors[authors.length - 1]}`;
+}
+
+// End with a full stop unless the text already ends in punctuation
+function sentence(t) {
+  const s = String(t || '').trim();
+  if (!s) return '';
+  return /[.?!]$/.test(s) ? s : `${s}.`;
+}
+
+function trimStart(parts) {
+  while (parts.length && !parts[0].href && !parts[0].text.trim()) parts.shift();
+  if (parts.length && !parts[0].href) parts[0] = { text: parts[0].text.trimStart() };
+  return parts;
+}
+
+function splitAuthors(v) {
+  const s = String(v || '').trim();
+  if (!s) return [];
+  // Separators inside brackets belong to a note: "J. Brugués (P. R. ten Wolde lab link; B. Gehrels)"
+  const semicolons = splitOutsideBrackets(s, /\s*;\s*/);
+  if (semicolons.length > 1) return semicolons;
+  // PubMed/Vancouver lists: "Smith J, Doe A, Lee B"
+  const commas = splitOutsideBrackets(s, /\s*,\s*(?:and\s+)?/i);
+  if (commas.length > 1 && commas.every(a => SURNAME_INITIALS_RE.test(a))) return commas;
+  return splitOutsideBrackets(s, /\s+and\s+/i);
+}
+
+// Parts of s between separator matches that are not inside (), [] or {}
+function splitOutsideBrackets(s, sep) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    if ('([{'.includes(c)) depth++;
+    else if (')]}'.includes(c)) depth = Math.max(0, depth - 1);
+    if (!depth) {
+      const m = new RegExp(`^(?:${sep.source})`, sep.flags).exec(s.slice(i));
+      if (m && m[0]) {
+        parts.push(s.slice(start, i));
+        i += m[0].length;
+        start = i;
+        continue;
+      }
+    }
+    i++;
+  }
+  parts.push(s.slice(start));
+  return parts.map(a => a.trim()).filter(Boolean);
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return '';
+  return String(v).trim();
+}
+
+// Pure numbers and one-letter tokens are not names or titles
+function isMeaningful(v) {
+  const t = String(v || '').trim();
+  if (!t || /^\d+$/.test(t)) return false;
+  return t.replace(/[^A-Za-z]+/g, '').length >= 2;
+}
@@ -1,39 +1,125 @@
 // Sankey rendering module
-// Exports: renderSankey(containerEl, rows, config)
-// config: { sourceCol, targetCol, showRefNums }
-
-// Ensure access to global D3 from classic <script> tags, even inside ES modules
-const d3g = (typeof window !== 'undefined' ? window.d3 : undefined) || (typeof globalThis !== 'undefined' ? globalThis.d3 : undefined);
+// Exports: renderSankey(containerEl, rows, config), highlightRefListItem(id, on)
+// The aggregation behind it (buildGraph) lives in core.js
+// config: { columns, showRefNums, split, include }
+//   columns: ordered list of column names, one Sankey layer per column (min. 2)
+//   split: optional { [column]: delimiters } — each character splits a cell into several values
+//   include: optional Set of 0-based row indices to aggregate; reference numbers stay idx + 1 of the full rows
+//   canon: optional (column, value) -> display label, see normalize.js
+//   aggregate: optional { graph, byLinkKey } from buildGraph (e.g. computed in the worker); it is copied,
+//     not laid out in place, so a cached aggregate can be drawn again. Its layout is kept too: redrawing
+//     it at the same size and node order (new colours, search, reference numbers) skips the layout
+//   topN / expanded / onExpandOther(layer): fold all but the N most frequent values of each layer into
+//     an "Other" node (layers listed in expanded stay whole); clicking an Other node asks to expand it
+//   maxRefTokens: links with more papers show a count badge instead of one token per reference
+//   columnLabels: display names of the columns for ARIA labels; refLabel(id): plain-text reference
+//     description read out for a focused token; announce(text): message for a screen-reader live region
+//   describeRef(id): HTML shown when hovering a reference number, see references.js
+//   selectedRef / onSelectRef(id|null): persisted reference highlight and its change callback
+//   nodeOrder / onNodeOrderChange(layer, names): top-to-bottom node names per layer, e.g. from dragging;
+//     saved layers stay fixed while the crossing reduction (layout.js) orders the others
+//   onLayoutChange({ crossings }): called after layout and after every drag
+//   color: { mode, column, kind, label } link colouring, see linkColors.js; a legend is drawn below the chart
+//     (the 'diff' mode also takes changes, the 'enrichment' mode stats; nodes of a compare.js aggregate get
+//     an added/removed class)
+//   describeLink(key): extra lines for a link's tooltip whatever the colouring, e.g. its enrichment scores
+//   palette: the project config's colours (see projectConfig.js): nodeFirst/nodeLast for the node ramp,
+//     link/sharedLink/categories for the link colouring
+//   selection / onSelectionChange(keys, papers|null): selected node ids and link keys ("srcId|||tgtId");
+//     papers is the Set of reference numbers they carry
+//   transition: milliseconds to animate from the previous render (0 = jump). The SVG is kept between
+//     renders; nodes and links are joined by id, so new ones grow in and vanished ones fade out
+// Keyboard: one chart element is in the tab order at a time. Arrow keys walk nodes, links and reference
+// tokens (see the keydown handler); Enter/Space act like a click, Alt+Up/Down moves a node like dragging
+// Returns { markSearch(hits, current) }: highlight the reference numbers matched by a search
+// (and the current one) without a re-layout
+
+import { buildGraph } from './core.js';
+import { orderLayers, countCrossings } from './layout.js';
+import { linkColoring, drawLegend } from './linkColors.js';
+import { d3g, plural, placeholder } from './viewShared.js';
+
+const layouts = new WeakMap(); // aggregate -> { key, graph, byLinkKey, crossings }: its last laid-out copy
 
 export function renderSankey(containerEl, rows, config = {}) {
   const {
     sourceCol,
     targetCol,
     showRefNums = false,
+    split = {},
+    include = null,
+    canon = null,
+    describeRef = (id) => `<div>${id}</div>`,
+    selectedRef = null,
+    onSelectRef = () => {},
+    nodeOrder = {},
+    onNodeOrderChange = () => {},
+    onLayoutChange = () => {},
+    selection = [],
+    onSelectionChange = () => {},
+    color = {},
+    aggregate = null,
+    topN = 0,
+    expanded = [],
+    onExpandOther = () => {},
+    maxRefTokens = 12,
+    refLabel = (id) => `Reference ${id}`,
+    announce = () => {},
+    palette = {},
+    describeLink = () => '',
   } = config;
+  // Legacy two-column config maps onto a two-layer chain
+  const columns = (config.columns || [sourceCol, targetCol]).filter(Boolean);
+  const columnLabels = config.columnLabels || columns;
 
-  if (!sourceCol || !targetCol) {
-    containerEl.innerHTML = placeholder("Select source and target columns to render.");
+  if (columns.length < 2) {
+    containerEl.innerHTML = placeholder("Select at least two columns to render.");
     return; 
   }
 
   const width = containerEl.clientWidth || 800;
   const height = containerEl.clientHeight || 480;
 
-  const { graph, byLinkKey, refCountMax } = buildGraph(rows, sourceCol, targetCol);
-  if (!graph.links.length) {
+  const source = aggregate || buildGraph(rows, columns, { split, include, canon, topN, expanded });
+  if (!source.graph.links.length) {
     containerEl.innerHTML = placeholder("No connections found. Check the selected columns for empty values.");
     return;
   }
-
-  // Clear container and add SVG
-  containerEl.innerHTML = "";
-  const svg = d3g.select(containerEl)
-    .append("svg")
-    .attr("viewBox", `0 0 ${width} ${height}`)
-    .attr("preserveAspectRatio", "xMidYMid meet");
-
-  const defs = svg.append("defs");
+  const coloring = linkColoring(rows, source.byLinkKey, { ...color, split, canon, palette });
+  const legendSpace = coloring.legend ? 28 : 0;
+  const chartBottom = height - 20 - legendSpace;
+  const layoutKey = JSON.stringify([width, chartBottom, columns.length, nodeOrder]);
+  const laidOut = aggregate && layouts.get(aggregate)?.key === layoutKey ? layouts.get(aggregate) : null;
+  const { graph, byLinkKey } = laidOut || (aggregate ? copyAggregate(aggregate) : source);
+
+  // Reuse the previous chart's SVG so the update can be animated; anything
+  // else in the container (e.g. a placeholder) is replaced
+  let svg = d3g.select(containerEl).select("svg.sankey");
+  if (svg.empty()) {
+    containerEl.innerHTML = "";
+    svg = d3g.select(containerEl)
+      .append("svg")
+      .attr("class", "sankey")
+      .attr("preserveAspectRatio", "xMidYMid meet");
+    svg.append("defs");
+    svg.append("g").attr("class", "links").attr("fill", "none").attr("stroke-opacity", 1);
+    svg.append("g").attr("class", "nodes");
+  }
+  svg.attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("role", "group")
+    .attr("aria-roledescription", "Sankey diagram")
+    .attr("aria-label", `${columnLabels.join(" \u2192 ")}: ${plural(graph.nodes.length, "node")}, ${plural(graph.links.length, "link")}`);
+  if (document.getElementById("chartHelp")) svg.attr("aria-describedby", "chartHelp");
+  // Keep keyboard focus on the same node/link/token across re-renders
+  const hadFocus = containerEl.contains(document.activeElement) && document.activeElement !== containerEl;
+  svg.selectAll("*").interrupt();
+  svg.select("defs").selectAll("*").remove();
+  svg.selectAll("g.legend, text.link-label").remove();
+
+  const duration = Math.max(0, Number(config.transition) || 0);
+  const t = svg.transition().duration(duration).ease(d3g.easeCubicInOut);
+  // Attribute changes go through the shared transition, or apply at once
+  const animate = (sel) => (duration ? sel.transition(t) : sel);
 
   // Sankey setup
   if (!d3g) {
@@ -41,84 +127,237 @@ export function renderSankey(containerEl, rows, config = {}) {
     return;
   }
 
+  // d3-sankey needs its layers numbered 0..n-1 without gaps, and clamps them to the link depth it finds;
+  // a column without links (e.g. all empty after filtering) would break or shift the others. Nodes are
+  // aligned by their column's rank among the drawn ones, then placed by column below
+  const present = [...new Set(graph.nodes.map(n => n.layer))].sort((a, b) => a - b);
+  const rankOf = new Map(present.map((layer, i) => [layer, i]));
   const sankey = d3g.sankey()
     .nodeId(d => d.id)
-    .nodeAlign(d3g.sankeyCenter)
+    .nodeAlign((d, depth) => Math.min(rankOf.get(d.layer), depth - 1))
     .nodeWidth(14)
     .nodePadding(14)
-    .extent([[20, 20], [width - 20, height - 20]])
+    .extent([[20, 20], [width - 20, chartBottom]])
     .iterations(40);
 
-  // Compute layout
-  sankey(graph);
+  const columnStep = columns.length > 1 ? (width - 40 - sankey.nodeWidth()) / (columns.length - 1) : 0;
+
+  // Stack nodes of one layer top to bottom in the given order, centred vertically
+  const nodePad = 14; // keep in sync with sankey.nodePadding()
+  const heightOf = (n) => Math.max(8, n.y1 - n.y0);
+  function layerTop(nodes, heights = new Map()) {
+    const total = nodes.reduce((sum, n) => sum + (heights.get(n.id) || heightOf(n)), 0) + nodePad * (nodes.length - 1);
+    return 20 + Math.max(0, (chartBottom - 20 - total) / 2);
+  }
+  function packLayer(ordered, heights = new Map()) {
+    let y = layerTop(ordered, heights);
+    for (const n of ordered) {
+      const h = heights.get(n.id) || heightOf(n);
+      n.y0 = y;
+      n.y1 = y + h;
+      y += h + nodePad;
+    }
+  }
+
+  if (laidOut) {
+    onLayoutChange({ crossings: laidOut.crossings });
+  } else {
+    const crossings = layOut();
+    if (aggregate) layouts.set(aggregate, { key: layoutKey, graph, byLinkKey, crossings });
+    onLayoutChange({ crossings });
+  }
+
+  // Positions graph's nodes and links; returns the crossing count
+  function layOut() {
+    // Compute layout, then put every column at its own x
+    const columnOf = new Map(graph.nodes.map(n => [n.id, n.layer]));
+    sankey(graph);
+    let shifted = false;
+    for (const n of graph.nodes) {
+      const layer = columnOf.get(n.id);
+      if (n.layer !== layer) shifted = true;
+      n.layer = layer;
+      n.x0 = 20 + layer * columnStep;
+      n.x1 = n.x0 + sankey.nodeWidth();
+    }
+
+    // Columns d3-sankey laid out elsewhere or merged into one get stacked separately
+    if (shifted) {
+      for (const layer of new Set(graph.nodes.map(n => n.layer))) {
+        packLayer(graph.nodes.filter(n => n.layer === layer).sort((a, b) => a.y0 - b.y0));
+      }
+    }
+
+    // Saved manual orders seed their layers and are kept fixed; values the
+    // saved order does not know go below in layout order
+    const fixedLayers = new Set();
+    for (const [layer, names] of Object.entries(nodeOrder || {})) {
+      const rank = new Map(names.map((name, i) => [name, i]));
+      const peers = graph.nodes.filter(n => n.layer === Number(layer));
+      if (!peers.some(n => rank.has(n.name))) continue;
+      const ordered = peers.slice().sort((a, b) =>
+        (rank.get(a.name) ?? Infinity) - (rank.get(b.name) ?? Infinity) || a.y0 - b.y0);
+      packLayer(ordered);
+      fixedLayers.add(Number(layer));
+    }
+
+    // Crossing reduction on top of d3-sankey's relaxation; only layers whose
+    // order changed are repacked
+    const { layers: orderedLayers, crossings } = orderLayers(graph, { fixed: fixedLayers });
+    let reordered = fixedLayers.size > 0 || shifted;
+    for (const nodes of orderedLayers.values()) {
+      const changed = nodes.some((n, i) => i > 0 && nodes[i - 1].y0 > n.y0);
+      if (changed) {
+        packLayer(nodes);
+        reordered = true;
+      }
+    }
+    if (reordered) sankey.update(graph);
+    return crossings;
+  }
 
-  // Link color rules
-  const BASE_COLOR = '#e36414';     // main connection color
-  const DEGENERATE_COLOR = '#9a031e'; // for multiplicity (>1 between same pair)
-  const linkColor = (d) => (d.value > 1 ? DEGENERATE_COLOR : BASE_COLOR);
+  // Node colors run from the first layer's teal to the last layer's plum, unless the palette says otherwise
+  const NODE_FIRST_COLOR = palette.nodeFirst || '#0b3743';
+  const NODE_LAST_COLOR = palette.nodeLast || '#3b0a29';
+  const nodeColor = (layer) => d3g.interpolateRgb(NODE_FIRST_COLOR, NODE_LAST_COLOR)(columns.length > 1 ? layer / (columns.length - 1) : 0);
+
+  // Link colours (and category sub-bands) come from the "colour by" mode
+  const linkKey = (d) => `${d.source.id}|||${d.target.id}`;
+  const linkRefs = (d) => byLinkKey.get(linkKey(d))?.refIds || [];
+
+  // Links, keyed by their end nodes; the path id (used by the reference-number
+  // text path) stays stable across renders
+  const linkIds = svg.property("__linkIds") || new Map();
+  svg.property("__linkIds", linkIds);
+  const linkId = (d) => {
+    const key = linkKey(d);
+    if (!linkIds.has(key)) linkIds.set(key, `link-${linkIds.size}`);
+    return linkIds.get(key);
+  };
 
-  // Links
-  const link = svg.append("g")
-    .attr("fill", "none")
-    .attr("stroke-opacity", 1)
-    .selectAll("g")
-    .data(graph.links)
-    .join("g")
-    .attr("class", "link-group");
+  const link = svg.select("g.links")
+    .selectAll("g.link-group")
+    .data(graph.links, linkKey)
+    .join(
+      enter => enter.append("g")
+        .attr("class", "link-group")
+        .call(g => g.append("path").attr("class", "link")),
+      update => update,
+      exit => exit.call(g => animate(g).attr("opacity", 0).remove())
+    );
 
   const linkPath = d3g.sankeyLinkHorizontal();
 
-  link.append("path")
-    .attr("class", "link")
-    .attr("id", (d, i) => `link-${i}`)
+  // A band runs parallel to its link, offset within the link's width
+  const bandPath = (b) => {
+    const d = b.link;
+    const dy = (b.offset + b.share / 2 - 0.5) * d.width;
+    return d3g.linkHorizontal()({ source: [d.source.x1, d.y0 + dy], target: [d.target.x0, d.y1 + dy] });
+  };
+  const redrawLinks = () => {
+    link.select('path.link').attr('d', linkPath);
+    link.selectAll('path.link-band').attr('d', bandPath);
+  };
+
+  // Banded links keep a transparent full-width path on top for clicks and the
+  // reference-number text path
+  const banded = (d) => !!coloring.bands(linkKey(d));
+  link.each(function (d) {
+    const group = d3g.select(this);
+    let bands = group.select("g.link-bands");
+    if (bands.empty()) bands = group.insert("g", "path.link").attr("class", "link-bands");
+    const paths = bands.selectAll("path.link-band")
+      .data((coloring.bands(linkKey(d)) || []).map(b => ({ ...b, link: d })), b => b.label)
+      .join(enter => enter.append("path")
+        .attr("class", "link-band")
+        .attr("d", bandPath)
+        .attr("stroke-width", 0));
+    animate(paths)
+      .attr("d", bandPath)
+      .attr("stroke", b => b.color)
+      .attr("stroke-width", b => Math.max(1, b.share * Math.max(2, b.link.width)));
+  });
+
+  // New links grow from zero width where they end up
+  const linkPaths = link.select("path.link")
+    .attr("id", linkId)
+    .attr("stroke", d => (banded(d) ? "transparent" : coloring.color(linkKey(d))));
+  linkPaths.filter(function () { return !this.getAttribute("d"); })
+    .attr("d", linkPath)
+    .attr("stroke-width", 0);
+  animate(linkPaths)
     .attr("d", linkPath)
-    .attr("stroke", d => linkColor(d))
     .attr("stroke-width", d => Math.max(2, d.width));
+  linkPaths.selectAll("title").remove();
+  const linkNotes = (d) => [coloring.describe(linkKey(d)), describeLink(linkKey(d))].filter(Boolean).join("\n");
+  linkPaths.filter(d => linkNotes(d))
+    .append("title")
+    .text(d => `${d.source.name} \u2192 ${d.target.name}: ${d.value}\n${linkNotes(d)}`);
+
+  if (coloring.legend) drawLegend(svg, coloring.legend, { x: 20, y: height - 22, width: width - 40 });
 
   // Optional reference numbers along links (rendered as individual tokens)
   const tooltip = d3g.select("#tooltip");
   if (showRefNums) {
-    let selectedRefId = null;
+    let selectedRefId = selectedRef;
     let hoverRefId = null;
-    const refMeta = buildRefMeta(rows);
     const labels = link.append("text")
       .attr("class", "link-label ref-label")
       .attr("dy", "0.35em");
 
     const tp = labels.append("textPath")
-      .attr("href", (d, i) => `#link-${i}`)
+      .attr("href", d => `#${linkId(d)}`)
       .attr("startOffset", "50%")
       .attr("text-anchor", "middle");
 
     tp.each(function(d){
-      const key = `${d.source.name}|||${d.target.name}`;
+      const key = `${d.source.id}|||${d.target.id}`;
       const ids = byLinkKey.get(key)?.refIds || [];
       const sel = d3g.select(this);
+      // Busy links get one badge; clicking it selects the link, which lists its papers in Sources
+      if (ids.length > maxRefTokens) {
+        sel.append('tspan')
+          .datum(ids)
+          .attr('class', 'ref-badge')
+          .attr('tabindex', -1)
+          .attr('role', 'button')
+          .attr('aria-label', `${plural(ids.length, 'paper')}, press Enter to list them under Sources`)
+          .text(`${ids.length} papers`)
+          .on('click', (event) => {
+            event.stopPropagation();
+            toggleSelection(key, event.shiftKey);
+          })
+          .append('title')
+          .text('Click to list these papers under Sources');
+        return;
+      }
       sel.selectAll('tspan')
         .data(ids)
         .join('tspan')
         .attr('class', 'ref-token')
+        .attr('tabindex', -1)
+        .attr('role', 'button')
+        .attr('aria-label', r => refLabel(r))
         .attr('dx', (r, i) => (i === 0 ? 0 : 8))
         .text(r => r)
         .on('mouseenter', function(event, r){
-          const info = formatRefDetails(rows, r, refMeta);
-          tooltip.html(info).style('opacity', 1);
+          showRef(r);
           const [x, y] = d3g.pointer(event);
           tooltip.style('left', (x + 20) + 'px').style('top', (y + 20) + 'px');
-          // Hovering clears any previously selected ref permanently
-          selectedRefId = null;
-          hoverRefId = r;
-          updateHighlights();
         })
         .on('mousemove', function(event){
           const [x, y] = d3g.pointer(event);
           tooltip.style('left', (x + 20) + 'px').style('top', (y + 20) + 'px');
         })
-        .on('mouseleave', function(event, r){
-          tooltip.style('opacity', 0);
-          hoverRefId = null;
-          updateHighlights();
+        .on('mouseleave', hideRef)
+        // Keyboard focus acts like hovering; the tooltip goes next to the token
+        .on('focus', function(event, r){
+          showRef(r);
+          const box = this.getBoundingClientRect();
+          const origin = tooltip.node()?.offsetParent?.getBoundingClientRect() || { left: 0, top: 0 };
+          tooltip.style('left', (box.right - origin.left + 8) + 'px').style('top', (box.bottom - origin.top + 8) + 'px');
         })
+        .on('blur', hideRef)
         .on('click', function(event, r){
           // Persist highlight and scroll to source list entry
           setSelectedRef(r);
@@ -129,8 +368,24 @@ export function renderSankey(containerEl, rows, config = {}) {
         });
     });
 
+    function showRef(r){
+      tooltip.html(describeRef(r)).style('opacity', 1);
+      // Hovering clears any previously selected ref permanently
+      if (selectedRefId != null) onSelectRef(null);
+      selectedRefId = null;
+      hoverRefId = r;
+      updateHighlights();
+    }
+
+    function hideRef(){
+      tooltip.style('opacity', 0);
+      hoverRefId = null;
+      updateHighlights();
+    }
+
     function setSelectedRef(id){
       selectedRefId = id;
+      onSelectRef(id);
       updateHighlights();
     }
 
@@ -145,59 +400,124 @@ export function renderSankey(containerEl, rows, config = {}) {
       clearAllHighlights();
       if (active != null) highlightRefListItem(active, true);
     }
+
+    updateHighlights();
   }
 
   // Edge hover tooltip disabled (info shown on ref tokens only)
 
-  // Nodes
-  const node = svg.append("g")
-    .selectAll("g")
-    .data(graph.nodes)
-    .join("g")
-    .attr("class", "node");
-
-  node.append("rect")
+  // Nodes; new ones appear at their final place and fade in
+  const node = svg.select("g.nodes")
+    .selectAll("g.node")
+    .data(graph.nodes, d => d.id)
+    .join(
+      enter => enter.append("g")
+        .attr("class", "node")
+        .attr("opacity", 0)
+        .call(g => {
+          g.append("rect")
+            .attr("x", d => d.x0)
+            .attr("y", d => (d.y0 + d.y1) / 2)
+            .attr("height", 0)
+            .append("title");
+          g.append("text")
+            .attr("x", d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
+            .attr("y", d => (d.y1 + d.y0) / 2);
+        }),
+      update => update,
+      exit => exit.call(g => animate(g).attr("opacity", 0).remove())
+    );
+  animate(node).attr("opacity", 1);
+
+  node.classed("other", d => !!d.other)
+    .classed("added", d => d.diff === "added")
+    .classed("removed", d => d.diff === "removed");
+  const nodeRects = node.select("rect")
+    .attr("fill", d => nodeColor(d.layer))
+    .attr("stroke", '#071b21');
+  nodeRects.select("title")
+    .text(d => (d.other
+      ? `${d.name}\nTotal: ${d.value || 0}\n${preview(d.other)}\nClick to show them separately`
+      : `${d.name}\nTotal: ${d.value || 0}`));
+  animate(nodeRects)
     .attr("x", d => d.x0)
     .attr("y", d => d.y0)
     .attr("height", d => Math.max(8, d.y1 - d.y0))
-    .attr("width", d => d.x1 - d.x0)
-    .attr("fill", d => d.side === 'left' ? '#0b3743' : '#3b0a29')
-    .attr("stroke", '#071b21')
-    .append("title")
-    .text(d => `${d.name}\nTotal: ${d.value || 0}`);
+    .attr("width", d => d.x1 - d.x0);
 
-  node.append("text")
-    .attr("x", d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
-    .attr("y", d => (d.y1 + d.y0) / 2)
+  const nodeLabels = node.select("text")
     .attr("text-anchor", d => d.x0 < width / 2 ? "start" : "end")
     .text(d => d.name);
+  animate(nodeLabels)
+    .attr("x", d => d.x0 < width / 2 ? d.x1 + 6 : d.x0 - 6)
+    .attr("y", d => (d.y1 + d.y0) / 2);
+
+  // Selection: click a node or link to select it, shift-click to add to the
+  // selection; links and nodes carrying none of the selected papers are dimmed
+  const nodeRefs = (n) => [...n.sourceLinks, ...n.targetLinks].flatMap(linkRefs);
+  const byKey = new Map([
+    ...graph.nodes.map(n => [n.id, () => nodeRefs(n)]),
+    ...graph.links.map(l => [linkKey(l), () => linkRefs(l)]),
+  ]);
+  let selected = (selection || []).filter(k => byKey.has(k));
+
+  function applySelection() {
+    const papers = selected.length ? new Set(selected.flatMap(k => byKey.get(k)())) : null;
+    const keys = new Set(selected);
+    link
+      .classed("dimmed", d => !!papers && !linkRefs(d).some(r => papers.has(r)))
+      .classed("selected", d => keys.has(linkKey(d)))
+      .attr("aria-pressed", d => String(keys.has(linkKey(d))));
+    node
+      .classed("dimmed", d => !!papers && !nodeRefs(d).some(r => papers.has(r)))
+      .classed("selected", d => keys.has(d.id))
+      .attr("aria-pressed", d => String(keys.has(d.id)));
+    onSelectionChange(selected.slice(), papers);
+  }
 
-  // Enable vertical drag within the column to manually reduce crossings
-  const nodePad = 14; // keep in sync with sankey.nodePadding()
+  function toggleSelection(key, additive) {
+    if (additive) selected = selected.includes(key) ? selected.filter(k => k !== key) : [...selected, key];
+    else selected = selected.length === 1 && selected[0] === key ? [] : [key];
+    applySelection();
+  }
+
+  link.select("path.link")
+    .on("click", (event, d) => toggleSelection(linkKey(d), event.shiftKey));
+  // d3.drag suppresses the click that ends a real drag, so this only fires on plain clicks
+  // An "Other" node expands instead; shift-click still selects it
+  node.on("click", (event, d) => {
+    if (d.other && !event.shiftKey) onExpandOther(d.layer);
+    else toggleSelection(d.id, event.shiftKey);
+  });
+  svg.on("click", (event) => {
+    if (event.target === svg.node() && selected.length) {
+      selected = [];
+      applySelection();
+    }
+  });
+  applySelection();
 
+  // Enable vertical drag within the column to manually reduce crossings
   function updateNodes() {
-    svg.selectAll('g.node')
-      .select('rect')
-      .attr('y', d => d.y0);
-    svg.selectAll('g.node')
-      .select('text')
-      .attr('y', d => (d.y0 + d.y1) / 2);
+    node.select('rect').attr('y', d => d.y0);
+    node.select('text').attr('y', d => (d.y0 + d.y1) / 2);
   }
 
   const drag = d3g.drag()
     .on("start", function (event, d) {
       d3g.select(this).raise();
       // Cache column peers and heights
-      const peers = graph.nodes.filter(n => n.side === d.side && n.id !== d.id)
+      const peers = graph.nodes.filter(n => n.layer === d.layer && n.id !== d.id)
         .sort((a, b) => a.y0 - b.y0);
       const heights = new Map(graph.nodes.map(n => [n.id, Math.max(8, n.y1 - n.y0)]));
       this.__peers = peers;
       this.__heights = heights;
+      this.__insertIdx = undefined;
     })
     .on("drag", function (event, d) {
       const nodeHeight = Math.max(8, d.y1 - d.y0);
       const minY = 20;
-      const maxY = height - 20 - nodeHeight;
+      const maxY = chartBottom - nodeHeight;
       const newY0 = Math.max(minY, Math.min(maxY, event.y));
       const newCenter = newY0 + nodeHeight / 2;
 
@@ -209,7 +529,7 @@ export function renderSankey(containerEl, rows, config = {}) {
       while (insertIdx < centers.length && centers[insertIdx] < newCenter) insertIdx++;
 
       // Pack peers to create space where dragged node would land
-      let y = 20;
+      let y = layerTop([...peers, d], heights);
       for (let i = 0; i < peers.length; i++) {
         if (i === insertIdx) {
           y += nodeHeight + nodePad; // reserve space for dragged node
@@ -227,7 +547,7 @@ export function renderSankey(containerEl, rows, config = {}) {
 
       updateNodes();
       sankey.update(graph);
-      svg.selectAll('path.link').attr('d', linkPath);
+      redrawLinks();
 
       this.__insertIdx = insertIdx;
     })
@@ -236,122 +556,181 @@ export function renderSankey(containerEl, rows, config = {}) {
       const peers = this.__peers || [];
       const heights = this.__heights || new Map();
       const nodeHeight = heights.get(d.id) || Math.max(8, d.y1 - d.y0);
-      const insertIdx = this.__insertIdx ?? 0;
+      const insertIdx = this.__insertIdx;
+      // A press without movement is a click, not a reorder
+      if (insertIdx === undefined) return;
 
       const ordered = peers.slice();
       ordered.splice(insertIdx, 0, d);
-
-      let y = 20;
-      for (const n of ordered) {
-        const h = heights.get(n.id) || Math.max(8, n.y1 - n.y0);
-        n.y0 = y;
-        n.y1 = y + h;
-        y += h + nodePad;
-      }
-
-      updateNodes();
-      sankey.update(graph);
-      svg.selectAll('path.link').attr('d', linkPath);
+      applyOrder(d, ordered, heights);
     });
 
   node.call(drag);
-}
-
-function buildGraph(rows, sourceCol, targetCol) {
-  // Build unique nodes for both columns
-  const sources = new Map();
-  const targets = new Map();
 
-  const byLinkKey = new Map(); // key: src|||tgt -> { count, refIds }
-
-  const getVal = (row, col) => safeStr(row[col]);
+  // Settle a layer in its new order and report it, after a drag or a keyboard move
+  function applyOrder(d, ordered, heights) {
+    packLayer(ordered, heights);
+    updateNodes();
+    sankey.update(graph);
+    redrawLinks();
+    // The next render lays the other layers out around this one again
+    if (aggregate) layouts.delete(aggregate);
+    onNodeOrderChange(d.layer, ordered.map(n => n.name));
+    onLayoutChange({ crossings: countCrossings(graph) });
+  }
 
-  rows.forEach((row, idx) => {
-    const s = getVal(row, sourceCol);
-    const t = getVal(row, targetCol);
-    if (!s || !t) return;
+  // Accessibility: nodes, links and reference tokens are buttons with a spoken summary
+  const papersOf = (refs) => plural(new Set(refs).size, "paper");
+  node
+    .attr("role", "button")
+    .attr("tabindex", -1)
+    .attr("aria-label", d => [
+      `${columnLabels[d.layer]}: ${d.name}`,
+      papersOf(nodeRefs(d)),
+      `${plural(d.targetLinks.length, "incoming link")}, ${plural(d.sourceLinks.length, "outgoing link")}`,
+      d.other ? `groups ${d.other.length} values, press Enter to show them` : "",
+    ].filter(Boolean).join(", "));
+  link
+    .attr("role", "button")
+    .attr("tabindex", -1)
+    .attr("aria-label", d => {
+      const refs = linkRefs(d);
+      const listed = refs.length > 20 ? `${refs.slice(0, 20).join(", ")} and ${refs.length - 20} more` : refs.join(", ");
+      return `${d.source.name} \u2192 ${d.target.name}: ${papersOf(refs)}, references ${listed}`;
+    });
 
-    if (!sources.has(s)) sources.set(s, { id: `S:${s}`, name: s, side: "left" });
-    if (!targets.has(t)) targets.set(t, { id: `T:${t}`, name: t, side: "right" });
+  // Keyboard: a roving tabindex keeps one element in the tab order. Up/Down move to the
+  // neighbouring node in the column (or link between the same columns); Right/Left walk
+  // source node -> link -> its reference tokens -> target node and back
+  const layerNodes = (layer) => graph.nodes.filter(n => n.layer === layer).sort((a, b) => a.y0 - b.y0);
+  const pairLinks = (layer) => graph.links.filter(l => l.source.layer === layer).sort((a, b) => a.y0 - b.y0 || a.y1 - b.y1);
+  const nodeEl = (n) => node.filter(d => d === n).node();
+  const linkEl = (l) => link.filter(d => d === l).node();
+  const tokensOf = (groupEl) => Array.from(groupEl.querySelectorAll("tspan.ref-token, tspan.ref-badge"));
+  const focusKeyOf = (el) => {
+    const group = el.closest("g.link-group, g.node");
+    const d = d3g.select(group).datum();
+    if (group.matches("g.node")) return `node:${d.id}`;
+    return el.matches("tspan") ? `token:${tokensOf(group).indexOf(el)}:${linkKey(d)}` : `link:${linkKey(d)}`;
+  };
+  function focusEl(el) {
+    if (!el) return;
+    svg.selectAll("[tabindex='0']").attr("tabindex", -1);
+    el.setAttribute("tabindex", 0);
+    el.focus();
+    svg.property("__focusKey", focusKeyOf(el));
+  }
+  const step = (list, item, delta) => list[list.indexOf(item) + delta];
+  function moveNode(d, delta) {
+    const ordered = layerNodes(d.layer);
+    const at = ordered.indexOf(d);
+    if (!ordered[at + delta]) return;
+    const heights = new Map(graph.nodes.map(n => [n.id, heightOf(n)]));
+    ordered.splice(at, 1);
+    ordered.splice(at + delta, 0, d);
+    applyOrder(d, ordered, heights);
+    announce(`${d.name} moved to position ${at + delta + 1} of ${ordered.length}`);
+  }
 
-    const key = `${s}|||${t}`;
-    const entry = byLinkKey.get(key) || { count: 0, refIds: [] };
-    entry.count += 1;
-    entry.refIds.push(idx + 1); // reference numbering starts at 1
-    byLinkKey.set(key, entry);
+  svg.on("keydown", (event) => {
+    const el = event.target;
+    const group = el.closest?.("g.link-group, g.node");
+    if (event.key === "Escape" && selected.length) {
+      selected = [];
+      applySelection();
+      announce("Selection cleared");
+      return;
+    }
+    if (!group) return;
+    const d = d3g.select(group).datum();
+    const isNode = group.matches("g.node");
+    const tokens = isNode ? [] : tokensOf(group);
+    const sortedBy = (links, y) => links.slice().sort((a, b) => a[y] - b[y]);
+    let target = null;
+    switch (event.key) {
+      case "ArrowUp":
+      case "ArrowDown": {
+        const delta = event.key === "ArrowUp" ? -1 : 1;
+        if (isNode && event.altKey) moveNode(d, delta);
+        else if (isNode) target = nodeEl(step(layerNodes(d.layer), d, delta));
+        else target = linkEl(step(pairLinks(d.source.layer), d, delta));
+        break;
+      }
+      case "ArrowRight":
+        if (isNode) target = linkEl(sortedBy(d.sourceLinks, "y0")[0]);
+        else if (el === group) target = tokens[0] || nodeEl(d.target);
+        else target = step(tokens, el, 1) || nodeEl(d.target);
+        break;
+      case "ArrowLeft":
+        if (isNode) target = linkEl(sortedBy(d.targetLinks, "y1")[0]);
+        else if (el === group) target = nodeEl(d.source);
+        else target = step(tokens, el, -1) || group;
+        break;
+      case "Enter":
+      case " ": {
+        // Same as clicking: links take the click on their path
+        const clickable = isNode || el !== group ? el : group.querySelector("path.link");
+        clickable.dispatchEvent(new MouseEvent("click", { bubbles: true, shiftKey: event.shiftKey }));
+        break;
+      }
+      default:
+        return;
+    }
+    event.preventDefault();
+    if (target) focusEl(target);
   });
 
-  const nodes = [...sources.values(), ...targets.values()];
-
-  const links = [];
-  for (const [key, { count }] of byLinkKey.entries()) {
-    const [s, t] = key.split("|||");
-    const sId = `S:${s}`;
-    const tId = `T:${t}`;
-    // Use node ids to match nodeId accessor in sankey
-    links.push({
-      source: sId,
-      target: tId,
-      value: count,
-    });
+  // Restore the focused element after a re-render, else start at the top of the first column
+  const focusKey = svg.property("__focusKey");
+  const focusTarget = (() => {
+    const m = /^(node|link|token:(\d+)):([\s\S]*)$/.exec(focusKey || "");
+    if (!m) return null;
+    if (m[1] === "node") return nodeEl(graph.nodes.find(n => n.id === m[3]));
+    const group = linkEl(graph.links.find(l => linkKey(l) === m[3]));
+    return group && m[2] !== undefined ? tokensOf(group)[Number(m[2])] || group : group;
+  })() || nodeEl(layerNodes(0)[0]);
+  if (focusTarget) {
+    focusTarget.setAttribute("tabindex", 0);
+    if (hadFocus) focusEl(focusTarget);
   }
 
-  const graph = { nodes: nodes.map(d => ({ ...d })), links };
-  const refCountMax = d3g.max(links, d => d.value) || 1;
-  return { graph, byLinkKey, refCountMax };
-}
-
-function placeholder(text) {
-  return `<div style="display:grid;place-items:center;height:100%;color:#94a3b8">${text}</div>`;
-}
-
-function safeStr(v) {
-  if (v === null || v === undefined) return "";
-  const s = String(v).trim();
-  return s;
+  // Search: links/nodes fed by a matching paper stay lit while the rest fades;
+  // the current hit's tokens and flows are emphasised
+  function markSearch(hits, current = null) {
+    const found = new Set(hits || []);
+    const on = found.size > 0;
+    svg.classed("searching", on);
+    link
+      .classed("search-hit", d => on && linkRefs(d).some(r => found.has(r)))
+      .classed("search-current", d => current != null && linkRefs(d).includes(current));
+    node
+      .classed("search-hit", d => on && nodeRefs(d).some(r => found.has(r)))
+      .classed("search-current", d => current != null && nodeRefs(d).includes(current));
+    svg.selectAll("tspan.ref-token")
+      .classed("search-hit", r => found.has(r))
+      .classed("search-current", r => r === current);
+    svg.selectAll("tspan.ref-badge")
+      .classed("search-hit", ids => ids.some(r => found.has(r)))
+      .classed("search-current", ids => current != null && ids.includes(current));
+  }
+  return { markSearch };
 }
 
-// Helpers for reference token tooltip and highlighting
-function buildRefMeta(rows){
-  const keys = Object.keys(rows[0] || {});
-  const prefer = (cands) => {
-    const lowerMap = new Map(keys.map(k => [k.toLowerCase(), k]));
-    for (const c of cands){
-      const k = lowerMap.get(String(c).toLowerCase());
-      if (k) return k;
-    }
-    const lowers = keys.map(k => k.toLowerCase());
-    for (const c of cands){
-      const cl = String(c).toLowerCase();
-      const idx = lowers.findIndex(k => k.includes(cl));
-      if (idx !== -1) return keys[idx];
-    }
-    return undefined;
-  };
+// Nodes and links are laid out in place, so a reused aggregate is drawn from a copy
+function copyAggregate({ graph, byLinkKey }) {
   return {
-    titleKey: prefer(['Title','Paper','Reference','Citation','Name']),
-    authorKey: prefer(['Authors','Author','First Author','PI','Principal Investigator']),
-    yearKey: prefer(['Year','Date','Publication Year','Year Published'])
+    graph: { nodes: graph.nodes.map(n => ({ ...n })), links: graph.links.map(l => ({ ...l })) },
+    byLinkKey,
   };
 }
 
-function formatRefDetails(rows, id, meta){
-  const row = rows[id - 1] || {};
-  let title = safeStr(row[meta.titleKey]);
-  let author = safeStr(row[meta.authorKey]);
-  let year = safeStr(row[meta.yearKey]);
-  author = author.replace(/^\s*(?:PI\s*:\s*)/i, '').trim();
-  if (!/^\d{4}$/.test(year)) year = '';
-  if (author.includes(';') || author.includes(',')) {
-    const first = author.split(/[;,]/)[0].trim();
-    if (first) author = first;
-  }
-  const fields = [author, title, year].filter(Boolean);
-  const text = fields.join(', ');
-  return `<div>${id}. ${text}</div>`;
+function preview(values, max = 8) {
+  const shown = values.slice(0, max).join(', ');
+  return values.length > max ? `${shown}, …` : shown;
 }
 
-function highlightRefListItem(id, on){
+// Reference list highlighting
+export function highlightRefListItem(id, on){
   try {
     const li = document.querySelector(`#refList li:nth-child(${id})`);
     if (li){
@@ -0,0 +1,173 @@
+// Static Sankey as an SVG document
+// Exports: sankeySvg(rows, aggregate, config)
+// The chart sankeyGraph.js draws, as a standalone SVG string built without the DOM or a D3 global, so
+// figures can be made in Node (bin/fieldscope.mjs). Same layout (d3-sankey plus the crossing reduction
+// of layout.js), node colour ramp and "Shared links" colouring; no interaction or animation. Each node
+// and link has a <title> with its paper count and reference numbers.
+// aggregate: { graph, byLinkKey } from buildGraph; it is laid out on a copy
+// config: { sankey, width, height, columnLabels, nodeOrder, palette, showRefNums, maxRefTokens }
+//   sankey: the d3-sankey module ({ sankey, sankeyLinkHorizontal }), passed in as it is loaded differently
+//     in Node and on the page
+//   nodeOrder / palette: as for renderSankey; columnLabels: headings drawn above the columns
+
+import { orderLayers } from './layout.js';
+import { linkColoring } from './linkColors.js';
+import { escapeHtml } from './viewShared.js';
+
+const BACKGROUND = '#0f4c5c'; // the page background, so light labels stay readable
+const TEXT_COLOR = '#f2f5f7';
+const NODE_STROKE = '#071b21';
+const FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Helvetica Neue, Arial, sans-serif';
+const NODE_PAD = 14;
+const MARGIN = 20;
+const HEADING_SPACE = 24;
+
+export function sankeySvg(rows, aggregate, config = {}) {
+  const {
+    sankey: d3sankey,
+    width = 1200,
+    height = 700,
+    columnLabels = [],
+    nodeOrder = {},
+    palette = {},
+    showRefNums = false,
+    maxRefTokens = 12,
+  } = config;
+  if (!d3sankey?.sankey) throw new Error('sankeySvg needs the d3-sankey module as config.sankey');
+  const byLinkKey = aggregate.byLinkKey;
+  const graph = {
+    nodes: aggregate.graph.nodes.map(n => ({ ...n })),
+    links: aggregate.graph.links.map(l => ({ ...l })),
+  };
+  if (!graph.links.length) throw new Error('No connections found. Check the selected columns for empty values.');
+  const layerCount = Math.max(columnLabels.length, ...graph.nodes.map(n => n.layer + 1));
+  const top = MARGIN + (columnLabels.length ? HEADING_SPACE : 0);
+  const bottom = height - MARGIN;
+
+  // Layers by rank among the drawn columns, as in the live chart (see sankeyGraph.js)
+  const present = [...new Set(graph.nodes.map(n => n.layer))].sort((a, b) => a - b);
+  const rankOf = new Map(present.map((layer, i) => [layer, i]));
+  const sankey = d3sankey.sankey()
+    .nodeId(d => d.id)
+    .nodeAlign((d, depth) => Math.min(rankOf.get(d.layer), depth - 1))
+    .nodeWidth(14)
+    .nodePadding(NODE_PAD)
+    .extent([[MARGIN, top], [width - MARGIN, bottom]])
+    .iterations(40);
+  // Then every column at its own x
+  const columnOf = new Map(graph.nodes.map(n => [n.id, n.layer]));
+  sankey(graph);
+  const columnStep = layerCount > 1 ? (width - 2 * MARGIN - sankey.nodeWidth()) / (layerCount - 1) : 0;
+  let shifted = false;
+  for (const n of graph.nodes) {
+    const layer = columnOf.get(n.id);
+    if (n.layer !== layer) shifted = true;
+    n.layer = layer;
+    n.x0 = MARGIN + layer * columnStep;
+    n.x1 = n.x0 + sankey.nodeWidth();
+  }
+
+  // Same ordering as the live chart: given orders are fixed, the crossing reduction does the rest
+  const heightOf = (n) => Math.max(8, n.y1 - n.y0);
+  const packLayer = (ordered) => {
+    const total = ordered.reduce((sum, n) => sum + heightOf(n), 0) + NODE_PAD * (ordered.length - 1);
+    let y = top + Math.max(0, (bottom - top - total) / 2);
+    for (const n of ordered) {
+      const h = heightOf(n);
+      n.y0 = y;
+      n.y1 = y + h;
+      y += h + NODE_PAD;
+    }
+  };
+  if (shifted) {
+    for (const layer of new Set(graph.nodes.map(n => n.layer))) {
+      packLayer(graph.nodes.filter(n => n.layer === layer).sort((a, b) => a.y0 - b.y0));
+    }
+  }
+  const fixed = new Set();
+  for (const [layer, names] of Object.entries(nodeOrder || {})) {
+    const rank = new Map(names.map((name, i) => [name, i]));
+    const peers = graph.nodes.filter(n => n.layer === Number(layer));
+    if (!peers.some(n => rank.has(n.name))) continue;
+    packLayer(peers.slice().sort((a, b) => (rank.get(a.name) ?? Infinity) - (rank.get(b.name) ?? Infinity) || a.y0 - b.y0));
+    fixed.add(Number(layer));
+  }
+  const { layers } = orderLayers(graph, { fixed });
+  for (const nodes of layers.values()) {
+    if (nodes.some((n, i) => i > 0 && nodes[i - 1].y0 > n.y0)) packLayer(nodes);
+  }
+  sankey.update(graph);
+
+  const nodeFirst = palette.nodeFirst || '#0b3743';
+  const nodeLast = palette.nodeLast || '#3b0a29';
+  const nodeColor = (layer) => mixColors(nodeFirst, nodeLast, layerCount > 1 ? layer / (layerCount - 1) : 0);
+  const coloring = linkColoring(rows, byLinkKey, { mode: 'multiplicity', palette });
+  const linkPath = d3sankey.sankeyLinkHorizontal();
+  const keyOf = (l) => `${l.source.id}|||${l.target.id}`;
+  const refsOf = (l) => byLinkKey.get(keyOf(l))?.refIds || [];
+
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8"?>');
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeHtml(FONT)}">`);
+  out.push(`<rect width="100%" height="100%" fill="${BACKGROUND}"/>`);
+
+  out.push('<g class="links" fill="none">');
+  graph.links.forEach((l, i) => {
+    const refs = refsOf(l);
+    out.push(`<g class="link-group"><path id="link-${i}" class="link" d="${linkPath(l).replace(/-?\d+\.\d+/g, v => round(Number(v)))}" stroke="${coloring.color(keyOf(l))}" stroke-width="${round(Math.max(2, l.width))}">`
+      + `<title>${escapeHtml(`${l.source.name} → ${l.target.name}\nPapers: ${refs.length}\nReferences: ${refs.join(', ')}`)}</title></path>`);
+    if (showRefNums) {
+      const label = refs.length > maxRefTokens ? `${refs.length} papers` : refs.join(' ');
+      out.push(`<text class="link-label" fill="#ffffff" font-size="13" dy="0.35em"><textPath href="#link-${i}" xlink:href="#link-${i}" startOffset="50%" text-anchor="middle">${escapeHtml(label)}</textPath></text>`);
+    }
+    out.push('</g>');
+  });
+  out.push('</g>');
+
+  out.push('<g class="nodes">');
+  for (const n of graph.nodes) {
+    const left = n.x0 < width / 2;
+    const y = round((n.y0 + n.y1) / 2);
+    out.push(`<g class="node"><rect x="${round(n.x0)}" y="${round(n.y0)}" width="${round(n.x1 - n.x0)}" height="${round(Math.max(8, n.y1 - n.y0))}" rx="6" ry="6" fill="${nodeColor(n.layer)}" stroke="${NODE_STROKE}">`
+      + `<title>${escapeHtml(`${n.name}\nTotal: ${n.value || 0}`)}</title></rect>`
+      + `<text x="${round(left ? n.x1 + 6 : n.x0 - 6)}" y="${y}" text-anchor="${left ? 'start' : 'end'}" dominant-baseline="middle" font-size="14" fill="${TEXT_COLOR}"${n.other ? ' font-style="italic"' : ''}>${escapeHtml(n.name)}</text></g>`);
+  }
+  out.push('</g>');
+
+  // Column headings over each layer's nodes
+  if (columnLabels.length) {
+    out.push('<g class="column-labels">');
+    for (let layer = 0; layer < layerCount; layer++) {
+      const nodes = graph.nodes.filter(n => n.layer === layer);
+      if (!nodes.length || !columnLabels[layer]) continue;
+      const x = nodes[0].x0;
+      const anchor = layer === 0 ? 'start' : layer === layerCount - 1 ? 'end' : 'middle';
+      const ax = anchor === 'start' ? x : anchor === 'end' ? nodes[0].x1 : (nodes[0].x0 + nodes[0].x1) / 2;
+      out.push(`<text x="${round(ax)}" y="${MARGIN + 8}" text-anchor="${anchor}" font-size="14" font-weight="600" fill="${TEXT_COLOR}">${escapeHtml(columnLabels[layer])}</text>`);
+    }
+    out.push('</g>');
+  }
+
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+// Linear mix of two #rgb / #rrggbb colours; other colour syntaxes give the first colour
+function mixColors(a, b, t) {
+  const ca = parseHex(a);
+  const cb = parseHex(b);
+  if (!ca || !cb) return a;
+  const hex = ca.map((v, i) => Math.round(v + (cb[i] - v) * t).toString(16).padStart(2, '0')).join('');
+  return `#${hex}`;
+}
+
+function parseHex(color) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? [...m[1]].map(c => c + c).join('') : m[1];
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+function round(v) {
+  return Math.round(v * 10) / 10;
+}
@@ -0,0 +1,46 @@
+// Full-text search over the data rows
+// Exports: searchRows(rows, query), parseQuery(query)
+// query: space-separated terms; "quoted phrases" stay together. A row matches when
+// every term occurs somewhere in its cells (any column, case- and accent-insensitive).
+
+const textCache = new WeakMap(); // rows array -> folded text per row
+
+// Terms of a query, folded for comparison ('"germ band" Mouse' -> ['germ band', 'mouse'])
+export function parseQuery(query) {
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query || '')))) {
+    const t = fold(m[1] ?? m[2]).trim();
+    if (t) terms.push(t);
+  }
+  return terms;
+}
+
+// 0-based indices of the matching rows, in data order
+export function searchRows(rows, query) {
+  const terms = parseQuery(query);
+  if (!terms.length) return [];
+  const texts = rowTexts(rows);
+  const hits = [];
+  texts.forEach((text, idx) => {
+    if (terms.every(t => text.includes(t))) hits.push(idx);
+  });
+  return hits;
+}
+
+function rowTexts(rows) {
+  if (!textCache.has(rows)) {
+    // Cells are joined with a separator no term can contain, so phrases do not span columns
+    textCache.set(rows, rows.map(row => Object.values(row).map(v => fold(v ?? '')).join('\n')));
+  }
+  return textCache.get(rows);
+}
+
+function fold(v) {
+  return String(v)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
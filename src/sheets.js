@@ -0,0 +1,79 @@
+// Multi-sheet datasets
+// Exports: joinRows(leftRows, rightRows, config), guessJoinKeys(leftRows, rightRows)
+// config: { leftKey, rightKey, rightName }
+// A left join: the main sheet keeps its rows (and so its reference numbering);
+// columns from the joined sheet are appended to every matching row.
+
+export function joinRows(leftRows, rightRows, config = {}) {
+  const { leftKey, rightKey, rightName = 'joined' } = config;
+  if (!leftKey || !rightKey) return leftRows;
+
+  const leftCols = Object.keys(leftRows[0] || {});
+  const rightCols = Object.keys(rightRows[0] || {}).filter(c => c !== rightKey);
+  // Avoid clobbering main-sheet columns with same-named annotation columns
+  const outName = new Map(rightCols.map(c => [c, leftCols.includes(c) ? `${c} (${rightName})` : c]));
+
+  const byKey = new Map();
+  for (const r of rightRows) {
+    const k = keyOf(r[rightKey]);
+    if (!k) continue;
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(r);
+  }
+
+  return leftRows.map(row => {
+    const out = { ...row };
+    const matches = byKey.get(keyOf(row[leftKey])) || [];
+    for (const c of rightCols) {
+      const values = [...new Set(matches.map(m => String(m[c] ?? '').trim()).filter(Boolean))];
+      // Several annotation rows per paper become one multi-valued cell
+      out[outName.get(c)] = values.length === 1 && matches.length === 1 ? matches[0][c] : values.join('; ');
+    }
+    return out;
+  });
+}
+
+// Suggest key columns: a shared column name, else the best id-like pair by value overlap
+export function guessJoinKeys(leftRows, rightRows) {
+  const leftCols = Object.keys(leftRows[0] || {});
+  const rightCols = Object.keys(rightRows[0] || {});
+  if (!leftCols.length || !rightCols.length) return [null, null];
+
+  const norm = (c) => String(c).toLowerCase().replace(/^\s*\d+\s*[\.\-\):]\s*/, '').replace(/[^a-z0-9]+/g, '');
+  for (const l of leftCols) {
+    const r = rightCols.find(c => norm(c) === norm(l));
+    if (r && overlap(leftRows, l, rightRows, r) > 0) return [l, r];
+  }
+
+  let best = [null, null];
+  let bestScore = 0;
+  for (const l of leftCols) {
+    // Keys should identify papers, so favour columns with distinct values
+    const unique = uniqueness(leftRows, l);
+    for (const r of rightCols) {
+      const score = overlap(leftRows, l, rightRows, r) * unique;
+      if (score > bestScore) {
+        bestScore = score;
+        best = [l, r];
+      }
+    }
+  }
+  return bestScore > 0 ? best : [leftCols[0], rightCols[0]];
+}
+
+// Share of right-hand key values that also occur on the left
+function overlap(leftRows, l, rightRows, r) {
+  const left = new Set(leftRows.map(x => keyOf(x[l])).filter(Boolean));
+  const right = rightRows.map(x => keyOf(x[r])).filter(Boolean);
+  if (!right.length) return 0;
+  return right.filter(k => left.has(k)).length / right.length;
+}
+
+function uniqueness(rows, col) {
+  const keys = rows.map(x => keyOf(x[col])).filter(Boolean);
+  return keys.length ? new Set(keys).size / keys.length : 0;
+}
+
+function keyOf(v) {
+  return String(v ?? '').trim().toLowerCase();
+}
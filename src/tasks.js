@@ -0,0 +1,111 @@
+// Background tasks
+// Exports: parseFile(name, buffer, onProgress), shareRows(rows), shareEdit(edit), aggregateGraph(rows, options, onProgress),
+//          scanDataset(rows, options)
+// Parsing, aggregation and the data quality scan run in worker.js so large files do not freeze the
+// page. Without worker support, or when the worker fails to start (e.g. vendor/xlsx.mjs is missing),
+// the same functions run on the main thread instead, with the same results.
+// onProgress({ phase, done, total }): done/total are row counts, null for steps without one
+// aggregateGraph options: { columns, split, aliases, fold, include, topN, expanded, canon }; canon is
+// only used on the main thread (the worker rebuilds it from split/aliases/fold). Rows must have been
+// passed to shareRows first.
+// scanDataset options: { chain, split, aliases, fold, canon }, the same way; resolves to scanChain's result
+
+import { importSheets } from './importers.js';
+import { buildGraph } from './core.js';
+import { scanChain } from './diagnostics.js';
+
+let worker = null;
+let workerFailed = false;
+let nextId = 1;
+const pending = new Map(); // id -> task, see run()
+
+export function parseFile(name, buffer, onProgress = () => {}) {
+  onProgress({ phase: `Reading ${name}`, done: null, total: null });
+  return run('parse', { name, buffer }, onProgress, () => importSheets(name, buffer));
+}
+
+// Rows for the aggregations that follow; sent once per dataset instead of with every request
+export function shareRows(rows) {
+  return run('rows', { rows }, () => {}, () => true);
+}
+
+// An edit from the spreadsheet editor (see editor.js) applied to the shared rows, so the worker's copy
+// stays the same as the page's without sending every row again
+export function shareEdit(edit) {
+  return run('edit', { edit }, () => {}, () => true);
+}
+
+export function aggregateGraph(rows, options, onProgress = () => {}) {
+  const { canon, ...request } = options;
+  onProgress({ phase: 'Aggregating', done: 0, total: options.include ? options.include.size : rows.length });
+  return run('aggregate', request, onProgress, () => {
+    const { graph, byLinkKey } = buildGraph(rows, request.columns, { ...request, canon });
+    return { graph, byLinkKey };
+  });
+}
+
+export function scanDataset(rows, options) {
+  const { canon, ...request } = options;
+  return run('scan', request, () => {}, () => scanChain(rows, { ...request, canon }));
+}
+
+// task: { resolve, reject, onProgress, fallback } where fallback does the work on the main thread
+function run(type, payload, onProgress, fallback) {
+  return new Promise((resolve, reject) => {
+    const task = { resolve, reject, onProgress, fallback };
+    const w = getWorker();
+    if (!w) {
+      runHere(task);
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, task);
+    w.postMessage({ id, type, payload });
+  });
+}
+
+function runHere(task) {
+  // Yield first so the progress indicator can paint before the blocking work
+  setTimeout(() => {
+    try {
+      task.resolve(task.fallback());
+    } catch (err) {
+      task.reject(err);
+    }
+  }, 0);
+}
+
+function getWorker() {
+  if (worker || workerFailed) return worker;
+  try {
+    worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    // No Worker (or no module workers) in this environment
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = (event) => {
+    const { id, progress, result, error } = event.data;
+    const task = pending.get(id);
+    if (!task) return;
+    if (progress) {
+      task.onProgress(progress);
+      return;
+    }
+    pending.delete(id);
+    if (error !== undefined) task.reject(new Error(error));
+    else task.resolve(result);
+  };
+  // The worker did not start or crashed: finish its queue here and stay on the main thread
+  worker.onerror = (event) => {
+    event.preventDefault();
+    console.warn('Background worker unavailable, working on the main thread:', event.message || event);
+    worker.terminate();
+    worker = null;
+    workerFailed = true;
+    const queued = [...pending.values()];
+    pending.clear();
+    queued.forEach(runHere);
+  };
+  return worker;
+}
@@ -0,0 +1,50 @@
+// Timeline playback
+// Exports: rowYears(rows, column), detectYearColumn(rows, columns, preferred), timelineRows(years, view)
+// view: { year, mode: 'cumulative' | 'window', window }
+//   cumulative: papers published up to and including `year`
+//   window: papers from the `window` years ending with `year`
+// Rows without a year never show while the timeline is active.
+
+// Publication year per row (null when none): a number cell, else the last year in the text ("Nature, 2021")
+export function rowYears(rows, column) {
+  return rows.map(row => cellYear(row[column]));
+}
+
+// The year column: the preferred one (e.g. a "Year" header) when it holds years,
+// else the column whose cells most often carry one
+export function detectYearColumn(rows, columns, preferred = null) {
+  const share = (column) => {
+    const years = rowYears(rows, column).filter(y => y !== null);
+    return new Set(years).size > 1 ? years.length / Math.max(1, rows.length) : 0;
+  };
+  if (preferred && share(preferred) >= 0.5) return preferred;
+  let best = null;
+  let bestShare = 0.8; // mostly-year columns only, so stray numbers in free text do not count
+  for (const column of columns) {
+    const s = share(column);
+    if (s >= bestShare && (!best || s > bestShare)) {
+      best = column;
+      bestShare = s;
+    }
+  }
+  return best;
+}
+
+// Set of 0-based row indices shown at view.year
+export function timelineRows(years, view) {
+  const { year, mode = 'cumulative', window = 3 } = view;
+  const from = mode === 'window' ? year - Math.max(1, window) + 1 : -Infinity;
+  const kept = new Set();
+  years.forEach((y, idx) => {
+    if (y !== null && y >= from && y <= year) kept.add(idx);
+  });
+  return kept;
+}
+
+function cellYear(v) {
+  if (typeof v === 'number') return Number.isInteger(v) && v >= 1000 && v <= 2999 ? v : null;
+  const s = String(v ?? '').trim();
+  if (/^\d{4}$/.test(s)) return Number(s);
+  const years = s.match(/\b(?:19|20)\d{2}\b/g);
+  return years ? Number(years[years.length - 1]) : null;
+}
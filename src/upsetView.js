@@ -0,0 +1,194 @@
+// UpSet-style set intersection view
+// Exports: renderUpset(containerEl, rows, config)
+// config: { columns, split, include, canon, formatLabel(column) }
+// Sets come from the chosen columns: a yes/no column (e.g. "Experimental validation?") is one set, the
+// papers answering yes; any other column gives one set per value. Each bar counts the papers in exactly
+// that combination of sets (the dots below it); the bars at the left are the set sizes. Click a bar or
+// a set to list its papers.
+// Returns { markSearch(hits, current) }
+
+import { splitValues } from './core.js';
+import { d3g, refDetail, tooltipAt, hideTooltip, markSearchHits, plural, escapeHtml, placeholder } from './viewShared.js';
+
+const MAX_SETS = 12;
+const MAX_COMBINATIONS = 30;
+const DETAIL_HEIGHT = 48;
+const LABEL_MAX = 26;
+// The answer ends the cell or is followed by a space or a note ("yes (in vitro)"); \b would miss "✓" and
+// accept "1.5" or "x-ray"
+const YES_RE = /^(yes|y|true|1|x|✓)(?=$|[\s(,;:])/i;
+const NO_RE = /^(no|n|false|0|none|-)(?=$|[\s(,;:])/i;
+
+export function renderUpset(containerEl, rows, config = {}) {
+  const { columns = [], split = {}, include = null, canon = null, formatLabel = String } = config;
+  if (!columns.length) {
+    containerEl.innerHTML = placeholder("Select at least one column to render.");
+    return;
+  }
+
+  const kept = rows.map((row, idx) => idx).filter(idx => !include || include.has(idx));
+  const sets = buildSets(rows, kept, columns, { split, canon, formatLabel });
+  if (!sets.length) {
+    containerEl.innerHTML = placeholder("No sets found. Check the selected columns for empty values.");
+    return;
+  }
+
+  // Papers per exact combination of sets
+  const byKey = new Map();
+  let outside = 0;
+  for (const idx of kept) {
+    const members = sets.map((s, i) => (s.refs.has(idx + 1) ? i : -1)).filter(i => i >= 0);
+    if (!members.length) {
+      outside++;
+      continue;
+    }
+    const key = members.join(",");
+    if (!byKey.has(key)) byKey.set(key, { members, refIds: [] });
+    byKey.get(key).refIds.push(idx + 1);
+  }
+  const combos = [...byKey.values()]
+    .sort((a, b) => b.refIds.length - a.refIds.length || a.members.length - b.members.length)
+    .slice(0, MAX_COMBINATIONS);
+
+  const width = containerEl.clientWidth || 800;
+  const height = (containerEl.clientHeight || 480) - DETAIL_HEIGHT;
+  const setBarWidth = 90;
+  const labelWidth = Math.min(220, 16 + 7 * d3g.max(sets, s => Math.min(LABEL_MAX, s.short.length)));
+  const x0 = setBarWidth + labelWidth;
+  const colWidth = Math.max(12, Math.min(32, (width - x0 - 20) / combos.length));
+  const rowHeight = Math.max(14, Math.min(24, (height * 0.5) / sets.length));
+  const matrixTop = height - 10 - rowHeight * sets.length;
+  const barY = d3g.scaleLinear().domain([0, d3g.max(combos, c => c.refIds.length)]).range([matrixTop - 8, 28]);
+  const setX = d3g.scaleLinear().domain([0, d3g.max(sets, s => s.refs.size)]).range([0, setBarWidth - 10]);
+  const rowY = (i) => matrixTop + i * rowHeight + rowHeight / 2;
+  const colX = (j) => x0 + j * colWidth + colWidth / 2;
+  const comboName = (c) => `${c.members.map(i => sets[i].label).join(" ∩ ")}${c.members.length < sets.length ? " only" : ""}`;
+
+  containerEl.innerHTML = "";
+  const wrap = d3g.select(containerEl).append("div").attr("class", "view-wrap");
+  const svg = wrap.append("svg")
+    .attr("class", "view-svg")
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("width", width)
+    .attr("height", height)
+    .attr("role", "img")
+    .attr("aria-label", `Set intersections of ${columns.map(formatLabel).join(", ")}: ${plural(sets.length, "set")}, ${plural(byKey.size, "combination")}`);
+  const outsideNote = outside ? ` ${plural(outside, "paper")} belong to none of the sets.` : "";
+  const shownNote = byKey.size > combos.length ? ` The ${combos.length} largest of ${byKey.size} combinations are shown.` : "";
+  const detail = refDetail(wrap, `Each bar counts the papers in exactly the sets marked below it.${shownNote}${outsideNote} Click a bar or set to list its papers.`);
+
+  // Set rows: zebra background, size bar and label
+  const setRows = svg.append("g")
+    .selectAll("g")
+    .data(sets)
+    .join("g")
+    .attr("class", "upset-set view-item")
+    .attr("transform", (s, i) => `translate(0,${rowY(i)})`);
+  setRows.append("rect")
+    .attr("class", (s, i) => (i % 2 ? "upset-row" : "upset-row odd"))
+    .attr("x", setBarWidth)
+    .attr("y", -rowHeight / 2)
+    .attr("width", x0 - setBarWidth + colWidth * combos.length)
+    .attr("height", rowHeight);
+  setRows.append("rect")
+    .attr("class", "upset-bar")
+    .attr("x", s => setBarWidth - 6 - setX(s.refs.size))
+    .attr("y", -rowHeight / 2 + 3)
+    .attr("width", s => setX(s.refs.size))
+    .attr("height", rowHeight - 6);
+  setRows.append("text")
+    .attr("class", "view-label")
+    .attr("x", setBarWidth + 6)
+    .attr("dy", "0.35em")
+    .text(s => truncate(s.short));
+  setRows
+    .on("mouseenter", (event, s) => tooltipAt(event, `<div>${escapeHtml(s.label)}</div><div>${plural(s.refs.size, "paper")}</div>`, containerEl))
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, s) => detail.show(s.label, [...s.refs].sort((a, b) => a - b)));
+
+  // One column per combination: count bar on top, membership dots below
+  const columnsSel = svg.append("g")
+    .selectAll("g")
+    .data(combos)
+    .join("g")
+    .attr("class", "upset-combo view-item");
+  columnsSel.append("rect")
+    .attr("class", "upset-bar")
+    .attr("x", (c, j) => colX(j) - colWidth / 2 + 2)
+    .attr("y", c => barY(c.refIds.length))
+    .attr("width", colWidth - 4)
+    .attr("height", c => matrixTop - 8 - barY(c.refIds.length));
+  columnsSel.append("text")
+    .attr("class", "upset-count")
+    .attr("x", (c, j) => colX(j))
+    .attr("y", c => barY(c.refIds.length) - 6)
+    .attr("text-anchor", "middle")
+    .text(c => c.refIds.length);
+  columnsSel.append("line")
+    .attr("class", "upset-connector")
+    .attr("x1", (c, j) => colX(j))
+    .attr("x2", (c, j) => colX(j))
+    .attr("y1", c => rowY(c.members[0]))
+    .attr("y2", c => rowY(c.members[c.members.length - 1]));
+  const dotRadius = Math.min(colWidth, rowHeight) / 2 - 3;
+  columnsSel.each(function (c, j) {
+    d3g.select(this).selectAll("circle")
+      .data(sets.map((s, i) => c.members.includes(i)))
+      .join("circle")
+      .attr("class", on => (on ? "upset-dot on" : "upset-dot"))
+      .attr("cx", colX(j))
+      .attr("cy", (on, i) => rowY(i))
+      .attr("r", dotRadius);
+  });
+  columnsSel
+    .on("mouseenter", (event, c) => tooltipAt(event, `<div>${escapeHtml(comboName(c))}</div><div>${plural(c.refIds.length, "paper")}</div>`, containerEl))
+    .on("mousemove", (event) => tooltipAt(event, null, containerEl))
+    .on("mouseleave", hideTooltip)
+    .on("click", (event, c) => detail.show(comboName(c), c.refIds));
+
+  return {
+    markSearch(hits, current) {
+      markSearchHits(svg, columnsSel, c => c.refIds, hits, current);
+      markSearchHits(svg, setRows, s => [...s.refs], hits, current);
+    },
+  };
+}
+
+// [{ label, short, refs: Set of reference numbers }], largest first; short drops the column name
+// from a value set's label, which the tooltip and the paper list keep
+function buildSets(rows, kept, columns, { split, canon, formatLabel }) {
+  const sets = [];
+  const several = columns.length > 1;
+  for (const column of columns) {
+    if (isYesNoColumn(rows, kept, column)) {
+      const refs = new Set(kept.filter(idx => YES_RE.test(String(rows[idx][column] ?? '').trim())).map(idx => idx + 1));
+      if (refs.size) sets.push({ label: formatLabel(column), short: formatLabel(column), refs });
+      continue;
+    }
+    const byValue = new Map();
+    for (const idx of kept) {
+      const vs = splitValues(rows[idx][column], split[column]);
+      for (const v of canon ? new Set(vs.map(x => canon(column, x))) : vs) {
+        if (!byValue.has(v)) byValue.set(v, new Set());
+        byValue.get(v).add(idx + 1);
+      }
+    }
+    for (const [value, refs] of byValue) {
+      sets.push({ label: several ? `${formatLabel(column)}: ${value}` : value, short: value, refs });
+    }
+  }
+  return sets.sort((a, b) => b.refs.size - a.refs.size || a.label.localeCompare(b.label)).slice(0, MAX_SETS);
+}
+
+// Mostly yes/no answers ("Yes (in vivo imaging)", "No", "n")
+function isYesNoColumn(rows, kept, column) {
+  const cells = kept.map(idx => String(rows[idx][column] ?? '').trim()).filter(Boolean);
+  if (!cells.length) return false;
+  const answered = cells.filter(v => YES_RE.test(v) || NO_RE.test(v)).length;
+  return answered >= 0.8 * cells.length;
+}
+
+function truncate(s) {
+  return s.length > LABEL_MAX ? `${s.slice(0, LABEL_MAX - 1)}…` : s;
+}
@@ -0,0 +1,85 @@
+// Helpers shared by the registered views (see views.js)
+// Exports: refDetail(parentSel, summary), clearRefHighlights(), tooltipAt(event, html, containerEl),
+//          hideTooltip(), markSearchHits(svg, items, refsOf, hits, current), plural(n, word),
+//          escapeHtml(s), placeholder(text), d3g
+// Every view answers "which papers are behind this?" the same way: a detail line under the chart
+// lists the reference numbers (each scrolls to its Sources entry) and the Sources entries light up.
+
+import { highlightRefListItem } from './sankeyGraph.js';
+
+// The global D3 of the page's classic <script> tags, also from inside ES modules
+export const d3g = (typeof window !== 'undefined' ? window.d3 : undefined) || (typeof globalThis !== 'undefined' ? globalThis.d3 : undefined);
+
+// Detail line appended to parentSel (a D3 selection); summary is shown while nothing is picked.
+// Returns { show(title, refIds), reset() }
+export function refDetail(parentSel, summary) {
+  const detail = parentSel.append("div").attr("class", "matrix-detail");
+
+  function reset() {
+    clearRefHighlights();
+    detail.html("");
+    detail.append("span").text(summary);
+  }
+
+  function show(title, refIds) {
+    clearRefHighlights();
+    detail.html("");
+    detail.append("span").text(`${title}: ${plural(refIds.length, "paper")} — refs `);
+    refIds.forEach((r, k) => {
+      if (k) detail.append("span").text(", ");
+      detail.append("a")
+        .attr("href", "#")
+        .attr("class", "ref-token")
+        .text(r)
+        .on("click", (event) => {
+          event.preventDefault();
+          const li = document.querySelector(`#refList li:nth-child(${r})`);
+          if (li) li.scrollIntoView({ behavior: "smooth", block: "center" });
+        });
+    });
+    refIds.forEach(r => highlightRefListItem(r, true));
+  }
+
+  reset();
+  return { show, reset };
+}
+
+export function clearRefHighlights() {
+  try {
+    document.querySelectorAll('#refList li.active-ref').forEach(el => el.classList.remove('active-ref'));
+  } catch {}
+}
+
+// The page's shared #tooltip, next to the pointer
+export function tooltipAt(event, html, containerEl) {
+  const tooltip = d3g.select("#tooltip");
+  if (html != null) tooltip.html(html).style("opacity", 1);
+  const [px, py] = d3g.pointer(event, containerEl.parentNode);
+  tooltip.style("left", (px + 20) + "px").style("top", (py + 20) + "px");
+}
+
+export function hideTooltip() {
+  d3g.select("#tooltip").style("opacity", 0);
+}
+
+// Search: items fed by a matching paper stay lit while the rest fades (styles.css)
+export function markSearchHits(svg, items, refsOf, hits, current = null) {
+  const found = new Set(hits || []);
+  const on = found.size > 0;
+  svg.classed("searching", on);
+  items
+    .classed("search-hit", d => on && refsOf(d).some(r => found.has(r)))
+    .classed("search-current", d => current != null && refsOf(d).includes(current));
+}
+
+export function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+export function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export function placeholder(text) {
+  return `<div style="display:grid;place-items:center;height:100%;color:#94a3b8">${text}</div>`;
+}
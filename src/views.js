@@ -0,0 +1,71 @@
+// View registry
+// Exports: registerView(view), getView(id), listViews()
+// view: { id, label, title, minColumns, controls, aggregate, render(containerEl, rows, config) -> handle | undefined }
+//   minColumns: chain columns the view needs
+//   aggregate: the view draws buildGraph's aggregate of the whole chain; the page passes it in (from its cache
+//     or the background worker) as config.aggregate, with its scoreLinks result as config.stats
+//   controls: the optional controls that apply to it: 'pair', 'color', 'linkFilter', 'topN', 'refNums', 'layout',
+//     'table'
+//   handle: { markSearch(hits, current) } when the view highlights search hits
+// Every view gets at least { columns, split, include, canon, formatLabel(column), categoryColors }; the Sankey and the
+// matrix take more, see their modules. Views list a clicked element's papers the same way (viewShared.js).
+
+import { renderSankey } from './sankeyGraph.js';
+import { renderMatrix } from './matrixView.js';
+import { renderChord } from './chordView.js';
+import { renderNetwork } from './networkView.js';
+import { renderUpset } from './upsetView.js';
+
+const views = [];
+
+export function registerView(view) {
+  views.push({ minColumns: 1, controls: [], title: '', aggregate: false, ...view });
+}
+
+export function getView(id) {
+  return views.find(v => v.id === id) || null;
+}
+
+export function listViews() {
+  return views.slice();
+}
+
+registerView({
+  id: 'sankey',
+  label: 'Sankey',
+  title: 'Flows between adjacent columns',
+  minColumns: 2,
+  controls: ['color', 'linkFilter', 'topN', 'refNums', 'layout', 'table'],
+  render: renderSankey,
+});
+
+registerView({
+  id: 'matrix',
+  label: 'Gap matrix',
+  title: 'Every value combination of two adjacent columns; empty cells are knowledge gaps',
+  minColumns: 2,
+  controls: ['pair'],
+  aggregate: true,
+  render: renderMatrix,
+});
+
+registerView({
+  id: 'chord',
+  label: 'Chord',
+  title: 'Which values occur together in the same papers',
+  render: renderChord,
+});
+
+registerView({
+  id: 'network',
+  label: 'Network',
+  title: 'Force-directed network of values that occur together in the same papers',
+  render: renderNetwork,
+});
+
+registerView({
+  id: 'upset',
+  label: 'UpSet',
+  title: 'How papers overlap across sets, e.g. yes/no columns',
+  render: renderUpset,
+});
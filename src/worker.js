@@ -0,0 +1,59 @@
+// Background worker: file parsing, graph aggregation and the data quality scan off the main thread
+// Started as a module worker by tasks.js, which also runs the same code on the main thread when
+// workers are unavailable.
+// Messages in: { id, type, payload }; out: { id, progress: { phase, done, total } } while working,
+// then { id, result } or { id, error }
+//   parse { name, buffer } -> [{ name, rows }], see importers.js
+//   rows { rows } -> true; the rows are kept for the aggregations that follow
+//   edit { edit } -> true; applyEdit on the kept rows, see editor.js
+//   aggregate { columns, split, aliases, fold, include, topN, expanded } -> { graph, byLinkKey }, see buildGraph
+//   scan { chain, split, aliases, fold } -> { gaps, columns }, see scanChain in diagnostics.js
+
+// SheetJS as an ES module (the local copy, see vendor/fetch.sh); the xlsx importer looks it up as a
+// global, as on the page
+import * as XLSX from '../vendor/xlsx.mjs';
+import { importSheets } from './importers.js';
+import { buildGraph } from './core.js';
+import { buildCanonicalizer } from './normalize.js';
+import { scanChain } from './diagnostics.js';
+import { applyEdit } from './editor.js';
+
+self.XLSX = XLSX;
+
+let rows = [];
+
+const tasks = {
+  parse: ({ name, buffer }) => importSheets(name, buffer),
+  rows: (payload) => {
+    rows = payload.rows;
+    return true;
+  },
+  edit: ({ edit }) => {
+    rows = applyEdit(rows, edit);
+    return true;
+  },
+  // The label mapping is a function, so it is rebuilt here from the same settings as on the page
+  aggregate: ({ columns, split, aliases, fold, include, topN, expanded }, progress) => {
+    const canon = buildCanonicalizer(rows, columns, { split, aliases, fold });
+    const { graph, byLinkKey } = buildGraph(rows, columns, {
+      split, include, canon, topN, expanded,
+      onProgress: (done, total) => progress('Aggregating', done, total),
+    });
+    return { graph, byLinkKey };
+  },
+  scan: ({ chain, split, aliases, fold }) => {
+    const canon = buildCanonicalizer(rows, chain, { split, aliases, fold });
+    return scanChain(rows, { chain, split, canon });
+  },
+};
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  const progress = (phase, done = null, total = null) => self.postMessage({ id, progress: { phase, done, total } });
+  try {
+    if (!tasks[type]) throw new Error(`Unknown task: ${type}`);
+    self.postMessage({ id, result: tasks[type](payload, progress) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,108 @@
+// Service worker for offline use
+// On install it caches the app and its libraries: the copies in vendor/ (see vendor/fetch.sh), and
+// the CDN files index.html falls back to when a deployment left them out. App files are fetched
+// network-first, so a deployed update shows on the next online visit; libraries are pinned and come
+// from the cache first. Add new modules to APP_FILES, and bump VERSION to drop old caches.
+
+const VERSION = 'fieldscope-v4';
+
+const APP_FILES = [
+  './',
+  './index.html',
+  './styles.css',
+  './src/main.js',
+  './src/chordView.js',
+  './src/compare.js',
+  './src/core.js',
+  './src/cooccurrence.js',
+  './src/datasetStore.js',
+  './src/diagnostics.js',
+  './src/editor.js',
+  './src/enrichment.js',
+  './src/exporters.js',
+  './src/filters.js',
+  './src/importers.js',
+  './src/layout.js',
+  './src/linkColors.js',
+  './src/linkTable.js',
+  './src/matrixView.js',
+  './src/networkView.js',
+  './src/normalize.js',
+  './src/permalink.js',
+  './src/projectConfig.js',
+  './src/references.js',
+  './src/sankeyGraph.js',
+  './src/search.js',
+  './src/sheets.js',
+  './src/tasks.js',
+  './src/timeline.js',
+  './src/upsetView.js',
+  './src/viewShared.js',
+  './src/views.js',
+  './src/worker.js',
+];
+
+// Cached when present; a deployment without them still installs
+const OPTIONAL_FILES = [
+  './vendor/d3.min.js',
+  './vendor/d3-sankey.min.js',
+  './vendor/xlsx.mjs',
+  './fieldscope.config.json',
+  './data.xlsx',
+  './init_data.xlsx',
+];
+
+const LIBRARIES = [
+  'https://unpkg.com/d3@7.9.0/dist/d3.min.js',
+  'https://unpkg.com/d3-sankey@0.12.3/dist/d3-sankey.min.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(VERSION);
+    await cache.addAll(APP_FILES);
+    await Promise.all([...OPTIONAL_FILES, ...LIBRARIES].map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== VERSION).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (LIBRARIES.includes(request.url) || url.pathname.includes('/vendor/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(VERSION)).put(request, response.clone());
+  return response;
+}
+
+// Offline, a page load (e.g. with a permalink query) gets the cached index.html
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(VERSION)).put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true })
+      || (request.mode === 'navigate' ? await caches.match('./index.html') : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
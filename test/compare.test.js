@@ -0,0 +1,72 @@
+// Checks for compare.js: the union of two aggregations and papers matched across datasets
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildGraph } from '../src/core.js';
+import { diffAggregates, matchPapers, guessKeyColumn } from '../src/compare.js';
+
+const columns = ['Organism', 'Method'];
+const before = [
+  { DOI: '10.1/a', Organism: 'Mouse', Method: 'Imaging' },
+  { DOI: '10.1/b', Organism: 'Mouse', Method: 'Imaging' },
+  { DOI: '10.1/c', Organism: 'Fly', Method: 'Sequencing' },
+  { DOI: '10.1/d', Organism: 'Yeast', Method: 'Genetics' },
+];
+const after = [
+  { DOI: 'https://doi.org/10.1/A', Organism: 'Mouse', Method: 'Imaging' },
+  { DOI: '10.1/b', Organism: 'Mouse', Method: 'Sequencing' },
+  { DOI: '10.1/c', Organism: 'Fly', Method: 'Sequencing' },
+  { DOI: '10.1/e', Organism: 'Fish', Method: 'Imaging' },
+  { DOI: '', Organism: 'Fly', Method: 'Sequencing' },
+];
+
+test('every link of either dataset is classified and drawn at its latest width', () => {
+  const diff = diffAggregates(buildGraph(before, columns), buildGraph(after, columns));
+  assert.deepEqual(Object.fromEntries(diff.changes), {
+    'L0:Mouse|||L1:Imaging': { status: 'changed', before: 2, after: 1 },
+    'L0:Mouse|||L1:Sequencing': { status: 'added', before: 0, after: 1 },
+    'L0:Fly|||L1:Sequencing': { status: 'changed', before: 1, after: 2 },
+    'L0:Fish|||L1:Imaging': { status: 'added', before: 0, after: 1 },
+    'L0:Yeast|||L1:Genetics': { status: 'removed', before: 1, after: 0 },
+  });
+  const widths = Object.fromEntries(diff.aggregate.graph.links.map(k => [`${k.source}|||${k.target}`, k.value]));
+  assert.equal(widths['L0:Yeast|||L1:Genetics'], 1);
+  assert.deepEqual(diff.aggregate.byLinkKey.get('L0:Yeast|||L1:Genetics').refIds, []);
+  assert.deepEqual(diff.aggregate.byLinkKey.get('L0:Fly|||L1:Sequencing').refIds, [3, 5]);
+});
+
+test('new and vanished categories and newly filled gaps are listed', () => {
+  const diff = diffAggregates(buildGraph(before, columns), buildGraph(after, columns));
+  assert.deepEqual(diff.newValues, [{ layer: 0, value: 'Fish' }]);
+  assert.deepEqual(diff.removedValues.map(v => v.value).sort(), ['Genetics', 'Yeast']);
+  // Mouse and Sequencing both existed, but no paper combined them; Fish is new, so not a gap
+  assert.deepEqual(diff.filledGaps, [
+    { key: 'L0:Mouse|||L1:Sequencing', source: 'L0:Mouse', target: 'L1:Sequencing', count: 1 },
+  ]);
+  const nodes = new Map(diff.aggregate.graph.nodes.map(n => [n.id, n.diff]));
+  assert.equal(nodes.get('L0:Fish'), 'added');
+  assert.equal(nodes.get('L0:Yeast'), 'removed');
+  assert.equal(nodes.get('L0:Mouse'), 'same');
+});
+
+test('papers match on a normalised key and recategorised ones are told apart', () => {
+  const papers = matchPapers(before, after, { key: 'DOI', columns });
+  assert.deepEqual(papers, { added: [4], removed: [4], changed: [2], unkeyed: 1 });
+});
+
+test('the comparison uses the same splitting and labels as the chart', () => {
+  const earlier = [{ ID: '1', Method: 'imaging; Modelling' }];
+  const now = [{ ID: '1', Method: 'Modelling;Imaging' }];
+  const canon = (column, v) => v.toLowerCase();
+  const config = { key: 'ID', columns: ['Method'], split: { Method: ';' } };
+  assert.deepEqual(matchPapers(earlier, now, config).changed, [1]);
+  assert.deepEqual(matchPapers(earlier, now, { ...config, canon }).changed, []);
+  assert.deepEqual(matchPapers(earlier, now, {}), { added: [], removed: [], changed: [], unkeyed: 0 });
+});
+
+test('the key column is the DOI when there is one, else the most distinct shared column', () => {
+  assert.equal(guessKeyColumn(before, after), 'DOI');
+  const strip = (rows) => rows.map(({ DOI, ...rest }, i) => ({ ...rest, Number: `n${i}` }));
+  assert.equal(guessKeyColumn(strip(before), strip(after)), 'Number');
+});
@@ -0,0 +1,64 @@
+// Aggregation checks for core.js: the graph, link table and cell splitting behind every view
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildGraph, buildLinkTable, splitValues, parseNodeId, OTHER_VALUE } from '../src/core.js';
+
+const rows = [
+  { Organism: 'Mouse', Method: 'Imaging; Modelling' },
+  { Organism: 'Mouse', Method: 'Imaging' },
+  { Organism: 'Fly', Method: 'Sequencing' },
+  { Organism: 'Fish', Method: '' },
+];
+
+test('splitValues trims, drops empty parts and keeps each value once', () => {
+  assert.deepEqual(splitValues(' a ; b;;a ', ';'), ['a', 'b']);
+  assert.deepEqual(splitValues('a, b', ''), ['a, b']);
+  assert.deepEqual(splitValues('x-y|z', '-|'), ['x', 'y', 'z']);
+  assert.deepEqual(splitValues(null, ';'), []);
+  assert.deepEqual(splitValues('   ', ';'), []);
+});
+
+test('buildGraph counts one link per value pair and numbers references from 1', () => {
+  const { graph, byLinkKey } = buildGraph(rows, ['Organism', 'Method'], { split: { Method: ';' } });
+  assert.deepEqual(Object.fromEntries([...byLinkKey].map(([key, { count, refIds }]) => [key, [count, refIds]])), {
+    'L0:Mouse|||L1:Imaging': [2, [1, 2]],
+    'L0:Mouse|||L1:Modelling': [1, [1]],
+    'L0:Fly|||L1:Sequencing': [1, [3]],
+  });
+  // Fish has no method, so it takes part in no link and is left out
+  assert.deepEqual(graph.nodes.map(n => n.id).sort(), ['L0:Fly', 'L0:Mouse', 'L1:Imaging', 'L1:Modelling', 'L1:Sequencing']);
+  assert.equal(graph.links.length, 3);
+});
+
+test('buildGraph keeps equal values in different columns apart and applies include and canon', () => {
+  const same = [{ A: 'x', B: 'x' }, { A: 'X', B: 'y' }];
+  const canon = (column, v) => v.toLowerCase();
+  const { byLinkKey } = buildGraph(same, ['A', 'B'], { canon, include: new Set([1]) });
+  assert.deepEqual([...byLinkKey.keys()], ['L0:x|||L1:y']);
+  assert.deepEqual(byLinkKey.get('L0:x|||L1:y').refIds, [2]);
+});
+
+test('buildGraph folds all but the top N values of a layer into an Other node', () => {
+  const many = ['a', 'a', 'a', 'b', 'b', 'c', 'd'].map((v, i) => ({ Src: v, Dst: i % 2 ? 'odd' : 'even' }));
+  const { graph } = buildGraph(many, ['Src', 'Dst'], { topN: 2 });
+  const other = graph.nodes.find(n => parseNodeId(n.id).value === OTHER_VALUE);
+  assert.equal(other.name, 'Other (2)');
+  assert.deepEqual(other.other.sort(), ['c', 'd']);
+  const expanded = buildGraph(many, ['Src', 'Dst'], { topN: 2, expanded: [0] });
+  assert.ok(!expanded.graph.nodes.some(n => n.other));
+});
+
+test('buildLinkTable lists each link with its columns, count and reference numbers', () => {
+  const table = buildLinkTable(rows, { columns: ['Organism', 'Method'], split: { Method: ';' } });
+  assert.deepEqual(table[0], {
+    'Source column': 'Organism',
+    Source: 'Mouse',
+    'Target column': 'Method',
+    Target: 'Imaging',
+    Count: 2,
+    'Reference IDs': '1, 2',
+  });
+  assert.equal(table.length, 3);
+});
@@ -0,0 +1,62 @@
+// Checks for editor.js: edits, their inverses and the undo/redo history
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyEdit, invertEdit, createHistory } from '../src/editor.js';
+
+const rows = [{ Title: 'A', Year: 2020 }, { Title: 'B', Year: 2021 }];
+
+test('applyEdit returns new arrays and rows and leaves the old ones alone', () => {
+  const edited = applyEdit(rows, { type: 'cell', index: 1, column: 'Year', before: 2021, after: 2022 });
+  assert.deepEqual(edited, [{ Title: 'A', Year: 2020 }, { Title: 'B', Year: 2022 }]);
+  assert.equal(rows[1].Year, 2021);
+  assert.equal(edited[0], rows[0]);
+  assert.notEqual(edited[1], rows[1]);
+});
+
+test('insert and delete work at a row position', () => {
+  const row = { Title: 'C', Year: '' };
+  const inserted = applyEdit(rows, { type: 'insert', index: 1, row });
+  assert.deepEqual(inserted.map(r => r.Title), ['A', 'C', 'B']);
+  assert.notEqual(inserted[1], row);
+  assert.deepEqual(applyEdit(inserted, { type: 'delete', index: 0, row: rows[0] }).map(r => r.Title), ['C', 'B']);
+  assert.equal(rows.length, 2);
+});
+
+test('an edit followed by its inverse restores the rows', () => {
+  const edits = [
+    { type: 'cell', index: 0, column: 'Title', before: 'A', after: 'Z' },
+    { type: 'insert', index: 2, row: { Title: 'C', Year: 2023 } },
+    { type: 'delete', index: 0, row: rows[0] },
+  ];
+  for (const edit of edits) {
+    assert.deepEqual(applyEdit(applyEdit(rows, edit), invertEdit(edit)), rows, edit.type);
+  }
+});
+
+test('undo and redo walk the history and a new edit clears redo', () => {
+  const history = createHistory();
+  const first = { type: 'cell', index: 0, column: 'Title', before: 'A', after: 'X' };
+  const second = { type: 'cell', index: 0, column: 'Title', before: 'X', after: 'Y' };
+  assert.equal(history.undo(), null);
+  history.push(first);
+  history.push(second);
+  assert.deepEqual(history.undo(), invertEdit(second));
+  assert.ok(history.canRedo());
+  assert.equal(history.redo(), second);
+  assert.equal(history.redo(), null);
+  history.undo();
+  history.push({ ...second, after: 'W' });
+  assert.equal(history.canRedo(), false);
+  history.clear();
+  assert.equal(history.canUndo(), false);
+});
+
+test('the history keeps only the latest edits', () => {
+  const history = createHistory(2);
+  for (const after of ['a', 'b', 'c']) history.push({ type: 'cell', index: 0, column: 'Title', before: '', after });
+  assert.equal(history.undo().before, 'c');
+  assert.equal(history.undo().before, 'b');
+  assert.equal(history.undo(), null);
+});
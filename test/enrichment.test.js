@@ -0,0 +1,74 @@
+// Enrichment maths: expected counts, Fisher's exact test and the multiple-testing corrections
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildGraph } from '../src/core.js';
+import { scoreLinks, filterLinks, formatPValue } from '../src/enrichment.js';
+
+// Rows giving the 2×2 table [[a, b], [c, d]] of Source (A, B) × Target (X, Y)
+function table([[a, b], [c, d]]) {
+  const rows = [];
+  const add = (s, t, n) => { for (let i = 0; i < n; i++) rows.push({ Source: s, Target: t }); };
+  add('A', 'X', a); add('A', 'Y', b); add('B', 'X', c); add('B', 'Y', d);
+  return buildGraph(rows, ['Source', 'Target']);
+}
+
+const close = (actual, expected, digits = 6) =>
+  assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not ${expected}`);
+
+test("Fisher's exact test matches the two-sided reference value", () => {
+  const { scores } = scoreLinks(table([[1, 9], [11, 3]]), { correction: 'none' });
+  const ax = scores.get('L0:A|||L1:X');
+  close(ax.p, 0.002759);
+  close(ax.expected, 5);
+  close(ax.ratio, 0.2);
+  assert.equal(ax.direction, 'under');
+  assert.ok(ax.gap && !ax.enriched);
+  // Every cell of a 2×2 table has the same two-sided p-value
+  for (const s of scores.values()) close(s.p, 0.002759);
+  assert.ok(scores.get('L0:B|||L1:X').enriched);
+});
+
+test('a table matching independence is not significant', () => {
+  const { scores } = scoreLinks(table([[5, 5], [5, 5]]));
+  for (const s of scores.values()) {
+    assert.equal(s.direction, 'none');
+    assert.equal(s.p, 1);
+    assert.equal(s.significant, false);
+  }
+});
+
+test('combinations without papers are scored too', () => {
+  const { scores, tested } = scoreLinks(table([[0, 10], [10, 0]]));
+  assert.equal(tested, 4);
+  const ax = scores.get('L0:A|||L1:X');
+  assert.equal(ax.observed, 0);
+  close(ax.expected, 5);
+  assert.ok(ax.gap);
+});
+
+test('Bonferroni and Benjamini–Hochberg adjust the p-values of the whole chain', () => {
+  const aggregate = table([[1, 9], [11, 3]]);
+  const raw = scoreLinks(aggregate, { correction: 'none' });
+  const bonferroni = scoreLinks(aggregate, { correction: 'bonferroni' });
+  const bh = scoreLinks(aggregate);
+  for (const [key, s] of raw.scores) {
+    close(bonferroni.scores.get(key).q, Math.min(1, s.p * 4));
+    // Equal p-values: BH leaves them as they are
+    close(bh.scores.get(key).q, s.p);
+  }
+});
+
+test('filterLinks keeps only the links of the chosen mode', () => {
+  const aggregate = table([[1, 9], [11, 3]]);
+  const stats = scoreLinks(aggregate);
+  assert.equal(filterLinks(aggregate, stats, 'all'), aggregate);
+  assert.deepEqual([...filterLinks(aggregate, stats, 'gaps').byLinkKey.keys()].sort(), ['L0:A|||L1:X', 'L0:B|||L1:Y']);
+  assert.deepEqual([...filterLinks(aggregate, stats, 'enriched').byLinkKey.keys()].sort(), ['L0:A|||L1:Y', 'L0:B|||L1:X']);
+});
+
+test('formatPValue switches to scientific notation below 0.001', () => {
+  assert.equal(formatPValue(0.0123), '0.012');
+  assert.equal(formatPValue(0.00002759), '2.8e-5');
+});
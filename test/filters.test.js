@@ -0,0 +1,64 @@
+// Checks for filters.js: range detection on numeric columns and the rows each filter keeps
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeFilterColumns, applyFilters } from '../src/filters.js';
+
+const rows = [
+  { Year: 2019, Organism: 'Mouse', Method: 'Imaging; Modelling' },
+  { Year: '2021', Organism: 'mouse', Method: 'Imaging' },
+  { Year: 'in press', Organism: 'Fly', Method: 'Sequencing' },
+  { Year: 2020, Organism: '', Method: 'Modelling' },
+  { Year: 2022, Organism: 'Fly', Method: '' },
+];
+const options = { split: { Method: ';' } };
+
+test('a mostly numeric column becomes a range that counts the other cells', () => {
+  const [year] = describeFilterColumns(rows, ['Year'], options);
+  assert.deepEqual(year, { column: 'Year', type: 'range', min: 2019, max: 2022, step: 1, other: 1 });
+});
+
+test('fractional values give a step of a hundredth of the range', () => {
+  const [d] = describeFilterColumns([{ x: 0.5 }, { x: 1.5 }], ['x']);
+  assert.equal(d.step, 0.01);
+});
+
+test('too few numbers, a constant or a unique text column is not a range', () => {
+  const mixed = [{ v: 1 }, { v: 'a' }, { v: 'b' }, { v: 2 }];
+  assert.equal(describeFilterColumns(mixed, ['v'])[0].type, 'values');
+  assert.deepEqual(describeFilterColumns([{ v: 3 }, { v: 3 }], ['v']), []);
+  const titles = Array.from({ length: 12 }, (_, i) => ({ Title: `Paper ${i}` }));
+  assert.deepEqual(describeFilterColumns(titles, ['Title']), []);
+});
+
+test('a checklist counts split values and the empty rows', () => {
+  const [method] = describeFilterColumns(rows, ['Method'], options);
+  assert.deepEqual(method.values, [
+    { value: 'Imaging', count: 2 },
+    { value: 'Modelling', count: 2 },
+    { value: 'Sequencing', count: 1 },
+    { value: '(empty)', count: 1 },
+  ]);
+});
+
+test('a range filter keeps the other cells only when asked', () => {
+  const range = { type: 'range', min: 2020, max: 2022 };
+  assert.deepEqual([...applyFilters(rows, { Year: range })], [1, 3, 4]);
+  assert.deepEqual([...applyFilters(rows, { Year: { ...range, other: true } })], [1, 2, 3, 4]);
+});
+
+test('a multi-valued cell passes while any of its values is selected', () => {
+  const kept = applyFilters(rows, { Method: { type: 'values', excluded: ['Imaging', '(empty)'] } }, options);
+  assert.deepEqual([...kept], [0, 2, 3]);
+});
+
+test('values are compared after canonicalisation and filters combine', () => {
+  const canon = (column, v) => (column === 'Organism' ? v.toLowerCase() : v);
+  const filters = {
+    Organism: { type: 'values', excluded: ['fly'] },
+    Year: { type: 'range', min: 2019, max: 2020 },
+  };
+  assert.deepEqual([...applyFilters(rows, filters, { ...options, canon })], [0, 3]);
+  assert.equal(applyFilters(rows, {}).size, rows.length);
+});
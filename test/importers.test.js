@@ -0,0 +1,54 @@
+// Checks for the file importers: delimited text, JSON, BibTeX and RIS
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importData, importSheets, acceptedExtensions } from '../src/importers.js';
+
+const buffer = (text) => new TextEncoder().encode(text).buffer;
+
+test('acceptedExtensions lists every registered importer', () => {
+  const extensions = acceptedExtensions().split(',');
+  for (const ext of ['.xlsx', '.csv', '.tsv', '.json', '.bib', '.ris']) assert.ok(extensions.includes(ext), ext);
+});
+
+test('CSV handles a BOM, quoted separators, doubled quotes and numbers', () => {
+  const rows = importData('a.csv', buffer('﻿Title,Year\n"A, b",2020\n"Say ""hi""",\n'));
+  assert.deepEqual(rows, [
+    { Title: 'A, b', Year: 2020 },
+    { Title: 'Say "hi"', Year: '' },
+  ]);
+});
+
+test('semicolon-separated text is detected without an extension', () => {
+  assert.deepEqual(importSheets('data', buffer('a;b\n1;2\n')), [{ name: 'data', rows: [{ a: 1, b: 2 }] }]);
+});
+
+test('TSV splits on tabs', () => {
+  assert.deepEqual(importData('a.tsv', buffer('Title\tYear\nA\t2020\n')), [{ Title: 'A', Year: 2020 }]);
+});
+
+test('JSON arrays fill missing keys and join list values', () => {
+  const rows = importData('a.json', buffer('[{"Title":"A","Year":2020},{"Title":"B","Tags":["x","y"]}]'));
+  assert.deepEqual(rows, [
+    { Title: 'A', Year: 2020, Tags: '' },
+    { Title: 'B', Year: '', Tags: 'x; y' },
+  ]);
+});
+
+test('BibTeX entries map to the reference columns', () => {
+  const rows = importData('a.bib', buffer(
+    '@article{k1,\n  title = {Cell {Flows}},\n  author = {Smith, J. and Doe, A.},\n  year = 2020,\n  journal = "Nature"\n}\n'
+  ));
+  assert.deepEqual(rows, [{
+    Title: 'Cell Flows', Authors: 'Smith, J.; Doe, A.', Year: '2020', Journal: 'Nature', Type: 'article', 'Citation key': 'k1',
+  }]);
+});
+
+test('RIS records collect repeated author tags', () => {
+  const rows = importData('a.ris', buffer('TY  - JOUR\nTI  - A title\nAU  - Smith, J.\nAU  - Doe, A.\nPY  - 2019\nER  - \n'));
+  assert.deepEqual(rows, [{ Title: 'A title', Authors: 'Smith, J.; Doe, A.', Year: '2019', Type: 'JOUR' }]);
+});
+
+test('an empty file is an error that names the file', () => {
+  assert.throws(() => importData('x.csv', buffer('')), /No rows found in x\.csv/);
+});
@@ -0,0 +1,114 @@
+// Checks for layout.js: crossing counts and the orderings the sweeps and swaps settle on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { orderLayers, countCrossings } from '../src/layout.js';
+
+// A laid-out graph: layers of node ids top to bottom, links as [source, target, value]
+function graph(layers, links) {
+  const byId = new Map();
+  const nodes = layers.flatMap((ids, layer) => ids.map((id, i) => {
+    const n = { id, layer, y0: i * 10, sourceLinks: [], targetLinks: [] };
+    byId.set(id, n);
+    return n;
+  }));
+  const out = links.map(([s, t, value = 1]) => {
+    const k = { source: byId.get(s), target: byId.get(t), value };
+    k.source.sourceLinks.push(k);
+    k.target.targetLinks.push(k);
+    return k;
+  });
+  return { nodes, links: out };
+}
+
+// Every pair of links between the same two layers whose ends are ordered oppositely
+function bruteCrossings({ nodes, links }) {
+  const rank = new Map();
+  const layers = new Map();
+  for (const n of nodes) layers.set(n.layer, [...(layers.get(n.layer) || []), n]);
+  for (const list of layers.values()) list.sort((a, b) => a.y0 - b.y0).forEach((n, i) => rank.set(n.id, i));
+  let n = 0;
+  for (let i = 0; i < links.length; i++) {
+    for (let j = i + 1; j < links.length; j++) {
+      const [a, b] = [links[i], links[j]];
+      if (a.source.layer !== b.source.layer) continue;
+      const ds = rank.get(a.source.id) - rank.get(b.source.id);
+      const dt = rank.get(a.target.id) - rank.get(b.target.id);
+      if (ds * dt < 0) n++;
+    }
+  }
+  return n;
+}
+
+// Move the nodes to the positions orderLayers chose
+function applyOrder(layers) {
+  for (const nodes of layers.values()) nodes.forEach((n, i) => { n.y0 = i * 10; });
+}
+
+// Deterministic pseudo-random graphs
+function randomGraph(seed) {
+  const rnd = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const layers = Array.from({ length: 4 }, (_, l) =>
+    Array.from({ length: 2 + Math.floor(rnd() * 6) }, (_, i) => `${l}:${i}`));
+  const links = new Map();
+  for (let l = 0; l < layers.length - 1; l++) {
+    for (let k = 0; k < 15; k++) {
+      const s = layers[l][Math.floor(rnd() * layers[l].length)];
+      const t = layers[l + 1][Math.floor(rnd() * layers[l + 1].length)];
+      links.set(`${s}>${t}`, [s, t, 1 + Math.floor(rnd() * 3)]);
+    }
+  }
+  return graph(layers, [...links.values()]);
+}
+
+test('countCrossings counts crossing link pairs per layer pair', () => {
+  const g = graph([['a', 'b'], ['x', 'y'], ['p', 'q']], [
+    ['a', 'y'], ['b', 'x'], // cross
+    ['x', 'p'], ['y', 'q'], // parallel
+  ]);
+  assert.equal(countCrossings(g), 1);
+  assert.equal(countCrossings(graph([['a', 'b'], ['x']], [['a', 'x'], ['b', 'x']])), 0);
+});
+
+test('countCrossings matches a pairwise count on random graphs', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const g = randomGraph(seed);
+    assert.equal(countCrossings(g), bruteCrossings(g), `seed ${seed}`);
+  }
+});
+
+test('a swapped pair of nodes is put back in order', () => {
+  const g = graph([['a', 'b', 'c'], ['z', 'y', 'x']], [['a', 'x'], ['b', 'y'], ['c', 'z']]);
+  assert.equal(countCrossings(g), 3);
+  const { layers, crossings } = orderLayers(g);
+  assert.equal(crossings, 0);
+  applyOrder(layers);
+  assert.equal(countCrossings(g), 0);
+});
+
+test('a fixed layer keeps its order and the others follow it', () => {
+  const g = graph([['a', 'b', 'c'], ['z', 'y', 'x']], [['a', 'x'], ['b', 'y'], ['c', 'z']]);
+  const { layers, crossings } = orderLayers(g, { fixed: new Set([1]) });
+  assert.deepEqual(layers.get(1).map(n => n.id), ['z', 'y', 'x']);
+  assert.deepEqual(layers.get(0).map(n => n.id), ['c', 'b', 'a']);
+  assert.equal(crossings, 0);
+});
+
+test('the reported crossings are those of the returned order and never more than the start', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const g = randomGraph(seed);
+    const before = countCrossings(g);
+    const { layers, crossings } = orderLayers(g);
+    applyOrder(layers);
+    assert.equal(crossings, bruteCrossings(g), `seed ${seed}`);
+    assert.ok(crossings <= before, `seed ${seed}`);
+  }
+});
+
+test('an uncrossed graph is left as it is', () => {
+  const g = graph([['a', 'b'], ['x', 'y']], [['a', 'x'], ['b', 'y']]);
+  const { layers, crossings } = orderLayers(g);
+  assert.equal(crossings, 0);
+  assert.deepEqual([...layers.values()].map(ns => ns.map(n => n.id)), [['a', 'b'], ['x', 'y']]);
+});
@@ -0,0 +1,80 @@
+// Checks for normalize.js: label folding, aliases and merge suggestions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeKey, buildCanonicalizer, countValues, suggestMerges } from '../src/normalize.js';
+
+const rows = [
+  { Method: 'Light-sheet; 3D', Organism: 'Mouse' },
+  { Method: 'light sheet', Organism: 'mouse' },
+  { Method: 'Light-sheet', Organism: 'M. musculus' },
+  { Method: '3-D', Organism: 'Zebrafish' },
+];
+const split = { Method: ';' };
+
+test('normalizeKey drops case, accents, spaces and punctuation', () => {
+  assert.equal(normalizeKey(' 3-D '), '3d');
+  assert.equal(normalizeKey('Méthode  Générale'), 'methodegenerale');
+  assert.equal(normalizeKey(null), '');
+});
+
+test('folded variants take the most frequent spelling, first seen on ties', () => {
+  const canon = buildCanonicalizer(rows, ['Method', 'Organism'], { split });
+  assert.equal(canon('Method', 'light sheet'), 'Light-sheet');
+  assert.equal(canon('Method', '3-D'), '3D');
+  assert.equal(canon('Organism', 'mouse'), 'Mouse');
+  assert.equal(canon('Organism', ' Unseen '), 'Unseen');
+  assert.equal(canon('Journal', ' Nature '), 'Nature');
+});
+
+test('aliases win over folding and match folded spellings of the raw value', () => {
+  const aliases = { Organism: { Mouse: 'Mus musculus', 'M. musculus': 'Mus musculus', Empty: '' } };
+  const canon = buildCanonicalizer(rows, ['Organism'], { aliases });
+  assert.equal(canon('Organism', 'mouse'), 'Mus musculus');
+  assert.equal(canon('Organism', 'M. musculus'), 'Mus musculus');
+  assert.equal(canon('Organism', 'Empty'), 'Empty');
+});
+
+test('without folding only exact aliases apply', () => {
+  const canon = buildCanonicalizer(rows, ['Organism'], { fold: false, aliases: { Organism: { Mouse: 'Mus' } } });
+  assert.equal(canon('Organism', 'Mouse'), 'Mus');
+  assert.equal(canon('Organism', 'mouse'), 'mouse');
+});
+
+test('countValues counts each row once per label', () => {
+  const canon = buildCanonicalizer(rows, ['Method'], { split });
+  assert.deepEqual(countValues(rows, 'Method', { split, canon }), [
+    { value: 'Light-sheet', count: 3 },
+    { value: '3D', count: 2 },
+  ]);
+});
+
+test('suggestMerges groups spellings and qualified forms under the most used label', () => {
+  const values = [
+    { value: 'Confocal', count: 9 },
+    { value: 'Light-sheet', count: 5 },
+    { value: 'light sheet', count: 2 },
+    { value: 'Confocal (spinning disk)', count: 2 },
+    { value: 'Lightsheet', count: 1 },
+    { value: 'Electron', count: 1 },
+  ];
+  assert.deepEqual(suggestMerges(values), [
+    { canonical: 'Confocal', members: ['Confocal (spinning disk)'], count: 11 },
+    { canonical: 'Light-sheet', members: ['light sheet', 'Lightsheet'], count: 8 },
+  ]);
+});
+
+test('suggestMerges finds close spellings and respects the threshold and limit', () => {
+  const values = [
+    { value: 'Fluorescence', count: 3 },
+    { value: 'Flourescence', count: 1 },
+    { value: 'Sequencing', count: 2 },
+    { value: 'Sequencng', count: 1 },
+  ];
+  assert.deepEqual(suggestMerges(values).map(g => g.canonical), ['Sequencing']);
+  const looser = suggestMerges(values, { threshold: 0.75 });
+  assert.deepEqual(looser.map(g => g.canonical), ['Fluorescence', 'Sequencing']);
+  assert.deepEqual(suggestMerges(values, { threshold: 0.75, limit: 1 }), looser.slice(0, 1));
+  assert.deepEqual(suggestMerges(values, { threshold: 0.99 }), []);
+});
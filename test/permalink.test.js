@@ -0,0 +1,51 @@
+// Checks for permalink.js: the view state round-trips through the URL hash
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readViewState, writeViewState } from '../src/permalink.js';
+
+// The browser globals the module reads, with replaceState updating the hash as a browser would
+const replaced = [];
+beforeEach(() => {
+  replaced.length = 0;
+  globalThis.location = { hash: '' };
+  globalThis.history = {
+    replaceState(state, title, url) {
+      replaced.push(url);
+      location.hash = url;
+    },
+  };
+});
+
+test('a written view reads back unchanged', () => {
+  const view = {
+    columns: ['Organism', 'Méthode'],
+    split: { 'Méthode': ';' },
+    filters: { Year: { type: 'range', min: 2000, max: 2010, other: true } },
+    search: 'a&b=c #1',
+    top: 10,
+  };
+  const hash = writeViewState(view);
+  assert.match(hash, /^#view=/);
+  assert.deepEqual(readViewState(), view);
+});
+
+test('empty values are left out of the link', () => {
+  writeViewState({ columns: ['A'], split: {}, filters: {}, selection: [], ref: null, pair: undefined, top: 0 });
+  assert.deepEqual(readViewState(), { columns: ['A'], top: 0 });
+});
+
+test('an unchanged view does not replace the history entry again', () => {
+  writeViewState({ columns: ['A'] });
+  writeViewState({ columns: ['A'] });
+  assert.equal(replaced.length, 1);
+});
+
+test('a missing or malformed hash reads as no view', () => {
+  assert.equal(readViewState(), null);
+  for (const hash of ['#other=1', '#view=%7Bnot%20json', '#view=42', '#view=null']) {
+    location.hash = hash;
+    assert.equal(readViewState(), null, hash);
+  }
+});
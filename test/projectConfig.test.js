@@ -0,0 +1,69 @@
+// Checks for projectConfig.js: reading a config file and writing one back
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseProjectConfig, buildProjectConfig, categoryNodeOrder } from '../src/projectConfig.js';
+
+test('a valid config is kept as written', () => {
+  const raw = {
+    version: 1,
+    defaultColumns: ['Organism', 'Method'],
+    columnLabels: { Organism: 'Model organism' },
+    citationFields: { doi: 'Digital object id' },
+    categoryOrder: { Method: ['Imaging', 'Modelling'] },
+    palette: { link: '#ccc', categories: ['#f00', '#0f0'] },
+    split: { Method: ';' },
+    aliases: { Organism: { mouse: 'Mouse' } },
+    fold: false,
+  };
+  const { config, warnings } = parseProjectConfig(JSON.stringify(raw));
+  const { version, ...rest } = raw;
+  assert.deepEqual(config, rest);
+  assert.deepEqual(warnings, []);
+});
+
+test('parts of the wrong shape and unknown keys are dropped with a warning', () => {
+  const { config, warnings } = parseProjectConfig(JSON.stringify({
+    defaultColumns: 'Organism',
+    hiddenColumns: ['ID'],
+    citationFields: { publisher: 'Publisher' },
+    palette: { categories: [] },
+    fold: 'yes',
+    colour: 'red',
+  }));
+  assert.deepEqual(config, { hiddenColumns: ['ID'] });
+  assert.equal(warnings.length, 5);
+  assert.match(warnings[0], /^"defaultColumns" ignored: expected a list of column names/);
+  assert.equal(warnings.at(-1), 'Unknown key ignored: colour');
+});
+
+test('text that is not a JSON object is an error', () => {
+  assert.throws(() => parseProjectConfig('{ defaultColumns: [] }'), /^Error: Not valid JSON/);
+  for (const text of ['[]', 'null', '"x"']) {
+    assert.throws(() => parseProjectConfig(text), /must be a JSON object/, text);
+  }
+});
+
+test('a written config reads back and carries the dragged order of the chain', () => {
+  const built = buildProjectConfig({
+    config: { categoryOrder: { Journal: ['Nature'] }, palette: { link: '#ccc' } },
+    chain: ['Organism', 'Method'],
+    nodeOrder: { 1: ['Modelling', 'Imaging'] },
+    hiddenColumns: ['ID'],
+    citationFields: { doi: 'DOI', pmid: '' },
+  });
+  assert.equal(built.version, 1);
+  assert.deepEqual(built.categoryOrder, { Journal: ['Nature'], Method: ['Modelling', 'Imaging'] });
+  assert.deepEqual(built.citationFields, { doi: 'DOI' });
+  const { config, warnings } = parseProjectConfig(JSON.stringify(built));
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(config.defaultColumns, ['Organism', 'Method']);
+  assert.equal(config.fold, true);
+});
+
+test('category orders map to the layers of a chain', () => {
+  const config = { categoryOrder: { Method: ['b', 'a'], Journal: ['x'] } };
+  assert.deepEqual(categoryNodeOrder(config, ['Organism', 'Method']), { 1: ['b', 'a'] });
+  assert.deepEqual(categoryNodeOrder(null, ['Organism']), {});
+});
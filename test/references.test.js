@@ -0,0 +1,34 @@
+// Reference model: author lists and the citation styles built on them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildReferences, formatCitation } from '../src/references.js';
+
+const reference = (Authors) => buildReferences([{ Authors, Title: 'A paper', Year: 2020 }])[0];
+
+test('comma-separated "Surname Initials" lists are split into authors', () => {
+  const ref = reference('Smith J, Doe A, Lee B');
+  assert.deepEqual(ref.authors, ['Smith J', 'Doe A', 'Lee B']);
+  assert.equal(formatCitation(ref, 'short'), 'Smith J et al., A paper, 2020');
+  assert.deepEqual(reference('van der Berg J, Müller AB').authors, ['van der Berg J', 'Müller AB']);
+});
+
+test('a single "Surname, Given name" stays one author', () => {
+  assert.deepEqual(reference('Smith, John').authors, ['Smith, John']);
+});
+
+test('semicolons and "and" separate authors, but not inside brackets', () => {
+  assert.deepEqual(reference('Ann Lee; Bo Kim').authors, ['Ann Lee', 'Bo Kim']);
+  assert.deepEqual(reference('Ann Lee and Bo Kim').authors, ['Ann Lee', 'Bo Kim']);
+  assert.deepEqual(reference('J. Brugués (P. R. ten Wolde lab link; B. Gehrels)').authors,
+    ['J. Brugués (P. R. ten Wolde lab link; B. Gehrels)']);
+});
+
+test('long author lists are truncated in APA and Vancouver', () => {
+  const names = Array.from({ length: 25 }, (_, i) => `Author${String.fromCharCode(65 + i)} X`).join(', ');
+  const ref = reference(names);
+  assert.equal(ref.authors.length, 25);
+  assert.match(formatCitation(ref, 'vancouver'), /et al\./);
+  assert.match(formatCitation(ref, 'apa'), /AuthorS X, … AuthorY X/);
+});